@@ -0,0 +1,314 @@
+/**
+ * Generate sized image variants, blurred placeholders and the thumbnail manifest
+ * Run with Node.js (ImageMagick 7 `magick`, or 6 `convert`/`identify`, must be on the PATH):
+ *
+ *   node build-image-variants.js [--source ./images_scraped] [--force]
+ *
+ * Writes <source>/_variants/<variant>/<file> for every image wider than the
+ * variant, and data/image-variants.json mapping each file name to its
+ * thumb, medium and full versions and a BlurHash placeholder. Existing
+ * variants and hashes newer than their source are kept unless --force is
+ * given.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+// Configuration
+const config = {
+  // Scraped originals
+  sourceDir: './images_scraped',
+
+  // Variants go in a subfolder so the service worker and image cache treat them as artwork images
+  variantsDir: '_variants',
+
+  // Manifest read by js/image-variants.js
+  manifestPath: './data/image-variants.json',
+
+  // Variant widths in pixels; tiles are 220px wide, the detail view about 600px
+  variants: {
+    thumb: 480,
+    medium: 1200
+  },
+
+  quality: 80,
+  extensions: ['.jpg', '.jpeg', '.png', '.webp'],
+
+  // BlurHash placeholders: components across and down, and the size sampled to compute them
+  blurhash: {
+    componentsX: 4,
+    componentsY: 3,
+    sampleSize: 32
+  }
+};
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const sourceIndex = args.indexOf('--source');
+if (sourceIndex !== -1 && args[sourceIndex + 1]) {
+  config.sourceDir = args[sourceIndex + 1];
+}
+
+/**
+ * Find the ImageMagick commands
+ * @return {Object|null} - { convert: [cmd, ...args], identify: [cmd, ...args] }
+ */
+function findImageMagick() {
+  const candidates = [
+    { convert: ['magick'], identify: ['magick', 'identify'] },
+    { convert: ['convert'], identify: ['identify'] }
+  ];
+  return candidates.find(tools => {
+    try {
+      execFileSync(tools.identify[0], [...tools.identify.slice(1), '-version'], { stdio: 'ignore' });
+      return true;
+    } catch {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Read an image's pixel size
+ * @param {Object} tools - ImageMagick commands
+ * @param {string} file - Image path
+ * @return {Object} - { width, height }
+ */
+function readSize(tools, file) {
+  const output = execFileSync(tools.identify[0], [...tools.identify.slice(1), '-format', '%w %h', `${file}[0]`])
+    .toString()
+    .trim();
+  const [width, height] = output.split(' ').map(Number);
+  return { width, height };
+}
+
+/**
+ * Write a number as base 83 digits
+ * @param {number} value - Non-negative integer
+ * @param {number} length - Number of digits
+ * @return {string} - Digits
+ */
+function encode83(value, length) {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    result += BASE83[Math.floor(value / Math.pow(83, length - i)) % 83];
+  }
+  return result;
+}
+
+/**
+ * Convert an sRGB channel (0-255) to linear light
+ * @param {number} value - Channel value
+ * @return {number} - Linear value 0-1
+ */
+function sRGBToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert linear light back to an sRGB channel
+ * @param {number} value - Linear value
+ * @return {number} - Channel value 0-255
+ */
+function linearToSRGB(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308 ?
+    Math.round(v * 12.92 * 255 + 0.5) :
+    Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+/**
+ * Encode RGB pixels as a BlurHash (https://blurha.sh); js/blurhash.js decodes it
+ * @param {Uint8Array} pixels - width * height * 3 bytes
+ * @param {number} width - Pixel columns
+ * @param {number} height - Pixel rows
+ * @param {number} componentsX - Horizontal components (1-9)
+ * @param {number} componentsY - Vertical components (1-9)
+ * @return {string} - BlurHash string
+ */
+function encodeBlurHash(pixels, width, height, componentsX, componentsY) {
+  const factors = [];
+  for (let j = 0; j < componentsY; j++) {
+    for (let i = 0; i < componentsX; i++) {
+      const normalisation = i === 0 && j === 0 ? 1 : 2;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const basis = normalisation *
+            Math.cos((Math.PI * i * x) / width) *
+            Math.cos((Math.PI * j * y) / height);
+          const offset = 3 * (x + y * width);
+          r += basis * sRGBToLinear(pixels[offset]);
+          g += basis * sRGBToLinear(pixels[offset + 1]);
+          b += basis * sRGBToLinear(pixels[offset + 2]);
+        }
+      }
+      const scale = 1 / (width * height);
+      factors.push([r * scale, g * scale, b * scale]);
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83((componentsX - 1) + (componentsY - 1) * 9, 1);
+
+  let maxValue = 1;
+  if (ac.length > 0) {
+    const actualMax = Math.max(...ac.map(factor => Math.max(...factor.map(Math.abs))));
+    const quantisedMax = Math.max(0, Math.min(82, Math.floor(actualMax * 166 - 0.5)));
+    maxValue = (quantisedMax + 1) / 166;
+    hash += encode83(quantisedMax, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+
+  hash += encode83((linearToSRGB(dc[0]) << 16) + (linearToSRGB(dc[1]) << 8) + linearToSRGB(dc[2]), 4);
+
+  const quantise = value => Math.max(0, Math.min(18,
+    Math.floor(Math.sign(value) * Math.pow(Math.abs(value / maxValue), 0.5) * 9 + 9.5)));
+  ac.forEach(([r, g, b]) => {
+    hash += encode83(quantise(r) * 19 * 19 + quantise(g) * 19 + quantise(b), 2);
+  });
+
+  return hash;
+}
+
+/**
+ * Compute the BlurHash placeholder for an image
+ * @param {Object} tools - ImageMagick commands
+ * @param {string} file - Image path
+ * @return {string} - BlurHash string
+ */
+function readBlurHash(tools, file) {
+  const { componentsX, componentsY, sampleSize } = config.blurhash;
+  const pixels = execFileSync(tools.convert[0], [
+    ...tools.convert.slice(1),
+    `${file}[0]`,
+    '-resize', `${sampleSize}x${sampleSize}!`,
+    '-depth', '8',
+    'rgb:-'
+  ]);
+  if (pixels.length < sampleSize * sampleSize * 3) {
+    throw new Error('could not read pixels for the placeholder');
+  }
+  return encodeBlurHash(pixels, sampleSize, sampleSize, componentsX, componentsY);
+}
+
+/**
+ * Turn a file path into the site-relative form used for imagePath
+ * @param {string} file - File path
+ * @return {string} - e.g. ./images_scraped/_variants/thumb/00001_x.jpg
+ */
+function toSitePath(file) {
+  return './' + path.relative('.', file).split(path.sep).join('/');
+}
+
+/**
+ * Whether a generated file is missing or older than its source
+ * @param {string} target - Generated file
+ * @param {string} source - Original file
+ * @return {boolean} - True when it should be (re)generated
+ */
+function isStale(target, source) {
+  if (force || !fs.existsSync(target)) return true;
+  return fs.statSync(target).mtimeMs < fs.statSync(source).mtimeMs;
+}
+
+const tools = findImageMagick();
+if (!tools) {
+  console.error('ImageMagick not found. Install it so `magick` or `convert` is on the PATH.');
+  process.exit(1);
+}
+
+if (!fs.existsSync(config.sourceDir)) {
+  console.error(`Source folder not found: ${config.sourceDir}`);
+  process.exit(1);
+}
+
+const files = fs.readdirSync(config.sourceDir)
+  .filter(file => config.extensions.includes(path.extname(file).toLowerCase()))
+  .filter(file => fs.statSync(path.join(config.sourceDir, file)).isFile())
+  .sort();
+
+// Hashes from the previous run are reused for images that haven't changed since
+let previous = {};
+let previousTime = 0;
+if (!force && fs.existsSync(config.manifestPath)) {
+  try {
+    previous = JSON.parse(fs.readFileSync(config.manifestPath, 'utf8')).images || {};
+    previousTime = fs.statSync(config.manifestPath).mtimeMs;
+  } catch {
+    previous = {};
+  }
+}
+
+const manifest = {
+  version: 1,
+  generatedAt: new Date().toISOString(),
+  variants: { ...config.variants },
+  images: {}
+};
+
+let generated = 0;
+let failed = 0;
+
+files.forEach((file, index) => {
+  const source = path.join(config.sourceDir, file);
+
+  try {
+    const full = readSize(tools, source);
+    const entry = { full: { path: toSitePath(source), ...full } };
+
+    Object.entries(config.variants).forEach(([name, width]) => {
+      // Never upscale: small originals serve every size themselves
+      if (full.width <= width) return;
+
+      const targetDir = path.join(config.sourceDir, config.variantsDir, name);
+      const target = path.join(targetDir, file);
+      if (isStale(target, source)) {
+        fs.mkdirSync(targetDir, { recursive: true });
+        execFileSync(tools.convert[0], [
+          ...tools.convert.slice(1),
+          `${source}[0]`,
+          '-resize', `${width}x`,
+          '-strip',
+          '-interlace', 'Plane',
+          '-quality', String(config.quality),
+          target
+        ]);
+        generated++;
+      }
+      entry[name] = { path: toSitePath(target), ...readSize(tools, target) };
+    });
+
+    // A missing placeholder only costs the blur-up, so it doesn't skip the image
+    const earlier = previous[file];
+    try {
+      entry.blurhash = earlier && earlier.blurhash && fs.statSync(source).mtimeMs < previousTime ?
+        earlier.blurhash :
+        readBlurHash(tools, source);
+    } catch (error) {
+      console.warn(`No placeholder for ${file}: ${error.message}`);
+    }
+
+    manifest.images[file] = entry;
+  } catch (error) {
+    failed++;
+    console.warn(`Skipped ${file}: ${error.message}`);
+  }
+
+  if ((index + 1) % 100 === 0) {
+    console.log(`Processed ${index + 1}/${files.length}`);
+  }
+});
+
+fs.mkdirSync(path.dirname(config.manifestPath), { recursive: true });
+fs.writeFileSync(config.manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+console.log(`Wrote ${config.manifestPath}: ${Object.keys(manifest.images).length} images, ` +
+  `${generated} variants generated, ${failed} skipped.`);
@@ -76,6 +76,15 @@ export default [
       "js/delete - *.js"
     ]
   },
+  {
+    // The service worker runs in its own global scope (self, caches, clients)
+    files: ["service-worker.js"],
+    languageOptions: {
+      globals: {
+        ...globals.serviceworker
+      }
+    }
+  },
   {
     files: ["**/debug/*.js", "**/*.dev.js", "**/*-debug.js"],
     rules: {
@@ -0,0 +1,483 @@
+/**
+ * Artwork Modal Module
+ * Accessible detail dialog for a single artwork with a focus trap,
+ * Esc to close, arrow-key stepping through the current result order and
+ * a deep-linkable #/artwork/<id> URL.
+ * @version 1.0.0
+ */
+
+const ArtworkModal = (function() {
+  'use strict';
+
+  // Private variables
+  let modal = null;
+  let dialog = null;
+  let sequence = []; // Artworks in the order the gallery currently shows them
+  let currentIndex = -1;
+  let returnFocusTo = null;
+  let previousHash = '';
+  let pushedHistory = false;
+  let closeListener = null;
+
+  // Configuration
+  const config = {
+    modalId: 'artwork-modal',
+    routePrefix: '#/artwork/',
+    updateUrl: true,
+    hashFor: null, // Optional function(artwork) returning the hash for an artwork
+    listHash: null, // Optional function() returning the hash to restore on close
+    renderActions: null, // Optional function(container, artwork) filling the action area
+    srcsetFor: null, // Optional function(artwork) returning a srcset of sized variants
+    imageSizes: '(width <= 768px) 100vw, 600px', // Rendered image width, for choosing a variant
+    focusableSelector: 'a[href], button:not([disabled]), input, select, textarea, [tabindex]:not([tabindex="-1"])'
+  };
+
+  /**
+   * Encode the filename part of an image path for use in src
+   * @private
+   * @param {string} imagePath - Raw image path
+   * @return {string} - Encoded path
+   */
+  const encodeImagePath = function(imagePath) {
+    if (!imagePath) return '';
+    try {
+      const parts = imagePath.split('/');
+      const filename = encodeURIComponent(decodeURIComponent(parts.pop() || ''));
+      return parts.join('/') + '/' + filename;
+    } catch (e) {
+      console.error('Error encoding image path:', e);
+      return imagePath;
+    }
+  };
+
+  /**
+   * Create the modal markup once and attach its listeners
+   * @private
+   */
+  const createModal = function() {
+    if (modal) return;
+
+    modal = document.createElement('div');
+    modal.id = config.modalId;
+    modal.className = 'artwork-modal';
+    modal.hidden = true;
+    modal.innerHTML = `
+      <div class="artwork-modal-backdrop" data-modal-close></div>
+      <div class="artwork-modal-dialog" role="dialog" aria-modal="true"
+        aria-labelledby="artwork-modal-title" aria-describedby="artwork-modal-description" tabindex="-1">
+        <button type="button" class="artwork-modal-close" aria-label="Close details" data-modal-close>&times;</button>
+        <figure class="artwork-modal-figure">
+          <img class="artwork-modal-image" alt="">
+        </figure>
+        <div class="artwork-modal-info">
+          <h2 id="artwork-modal-title" class="artwork-modal-title"></h2>
+          <p class="artwork-modal-artist"></p>
+          <dl class="artwork-modal-meta"></dl>
+          <div id="artwork-modal-description" class="artwork-modal-description"></div>
+          <div class="artwork-modal-actions"></div>
+          <a class="artwork-modal-link" target="_blank" rel="noopener noreferrer">View original listing</a>
+          <div class="artwork-modal-nav">
+            <button type="button" class="artwork-modal-prev" aria-label="Previous artwork">&lsaquo; Previous</button>
+            <span class="artwork-modal-position" aria-live="polite"></span>
+            <button type="button" class="artwork-modal-next" aria-label="Next artwork">Next &rsaquo;</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    dialog = modal.querySelector('.artwork-modal-dialog');
+
+    modal.addEventListener('click', function(e) {
+      if (e.target.closest('[data-modal-close]')) {
+        publicApi.close();
+      } else if (e.target.closest('.artwork-modal-prev')) {
+        publicApi.step(-1);
+      } else if (e.target.closest('.artwork-modal-next')) {
+        publicApi.step(1);
+      }
+    });
+
+    modal.addEventListener('keydown', handleKeydown);
+
+    document.body.appendChild(modal);
+  };
+
+  /**
+   * Keyboard handling: Esc, arrows and the Tab focus trap
+   * @private
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  const handleKeydown = function(e) {
+    switch (e.key) {
+      case 'Escape':
+        e.preventDefault();
+        publicApi.close();
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        publicApi.step(-1);
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        publicApi.step(1);
+        break;
+      case 'Tab':
+        trapFocus(e);
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Keep Tab and Shift+Tab inside the dialog
+   * @private
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  const trapFocus = function(e) {
+    const focusable = Array.from(dialog.querySelectorAll(config.focusableSelector))
+      .filter(el => !el.hidden && el.offsetParent !== null);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      dialog.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  /**
+   * Add a term/description pair to the metadata list
+   * @private
+   * @param {HTMLElement} list - The <dl> element
+   * @param {string} term - Label
+   * @param {*} value - Value; skipped when empty
+   */
+  const addMeta = function(list, term, value) {
+    if (value === null || value === undefined || value === '') return;
+
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = String(value);
+    list.appendChild(dt);
+    list.appendChild(dd);
+  };
+
+  /**
+   * Resolve a catalog link, allowing only web addresses
+   * Catalogs can be imported, so javascript: and data: URLs must not become links.
+   * @private
+   * @param {string} value - URL from the catalog
+   * @return {string} - Absolute http(s) URL, or '' when it isn't one
+   */
+  const safeLink = function(value) {
+    try {
+      const url = new URL(String(value).trim(), window.location.href);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+    } catch {
+      return '';
+    }
+  };
+
+  /**
+   * Fill the dialog with the artwork at currentIndex
+   * @private
+   */
+  const renderCurrent = function() {
+    const artwork = sequence[currentIndex];
+    if (!artwork) return;
+
+    const title = artwork.title || 'Untitled';
+    const artist = artwork.artist || 'Unknown Artist';
+
+    const img = modal.querySelector('.artwork-modal-image');
+    img.sizes = config.imageSizes;
+    img.srcset = typeof config.srcsetFor === 'function' ? config.srcsetFor(artwork) : '';
+    img.src = encodeImagePath(artwork.imagePath);
+    img.alt = `${title} by ${artist}`;
+    img.onerror = function() {
+      img.onerror = null;
+      img.srcset = '';
+      img.src = './images/placeholder.svg';
+    };
+
+    modal.querySelector('.artwork-modal-title').textContent = title;
+    modal.querySelector('.artwork-modal-artist').textContent = artist;
+
+    const meta = modal.querySelector('.artwork-modal-meta');
+    meta.innerHTML = '';
+    addMeta(meta, 'Technique', artwork.technique);
+    addMeta(meta, 'Size', artwork.size);
+    addMeta(meta, 'Framed size', artwork.framedSize);
+    addMeta(meta, 'Price', artwork.price);
+
+    const description = modal.querySelector('.artwork-modal-description');
+    description.innerHTML = '';
+    [artwork.fgDescription, artwork.aiDescription].forEach(text => {
+      if (!text) return;
+      const paragraph = document.createElement('p');
+      paragraph.textContent = text;
+      description.appendChild(paragraph);
+    });
+
+    renderActions();
+
+    const link = modal.querySelector('.artwork-modal-link');
+    const href = artwork.url ? safeLink(artwork.url) : '';
+    if (href) {
+      link.href = href;
+      link.hidden = false;
+    } else {
+      link.removeAttribute('href');
+      link.hidden = true;
+    }
+
+    const hasSequence = sequence.length > 1;
+    modal.querySelector('.artwork-modal-prev').disabled = !hasSequence || currentIndex === 0;
+    modal.querySelector('.artwork-modal-next').disabled = !hasSequence || currentIndex === sequence.length - 1;
+    modal.querySelector('.artwork-modal-position').textContent = hasSequence ?
+      `${currentIndex + 1} of ${sequence.length}` :
+      '';
+  };
+
+  /**
+   * Let the configured callback fill the action area for the current artwork
+   * @private
+   */
+  const renderActions = function() {
+    const actions = modal.querySelector('.artwork-modal-actions');
+
+    // Keep focus on the same control when the actions are redrawn
+    const focused = actions.contains(document.activeElement) ? document.activeElement.dataset.action : '';
+
+    actions.innerHTML = '';
+    actions.hidden = typeof config.renderActions !== 'function';
+    if (actions.hidden) return;
+
+    try {
+      config.renderActions(actions, sequence[currentIndex]);
+    } catch (e) {
+      console.error('Error rendering modal actions:', e);
+    }
+
+    const target = focused ? actions.querySelector(`[data-action="${focused}"]`) : null;
+    if (target) {
+      target.focus();
+    }
+  };
+
+  /**
+   * Reflect the current artwork in the URL
+   * @private
+   * @param {boolean} push - Add a history entry instead of replacing
+   */
+  const updateUrl = function(push) {
+    if (!config.updateUrl) return;
+
+    const artwork = sequence[currentIndex];
+    const hash = typeof config.hashFor === 'function' ?
+      config.hashFor(artwork) :
+      config.routePrefix + encodeURIComponent(artwork.id);
+    if (window.location.hash === hash) return;
+
+    if (push) {
+      history.pushState({ artworkId: artwork.id }, '', hash);
+      pushedHistory = true;
+    } else {
+      history.replaceState({ artworkId: artwork.id }, '', hash);
+    }
+  };
+
+  /**
+   * Close the modal when the URL no longer points at an artwork
+   * @private
+   */
+  const handleHistoryChange = function() {
+    if (publicApi.isOpen() && !window.location.hash.startsWith(config.routePrefix)) {
+      pushedHistory = false; // The entry we pushed is already gone
+      publicApi.close();
+    }
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Open the dialog for an artwork
+     * @param {Object} artwork - Artwork record
+     * @param {Object} [options] - Optional settings
+     * @param {Array} [options.sequence] - Current result order for arrow navigation
+     * @param {Function} [options.onClose] - Called after the dialog closes
+     * @return {Object} - ArtworkModal instance for chaining
+     */
+    open: function(artwork, options = {}) {
+      if (!artwork) return this;
+
+      createModal();
+
+      const wasOpen = this.isOpen();
+      sequence = Array.isArray(options.sequence) && options.sequence.length ?
+        options.sequence :
+        [artwork];
+      currentIndex = sequence.indexOf(artwork);
+      if (currentIndex === -1) {
+        currentIndex = sequence.findIndex(item => String(item.id) === String(artwork.id));
+      }
+      if (currentIndex === -1) {
+        sequence = [artwork];
+        currentIndex = 0;
+      }
+      closeListener = options.onClose || null;
+
+      renderCurrent();
+
+      if (!wasOpen) {
+        returnFocusTo = document.activeElement;
+        previousHash = window.location.hash.startsWith(config.routePrefix) ? '' : window.location.hash;
+        pushedHistory = false;
+
+        modal.hidden = false;
+        document.body.classList.add('modal-open');
+        window.addEventListener('popstate', handleHistoryChange);
+        window.addEventListener('hashchange', handleHistoryChange);
+        dialog.focus();
+      }
+
+      updateUrl(!wasOpen);
+      return this;
+    },
+
+    /**
+     * Move to the previous or next artwork in the sequence
+     * @param {number} offset - -1 for previous, 1 for next
+     * @return {Object} - ArtworkModal instance for chaining
+     */
+    step: function(offset) {
+      if (!this.isOpen()) return this;
+
+      const nextIndex = currentIndex + offset;
+      if (nextIndex < 0 || nextIndex >= sequence.length) return this;
+
+      currentIndex = nextIndex;
+      renderCurrent();
+      updateUrl(false);
+      return this;
+    },
+
+    /**
+     * Close the dialog and restore focus and URL
+     * @return {Object} - ArtworkModal instance for chaining
+     */
+    close: function() {
+      if (!this.isOpen()) return this;
+
+      const artwork = sequence[currentIndex];
+
+      modal.hidden = true;
+      document.body.classList.remove('modal-open');
+      window.removeEventListener('popstate', handleHistoryChange);
+      window.removeEventListener('hashchange', handleHistoryChange);
+
+      if (config.updateUrl && window.location.hash.startsWith(config.routePrefix)) {
+        if (pushedHistory) {
+          history.back();
+        } else {
+          const listHash = typeof config.listHash === 'function' ? config.listHash() : '';
+          history.replaceState(null, '', previousHash || listHash || window.location.pathname + window.location.search);
+        }
+      }
+      pushedHistory = false;
+
+      if (returnFocusTo && returnFocusTo.isConnected && typeof returnFocusTo.focus === 'function') {
+        returnFocusTo.focus();
+      }
+      returnFocusTo = null;
+
+      if (typeof closeListener === 'function') {
+        try {
+          closeListener(artwork);
+        } catch (e) {
+          console.error('Error in modal close listener:', e);
+        }
+      }
+      closeListener = null;
+
+      return this;
+    },
+
+    /**
+     * Redraw the action area, e.g. after favorites change elsewhere
+     * @return {Object} - ArtworkModal instance for chaining
+     */
+    refreshActions: function() {
+      if (this.isOpen()) {
+        renderActions();
+      }
+      return this;
+    },
+
+    /**
+     * Check whether the dialog is open
+     * @return {boolean} - Open state
+     */
+    isOpen: function() {
+      return !!modal && !modal.hidden;
+    },
+
+    /**
+     * Get the artwork currently shown
+     * @return {Object|null} - Artwork record or null
+     */
+    getCurrent: function() {
+      return this.isOpen() ? sequence[currentIndex] : null;
+    },
+
+    /**
+     * Extract an artwork id from a #/artwork/<id> hash
+     * @param {string} [hash] - Hash to parse (defaults to location.hash)
+     * @return {string|null} - Decoded id or null
+     */
+    parseHash: function(hash) {
+      const value = hash === undefined ? window.location.hash : hash;
+      if (!value || !value.startsWith(config.routePrefix)) return null;
+
+      try {
+        // Ignore any view-state query after the id
+        const id = value.substring(config.routePrefix.length).split('?')[0];
+        return decodeURIComponent(id) || null;
+      } catch {
+        return null;
+      }
+    },
+
+    /**
+     * Configure the modal
+     * @param {Object} options - Configuration options
+     * @return {Object} - ArtworkModal instance for chaining
+     */
+    configure: function(options) {
+      Object.assign(config, options);
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.ArtworkModal = ArtworkModal;
+} else {
+  window.ArtworkModal = ArtworkModal;
+}
+
+console.log('ArtworkModal module loaded');
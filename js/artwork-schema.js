@@ -0,0 +1,548 @@
+/**
+ * Artwork Schema Module
+ * Declarative description of the catalog CSV columns. Every loader parses
+ * with the same Papa options and turns raw rows into artwork records through
+ * normalize(), which applies aliases, types, required flags and defaults and
+ * returns a single validation report alongside the records.
+ * @version 1.0.0
+ */
+
+const ArtworkSchema = (function() {
+  'use strict';
+
+  /**
+   * Column definitions
+   * key      - Property name on the artwork record
+   * column   - Canonical CSV header
+   * aliases  - Other headers accepted for the same column (matching ignores
+   *            case, spaces and underscores, so "Framed Size" needs no alias)
+   * type     - 'string', 'number' or 'integer'
+   * required - Rows without a value are rejected
+   * default  - Value used when the cell is empty or invalid
+   */
+  const columns = [
+    { key: 'id', column: 'Sort', aliases: ['ID'], type: 'string', required: true },
+    { key: 'title', column: 'Title', type: 'string', required: true },
+    { key: 'artist', column: 'Artist', type: 'string', required: true },
+    { key: 'technique', column: 'Technique', type: 'string', default: '' },
+    { key: 'membership', column: 'Membership', type: 'string', default: '' },
+    { key: 'price', column: 'Price', type: 'string', default: '' },
+    { key: 'size', column: 'Size', type: 'string', default: '' },
+    { key: 'framedSize', column: 'Framed_Size', type: 'string', default: '' },
+    { key: 'totalScore', column: 'Total_Score', type: 'number', default: null },
+    { key: 'aiDescription', column: 'AI_Description', type: 'string', default: '' },
+    { key: 'fgDescription', column: 'FG_Description', type: 'string', default: '' },
+    { key: 'url', column: 'Artwork_URL', aliases: ['URL'], type: 'string', default: '' },
+    { key: 'filename', column: 'Filename', type: 'string', default: '' }
+  ];
+
+  // Papa.parse options shared by every loader; typing is done by the schema
+  const parseOptions = {
+    header: true,
+    dynamicTyping: false,
+    skipEmptyLines: 'greedy',
+    transformHeader: header => String(header).trim()
+  };
+
+  // Currency symbols and codes recognised in price cells; a dollar prefix
+  // must start a word, so "Spa$400" is not read as A$
+  const currencies = [
+    { code: 'USD', pattern: /(?:^|[^a-z])US\$|\bUSD\b/i },
+    { code: 'CAD', pattern: /(?:^|[^a-z])CA?\$|\bCAD\b/i },
+    { code: 'AUD', pattern: /(?:^|[^a-z])AU?\$|\bAUD\b/i },
+    { code: 'NZD', pattern: /(?:^|[^a-z])NZ\$|\bNZD\b/i },
+    { code: 'EUR', pattern: /€|\bEUR\b/i },
+    { code: 'GBP', pattern: /£|\bGBP\b/i },
+    { code: 'JPY', pattern: /¥|\bJPY\b/i },
+    { code: 'CHF', pattern: /\bCHF\b/i },
+    { code: 'USD', pattern: /\$/ } // A bare dollar sign
+  ];
+    
+  // Price cells that say why there is no amount
+  const priceMarkers = [
+    { status: 'nfs', pattern: /\bNFS\b|not\s+for\s+sale/i },
+    { status: 'sold', pattern: /\bsold\b/i },
+    { status: 'poa', pattern: /\bP\.?O\.?A\.?(?=\W|$)|price\s+on\s+(application|request)|on\s+request/i }
+  ];
+    
+  // Size cells list height first ("36 x 24 in" is a portrait), then width and depth
+  const dimensionOrder = ['height', 'width', 'depth'];
+    
+  // Vulgar fractions used in inch measurements
+  const fractions = { '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875 };
+    
+  // Defaults for derived fields
+  const defaultOptions = {
+    imageBasePath: './images_scraped/',
+    placeholderImage: './images/placeholder.svg',
+    defaultUnit: 'in' // Unit assumed when a size cell names none
+  };
+
+  /**
+   * Compare header names ignoring case, spacing and underscores
+   * @private
+   * @param {string} header - Header name
+   * @return {string} - Comparable form
+   */
+  const headerKey = function(header) {
+    return String(header).toLowerCase().replace(/[\s_]+/g, '');
+  };
+
+  /**
+   * Check whether a cell holds no value
+   * @private
+   * @param {*} value - Cell value
+   * @return {boolean} - Whether the cell is empty
+   */
+  const isEmpty = function(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+  };
+
+  /**
+   * Convert a cell to the column's type
+   * @private
+   * @param {*} value - Non-empty cell value
+   * @param {string} type - Column type
+   * @return {Object} - { value } on success, { error } otherwise
+   */
+  const coerce = function(value, type) {
+    const text = String(value).trim();
+
+    switch (type) {
+      case 'number':
+      case 'integer': {
+        const number = Number(text.replace(/,/g, ''));
+        if (!isFinite(number)) {
+          return { error: `expected a number, got "${text}"` };
+        }
+        if (type === 'integer' && !Number.isInteger(number)) {
+          return { error: `expected a whole number, got "${text}"` };
+        }
+        return { value: number };
+      }
+      default:
+        return { value: text };
+    }
+  };
+
+  /**
+   * Read a number written with thousands separators in either convention
+   * @private
+   * @param {string} text - Digits and separators, e.g. "1,200" or "1.200,50"
+   * @return {number} - Parsed amount (NaN if unreadable)
+   */
+  const parseAmount = function(text) {
+    const compact = text.replace(/[\s'’]/g, '');
+    const lastComma = compact.lastIndexOf(',');
+    const lastDot = compact.lastIndexOf('.');
+        
+    // With both separators the later one marks the decimals
+    if (lastComma !== -1 && lastDot !== -1) {
+      const decimal = lastComma > lastDot ? ',' : '.';
+      const thousands = decimal === ',' ? '.' : ',';
+      return Number(compact.split(thousands).join('').replace(decimal, '.'));
+    }
+        
+    // A lone separator followed by groups of three is a thousands separator
+    const separator = lastComma !== -1 ? ',' : (lastDot !== -1 ? '.' : '');
+    if (!separator) return Number(compact);
+    const grouped = new RegExp(`^\\d{1,3}(\\${separator}\\d{3})+$`);
+    return grouped.test(compact) ?
+      Number(compact.split(separator).join('')) :
+      Number(compact.replace(separator, '.'));
+  };
+    
+  /**
+   * Read one measurement, e.g. "24 1/2", "24½", "36\"h" or "W: 60"
+   * @private
+   * @param {string} part - Text between the "x" separators
+   * @return {Object|null} - { value, label } where label is 'width', 'height', 'depth' or ''
+   */
+  const parseMeasurement = function(part) {
+    const text = part.replace(/[¼½¾⅓⅔⅛⅜⅝⅞]/g, match => ` ${fractions[match]}`);
+    const match = text.match(/(\d+(?:[.,]\d+)?)(?:\s+(\d+)\/(\d+)|\s+(0?\.\d+))?/);
+    if (!match) return null;
+        
+    let value = parseFloat(match[1].replace(',', '.'));
+    if (match[2] && Number(match[3]) > 0) value += Number(match[2]) / Number(match[3]);
+    if (match[4]) value += parseFloat(match[4]);
+        
+    // A lone h/w/d (or the full word) before or after the number names the axis
+    const letters = text.replace(/\b(?:cm|mm|in|inch(?:es)?)\b/g, '');
+    const label = (letters.match(/\b(h|w|d|height|width|depth)\b|\d\s*["”]?\s*(h|w|d)\b/) || []).slice(1).find(Boolean) || '';
+    return { value, label: { h: 'height', w: 'width', d: 'depth' }[label] || label };
+  };
+    
+  /**
+   * Build the image path for a record
+   * @private
+   * @param {Object} record - Normalized record
+   * @param {Object} options - Normalize options
+   * @return {string} - Image path
+   */
+  const deriveImagePath = function(record, options) {
+    if (record.filename) {
+      return `${options.imageBasePath}${record.filename}`;
+    }
+
+    // Scraped images are named <id>_<title>_<size>_<price>.jpg
+    if (record.id) {
+      const idPart = record.id.padStart(5, '0');
+      const titlePart = record.title ? record.title.replace(/\s+/g, '_') : 'Untitled';
+      const sizePart = record.size ? record.size.replace(/\s+/g, '_') : 'NoSize';
+      const pricePart = record.price ? record.price : 'NoPriceInfo';
+
+      return `${options.imageBasePath}${idPart}_${titlePart}_${sizePart}_${pricePart}.jpg`;
+    }
+
+    return options.placeholderImage;
+  };
+
+  return {
+    /**
+     * Get the column definitions
+     * @return {Array} - Copies of the column definitions
+     */
+    getColumns: function() {
+      return columns.map(column => ({ ...column, aliases: [...(column.aliases || [])] }));
+    },
+
+    /**
+     * Record keys that every valid artwork must have
+     * @return {Array} - Required record keys
+     */
+    getRequiredKeys: function() {
+      return columns.filter(column => column.required).map(column => column.key);
+    },
+
+    /**
+     * Papa.parse options to use with normalize()
+     * @return {Object} - Parse options
+     */
+    getParseOptions: function() {
+      return { ...parseOptions };
+    },
+
+    /**
+     * Match CSV headers to schema columns
+     * @param {Array} headers - Header names from the CSV
+     * @return {Object} - { mapping, missing, aliased, unknown }
+     */
+    resolveHeaders: function(headers) {
+      const available = new Map();
+      (headers || []).forEach(header => {
+        const key = headerKey(header);
+        if (!available.has(key)) available.set(key, header);
+      });
+
+      const mapping = {};
+      const missing = [];
+      const aliased = {};
+      const used = new Set();
+
+      columns.forEach(column => {
+        const candidates = [column.column, ...(column.aliases || [])];
+        const match = candidates.find(name => available.has(headerKey(name)));
+
+        if (match) {
+          const header = available.get(headerKey(match));
+          mapping[column.key] = header;
+          used.add(header);
+          if (match !== column.column) {
+            aliased[column.column] = header;
+          }
+        } else if (column.required) {
+          missing.push(column.column);
+        }
+      });
+
+      const unknown = (headers || []).filter(header => header && !used.has(header));
+
+      return { mapping, missing, aliased, unknown };
+    },
+
+    /**
+     * Turn parsed CSV rows into artwork records
+     * @param {Array} rows - Row objects from Papa.parse with header: true
+     * @param {Array} [headers] - Header names (defaults to the first row's keys)
+     * @param {Object} [options] - Options for derived fields
+     * @param {string} [options.imageBasePath] - Folder holding artwork images
+     * @param {string} [options.placeholderImage] - Image used when none can be derived
+     * @param {string} [options.source] - Where the rows came from, for the report
+     * @param {Array} [options.parseErrors] - Papa.parse errors to include in the report
+     * @return {Object} - { records, report }; issue rows count from 1 at the first data row
+     */
+    normalize: function(rows, headers, options = {}) {
+      const settings = { ...defaultOptions, ...options };
+      const data = Array.isArray(rows) ? rows : [];
+      const resolved = this.resolveHeaders(headers || (data[0] ? Object.keys(data[0]) : []));
+
+      const report = {
+        source: settings.source || '',
+        totalRows: data.length,
+        acceptedRows: 0,
+        rejectedRows: 0,
+        missingColumns: resolved.missing,
+        aliasedColumns: resolved.aliased,
+        unknownColumns: resolved.unknown,
+        issues: []
+      };
+
+      // Without a required column every row would be rejected
+      if (resolved.missing.length > 0) {
+        report.rejectedRows = data.length;
+        report.issues.push({
+          row: null,
+          id: '',
+          title: '',
+          column: resolved.missing.join(', '),
+          severity: 'error',
+          message: `Missing required column${resolved.missing.length > 1 ? 's' : ''}: ${resolved.missing.join(', ')}`
+        });
+        return { records: [], report };
+      }
+
+      const records = [];
+      const seenIds = new Map();
+
+      data.forEach((row, index) => {
+        const rowNumber = index + 1;
+        const record = {};
+        let rejected = false;
+
+        // Identify the row in diagnostics even when the record is rejected
+        const rowRef = {
+          row: rowNumber,
+          id: resolved.mapping.id ? String(row[resolved.mapping.id] || '').trim() : '',
+          title: resolved.mapping.title ? String(row[resolved.mapping.title] || '').trim() : ''
+        };
+
+        columns.forEach(column => {
+          const header = resolved.mapping[column.key];
+          const raw = header ? row[header] : undefined;
+
+          if (isEmpty(raw)) {
+            if (column.required) {
+              report.issues.push({ ...rowRef, column: column.column, severity: 'error', message: 'Required value is empty' });
+              rejected = true;
+            }
+            record[column.key] = column.default !== undefined ? column.default : '';
+            return;
+          }
+
+          const result = coerce(raw, column.type);
+          if (result.error) {
+            report.issues.push({ ...rowRef, column: column.column, severity: column.required ? 'error' : 'warning', message: result.error });
+            if (column.required) rejected = true;
+            record[column.key] = column.default !== undefined ? column.default : '';
+          } else {
+            record[column.key] = result.value;
+          }
+        });
+
+        if (rejected) {
+          report.rejectedRows++;
+          return;
+        }
+
+        if (seenIds.has(record.id)) {
+          report.issues.push({
+            ...rowRef,
+            column: columns[0].column,
+            severity: 'warning',
+            message: `Duplicate id "${record.id}" (first seen in row ${seenIds.get(record.id)})`
+          });
+        } else {
+          seenIds.set(record.id, rowNumber);
+        }
+
+        // Derived fields
+        const price = this.parsePrice(record.price);
+        record.priceValue = price.amount;
+        record.priceCurrency = price.currency;
+        record.priceStatus = price.status;
+        if (price.status === 'unknown') {
+          report.issues.push({ ...rowRef, column: 'Price', severity: 'warning', message: `Price not recognised: "${record.price}"` });
+        }
+        record.dimensions = this.parseDimensions(record.size, settings.defaultUnit);
+        record.framedDimensions = this.parseDimensions(record.framedSize, settings.defaultUnit);
+        record.isFramed = record.framedSize !== '';
+        record.orientation = this.getOrientation(record.framedDimensions || record.dimensions);
+        [['size', 'Size'], ['framedSize', 'Framed_Size']].forEach(([key, column]) => {
+          const dimensions = key === 'size' ? record.dimensions : record.framedDimensions;
+          if (record[key] && !dimensions) {
+            report.issues.push({ ...rowRef, column, severity: 'warning', message: `Size not recognised: "${record[key]}"` });
+          }
+        });
+        record.imagePath = deriveImagePath(record, settings);
+        record.displaySize = record.framedSize ? `Framed Size: ${record.framedSize}` :
+          (record.size ? `Size: ${record.size}` : '');
+
+        records.push(record);
+      });
+
+      // Papa keeps malformed rows but reports them; a shifted row loads with wrong values
+      (settings.parseErrors || []).forEach(error => {
+        const hasRow = typeof error.row === 'number';
+        const row = hasRow ? data[error.row] : null;
+        report.issues.push({
+          row: hasRow ? error.row + 1 : null,
+          id: row && resolved.mapping.id ? String(row[resolved.mapping.id] || '').trim() : '',
+          title: row && resolved.mapping.title ? String(row[resolved.mapping.title] || '').trim() : '',
+          column: '',
+          severity: 'warning',
+          message: `${error.code || error.type || 'ParseError'}: ${error.message}`
+        });
+      });
+
+      report.issues.sort((a, b) => (a.row || 0) - (b.row || 0));
+      report.acceptedRows = records.length;
+
+      return { records, report };
+    },
+
+    /**
+     * Normalize a price cell
+     * Handles currency symbols and codes, either thousands-separator
+     * convention, ranges (the lower bound is used) and NFS/Sold/POA markers.
+     * @param {*} value - Raw price, e.g. "$1,200", "A$400", "C$ 950", "€ 1.200,50", "NFS"
+     * @return {Object} - { amount, currency, status }; status is 'priced', 'nfs',
+     *   'sold', 'poa', 'missing' or 'unknown', and amount is null unless priced
+     */
+    parsePrice: function(value) {
+      if (typeof value === 'number') {
+        return isFinite(value) ?
+          { amount: value, currency: '', status: 'priced' } :
+          { amount: null, currency: '', status: 'unknown' };
+      }
+      if (isEmpty(value)) {
+        return { amount: null, currency: '', status: 'missing' };
+      }
+            
+      const text = String(value).trim();
+      const marker = priceMarkers.find(entry => entry.pattern.test(text));
+      if (marker) {
+        return { amount: null, currency: '', status: marker.status };
+      }
+            
+      const currency = currencies.find(entry => entry.pattern.test(text));
+      const match = text.match(/\d[\d.,\s'’]*/);
+      const amount = match ? parseAmount(match[0].trim()) : NaN;
+            
+      return isFinite(amount) ?
+        { amount, currency: currency ? currency.code : '', status: 'priced' } :
+        { amount: null, currency: '', status: 'unknown' };
+    },
+        
+    /**
+     * Parse a size cell into dimensions
+     * Accepts "36 x 24 in", "24\" x 36\"", "60 × 90 × 4 cm", "30cm x 40cm",
+     * "500mm x 700mm", "24 1/2 x 30", "90 by 60 cm" and labelled parts such as
+     * "24w x 36h". Unlabelled parts
+     * are read as height, width, depth; millimetres are converted to cm.
+     * @param {string} value - Raw size text
+     * @param {string} [defaultUnit='in'] - Unit when the text names none
+     * @return {Object|null} - { height, width, depth, unit } (depth may be null) or null if unreadable
+     */
+    parseDimensions: function(value, defaultUnit = defaultOptions.defaultUnit) {
+      if (isEmpty(value)) return null;
+            
+      const text = String(value).toLowerCase();
+      let unit = defaultUnit;
+      let scale = 1;
+      // Units may be written against the number ("30cm"), where \b doesn't match
+      if (/(?:\d\s*|\b)mm\b|millimet/.test(text)) {
+        unit = 'cm';
+        scale = 0.1;
+      } else if (/(?:\d\s*|\b)cm\b|centimet/.test(text)) {
+        unit = 'cm';
+      } else if (/(?:\d\s*|\b)in\b|inch|["”]|''/.test(text)) {
+        unit = 'in';
+      }
+            
+      const parts = text.split(/\s*(?:x|×|\*|\bby\b)\s*/)
+        .map(parseMeasurement)
+        .filter(Boolean);
+      if (parts.length < 2) return null;
+            
+      const dimensions = { height: null, width: null, depth: null, unit };
+      const unlabelled = dimensionOrder.filter(axis => !parts.some(part => part.label === axis));
+      parts.slice(0, 3).forEach(part => {
+        const axis = part.label && dimensions[part.label] === null ? part.label : unlabelled.shift();
+        if (axis) dimensions[axis] = Math.round(part.value * scale * 100) / 100;
+      });
+            
+      return dimensions.height > 0 && dimensions.width > 0 ? dimensions : null;
+    },
+        
+    /**
+     * Classify dimensions as portrait, landscape or square (within 5%)
+     * @param {Object|null} dimensions - Output of parseDimensions
+     * @return {string} - 'portrait', 'landscape', 'square' or '' when unknown
+     */
+    getOrientation: function(dimensions) {
+      if (!dimensions) return '';
+      const { width, height } = dimensions;
+      if (Math.abs(width - height) <= Math.max(width, height) * 0.05) return 'square';
+      return height > width ? 'portrait' : 'landscape';
+    },
+        
+    /**
+     * Convert a length to inches
+     * @param {number} value - Length
+     * @param {string} unit - 'in' or 'cm'
+     * @return {number} - Length in inches
+     */
+    toInches: function(value, unit) {
+      return unit === 'cm' ? value / 2.54 : value;
+    },
+        
+    /**
+     * One-line summary of a validation report
+     * @param {Object} report - Report from normalize()
+     * @return {string} - Summary text
+     */
+    summarize: function(report) {
+      if (!report) return '';
+
+      const warnings = report.issues.filter(issue => issue.severity === 'warning').length;
+      const parts = [`${report.acceptedRows} of ${report.totalRows} rows loaded`];
+      if (report.rejectedRows > 0) {
+        parts.push(`${report.rejectedRows} skipped`);
+      }
+      if (warnings > 0) {
+        parts.push(`${warnings} warning${warnings === 1 ? '' : 's'}`);
+      }
+      return parts.join(', ');
+    },
+
+    /**
+     * Serialize a validation report's issues as CSV for download
+     * @param {Object} report - Report from normalize()
+     * @return {string} - CSV text with one issue per line
+     */
+    reportToCSV: function(report) {
+      const escape = function(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+
+      const lines = [['Row', 'Id', 'Title', 'Column', 'Severity', 'Message'].join(',')];
+      (report ? report.issues : []).forEach(issue => {
+        lines.push([issue.row, issue.id, issue.title, issue.column, issue.severity, issue.message]
+          .map(escape)
+          .join(','));
+      });
+      return lines.join('\r\n') + '\r\n';
+    }
+  };
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.ArtworkSchema = ArtworkSchema;
+} else {
+  window.ArtworkSchema = ArtworkSchema;
+}
+
+console.log('ArtworkSchema module loaded');
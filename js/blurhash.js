@@ -0,0 +1,194 @@
+/**
+ * BlurHash Module
+ * Decodes BlurHash strings (https://blurha.sh) into small blurred images for
+ * use as placeholders while artwork images load. The hashes are produced
+ * offline by build-image-variants.js and stored in the variant manifest.
+ * @version 1.0.0
+ */
+
+const BlurHash = (function() {
+  'use strict';
+
+  // Private variables
+  const dataUrls = new Map(); // "hash|width|height" -> data URL, oldest first
+
+  // Configuration
+  const config = {
+    punch: 1, // Contrast of the decoded image
+    maxCachedUrls: 500
+  };
+
+  const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+  /**
+   * Read a base 83 number
+   * @private
+   * @param {string} text - Base 83 digits
+   * @return {number} - Value, NaN on an invalid digit
+   */
+  const decode83 = function(text) {
+    let value = 0;
+    for (const character of text) {
+      const digit = DIGITS.indexOf(character);
+      if (digit === -1) return NaN;
+      value = value * 83 + digit;
+    }
+    return value;
+  };
+
+  /**
+   * Convert an sRGB channel (0-255) to linear light
+   * @private
+   * @param {number} value - Channel value
+   * @return {number} - Linear value 0-1
+   */
+  const sRGBToLinear = function(value) {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  };
+
+  /**
+   * Convert linear light back to an sRGB channel
+   * @private
+   * @param {number} value - Linear value
+   * @return {number} - Channel value 0-255
+   */
+  const linearToSRGB = function(value) {
+    const v = Math.max(0, Math.min(1, value));
+    return v <= 0.0031308 ?
+      Math.round(v * 12.92 * 255 + 0.5) :
+      Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+  };
+
+  /**
+   * Raise to a power keeping the sign
+   * @private
+   * @param {number} value - Base
+   * @param {number} exponent - Exponent
+   * @return {number} - Signed result
+   */
+  const signPow = function(value, exponent) {
+    return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Check that a string is a well-formed BlurHash
+     * @param {string} hash - BlurHash string
+     * @return {boolean} - True when it can be decoded
+     */
+    isValid: function(hash) {
+      if (typeof hash !== 'string' || hash.length < 6) return false;
+
+      const sizeFlag = decode83(hash[0]);
+      const numX = (sizeFlag % 9) + 1;
+      const numY = Math.floor(sizeFlag / 9) + 1;
+      return !isNaN(decode83(hash)) && hash.length === 4 + 2 * numX * numY;
+    },
+
+    /**
+     * Decode a BlurHash into RGBA pixels
+     * @param {string} hash - BlurHash string
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     * @param {number} [punch] - Contrast (defaults to config.punch)
+     * @return {Uint8ClampedArray|null} - width * height * 4 bytes, or null for an invalid hash
+     */
+    decode: function(hash, width, height, punch = config.punch) {
+      if (!this.isValid(hash)) return null;
+
+      const sizeFlag = decode83(hash[0]);
+      const numX = (sizeFlag % 9) + 1;
+      const numY = Math.floor(sizeFlag / 9) + 1;
+      const maxValue = ((decode83(hash[1]) + 1) / 166) * punch;
+
+      const colors = [];
+      const dc = decode83(hash.substring(2, 6));
+      colors.push([sRGBToLinear(dc >> 16), sRGBToLinear((dc >> 8) & 255), sRGBToLinear(dc & 255)]);
+      for (let i = 1; i < numX * numY; i++) {
+        const ac = decode83(hash.substring(4 + i * 2, 6 + i * 2));
+        colors.push([
+          signPow((Math.floor(ac / (19 * 19)) - 9) / 9, 2) * maxValue,
+          signPow(((Math.floor(ac / 19) % 19) - 9) / 9, 2) * maxValue,
+          signPow(((ac % 19) - 9) / 9, 2) * maxValue
+        ]);
+      }
+
+      const pixels = new Uint8ClampedArray(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          let r = 0;
+          let g = 0;
+          let b = 0;
+          for (let j = 0; j < numY; j++) {
+            const basisY = Math.cos((Math.PI * y * j) / height);
+            for (let i = 0; i < numX; i++) {
+              const basis = Math.cos((Math.PI * x * i) / width) * basisY;
+              const color = colors[i + j * numX];
+              r += color[0] * basis;
+              g += color[1] * basis;
+              b += color[2] * basis;
+            }
+          }
+          const offset = 4 * (x + y * width);
+          pixels[offset] = linearToSRGB(r);
+          pixels[offset + 1] = linearToSRGB(g);
+          pixels[offset + 2] = linearToSRGB(b);
+          pixels[offset + 3] = 255;
+        }
+      }
+      return pixels;
+    },
+
+    /**
+     * Decode a BlurHash into a PNG data URL, reusing recent results
+     * @param {string} hash - BlurHash string
+     * @param {number} width - Output width in pixels (keep it small; the browser scales it up smoothly)
+     * @param {number} height - Output height in pixels
+     * @return {string} - Data URL, or '' for an invalid hash or without canvas support
+     */
+    toDataURL: function(hash, width, height) {
+      const key = `${hash}|${width}|${height}`;
+      if (dataUrls.has(key)) return dataUrls.get(key);
+
+      const pixels = this.decode(hash, width, height);
+      if (!pixels || typeof document === 'undefined') return '';
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d');
+      if (!context) return '';
+      context.putImageData(new ImageData(pixels, width, height), 0, 0);
+
+      const url = canvas.toDataURL('image/png');
+      dataUrls.set(key, url);
+      if (dataUrls.size > config.maxCachedUrls) {
+        dataUrls.delete(dataUrls.keys().next().value);
+      }
+      return url;
+    },
+
+    /**
+     * Configure the module
+     * @param {Object} options - Configuration options
+     * @return {Object} - BlurHash instance for chaining
+     */
+    configure: function(options) {
+      Object.assign(config, options);
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.BlurHash = BlurHash;
+} else {
+  window.BlurHash = BlurHash;
+}
+
+console.log('BlurHash module loaded');
@@ -0,0 +1,183 @@
+/**
+ * Caption Controls Module
+ * "Captions" dropdown above the gallery choosing how tile captions show:
+ * hidden, on hover, always (title and artist) or detailed (with technique,
+ * size and price). The choice is remembered through AppStorage; the tiles
+ * themselves are captioned by VirtualScroll.
+ * @version 1.0.0
+ */
+
+/* global AppStorage */
+
+const CaptionControls = (function() {
+  'use strict';
+
+  // Private variables
+  let container = null;
+  let changeListener = null;
+  let currentMode = '';
+
+  // Configuration
+  const config = {
+    containerId: 'caption-controls',
+    storageKey: 'curated_collection_captions',
+    defaultMode: 'hover',
+    modes: [
+      { key: 'hidden', label: 'Hidden' },
+      { key: 'hover', label: 'On hover' },
+      { key: 'always', label: 'Always' },
+      { key: 'detailed', label: 'Detailed' }
+    ]
+  };
+
+  /**
+   * Show the current mode in the dropdown
+   * @private
+   */
+  const syncControls = function() {
+    if (!container) return;
+    container.querySelector('#caption-mode').value = currentMode;
+  };
+
+  /**
+   * Read the dropdown after the user changes it
+   * @private
+   */
+  const handleChange = function() {
+    publicApi.setMode(container.querySelector('#caption-mode').value);
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Build the control and insert it above the gallery
+     * @param {HTMLElement} galleryContainer - The #gallery-container element
+     * @param {Object} [options] - Optional settings
+     * @param {Function} [options.onChange] - Called with the new mode after a user change
+     * @param {HTMLElement} [options.before] - Element to insert before (defaults to the gallery)
+     * @param {string} [options.mode] - Initial mode
+     * @return {Object} - CaptionControls instance for chaining
+     */
+    init: function(galleryContainer, options = {}) {
+      const reference = options.before || galleryContainer;
+      if (!reference || !reference.parentNode) {
+        console.error('CaptionControls init failed: missing gallery container');
+        return this;
+      }
+
+      this.destroy();
+
+      changeListener = options.onChange || null;
+      currentMode = this.normalize(options.mode);
+
+      const modeOptions = config.modes
+        .map(mode => `<option value="${mode.key}">${mode.label}</option>`)
+        .join('');
+
+      container = document.createElement('div');
+      container.id = config.containerId;
+      container.className = 'sort-controls caption-controls';
+      container.innerHTML = `
+        <label for="caption-mode">Captions</label>
+        <select id="caption-mode" class="sort-select">${modeOptions}</select>
+      `;
+      container.addEventListener('change', handleChange);
+
+      reference.parentNode.insertBefore(container, reference);
+      syncControls();
+
+      return this;
+    },
+
+    /**
+     * Get the current mode
+     * @return {string} - 'hidden', 'hover', 'always' or 'detailed'
+     */
+    getMode: function() {
+      return currentMode || config.defaultMode;
+    },
+
+    /**
+     * Change the mode and update the control
+     * @param {string} mode - New mode
+     * @param {boolean} [silent=false] - Skip remembering it and notifying the listener
+     * @return {Object} - CaptionControls instance for chaining
+     */
+    setMode: function(mode, silent = false) {
+      const normalized = this.normalize(mode);
+      const changed = normalized !== currentMode;
+      currentMode = normalized;
+      syncControls();
+
+      if (!silent && changed) {
+        this.savePreference(normalized);
+        if (typeof changeListener === 'function') {
+          try {
+            changeListener(normalized);
+          } catch (e) {
+            console.error('Error in caption mode listener:', e);
+          }
+        }
+      }
+      return this;
+    },
+
+    /**
+     * Replace an unknown mode with the default
+     * @param {string} mode - Mode from storage or the control
+     * @return {string} - A known mode
+     */
+    normalize: function(mode) {
+      return config.modes.some(entry => entry.key === mode) ? mode : config.defaultMode;
+    },
+
+    /**
+     * Load the mode chosen in an earlier visit
+     * @return {Promise<string>} - Stored mode, or the default
+     */
+    loadPreference: function() {
+      if (typeof AppStorage === 'undefined') return Promise.resolve(config.defaultMode);
+
+      return AppStorage.load(config.storageKey)
+        .then(result => this.normalize(result && result.data))
+        .catch(() => config.defaultMode);
+    },
+
+    /**
+     * Remember a mode for the next visit
+     * @param {string} mode - Mode to store
+     * @return {Promise} - Resolves when stored
+     */
+    savePreference: function(mode) {
+      if (typeof AppStorage === 'undefined') return Promise.resolve();
+
+      return AppStorage.save(config.storageKey, this.normalize(mode)).catch(error => {
+        console.warn('Could not save caption mode:', error);
+      });
+    },
+
+    /**
+     * Remove the control from the DOM
+     * @return {Object} - CaptionControls instance for chaining
+     */
+    destroy: function() {
+      if (container && container.parentNode) {
+        container.parentNode.removeChild(container);
+      }
+      container = null;
+      changeListener = null;
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.CaptionControls = CaptionControls;
+} else {
+  window.CaptionControls = CaptionControls;
+}
+
+console.log('CaptionControls module loaded');
@@ -0,0 +1,324 @@
+/**
+ * Catalog Export Module
+ * Downloads the artworks in the current view, in their current order, as
+ * CSV, TSV or JSON. Columns use the original catalog headers from
+ * ArtworkSchema (Sort, Title, Artist, ...) and hold the values as they were
+ * read, so an exported file loads back through FormatAdapters unchanged.
+ * For CSV and TSV files bound for a spreadsheet, the "safe for spreadsheets"
+ * option prefixes text cells that would start a formula (=, +, -, @, tab or
+ * CR) with an apostrophe; such files no longer round-trip exactly.
+ * @version 1.1.0
+ */
+
+/* global ArtworkSchema */
+
+const CatalogExport = (function() {
+  'use strict';
+
+  // Private variables
+  let panel = null;
+  let toggleButton = null;
+  let selectionSource = null;
+
+  // Configuration
+  const config = {
+    panelId: 'export-options',
+    toggleId: 'export-toggle',
+    defaultFilename: 'catalog',
+    formats: {
+      csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', delimiter: ',' },
+      tsv: { label: 'TSV (spreadsheets)', extension: 'tsv', mimeType: 'text/tab-separated-values', delimiter: '\t' },
+      json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+    }
+  };
+
+  /**
+   * Schema columns available for export
+   * @private
+   * @return {Array} - Column definitions from ArtworkSchema
+   */
+  const getSchemaColumns = function() {
+    return typeof ArtworkSchema !== 'undefined' ? ArtworkSchema.getColumns() : [];
+  };
+
+  /**
+   * Read a record's value for a column as it appeared in the source file
+   * @private
+   * @param {Object} artwork - Artwork record
+   * @param {Object} column - Schema column
+   * @return {*} - Cell value; numbers stay numbers, missing values become ''
+   */
+  const cellValue = function(artwork, column) {
+    const value = artwork[column.key];
+    return value === null || value === undefined ? '' : value;
+  };
+
+  /**
+   * Quote a delimited cell when it holds the delimiter, a quote or a line break
+   * @private
+   * @param {*} value - Cell value
+   * @param {string} delimiter - Field delimiter
+   * @param {boolean} [guardFormulas=false] - Prefix text a spreadsheet would run as a formula with an apostrophe
+   * @return {string} - Escaped cell
+   */
+  const escapeCell = function(value, delimiter, guardFormulas = false) {
+    const isFormula = guardFormulas && typeof value === 'string' && /^[=+\-@\t\r]/.test(value);
+    const text = isFormula ? `'${value}` : String(value);
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  /**
+   * Offer text as a file download
+   * @private
+   * @param {string} text - File contents
+   * @param {string} filename - Suggested file name
+   * @param {string} mimeType - MIME type
+   */
+  const downloadText = function(text, filename, mimeType) {
+    const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  /**
+   * Turn a view title into a file name stem
+   * @private
+   * @param {string} title - View title
+   * @return {string} - Lowercase slug with today's date
+   */
+  const filenameFor = function(title) {
+    const slug = String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || config.defaultFilename}-${new Date().toISOString().slice(0, 10)}`;
+  };
+
+  /**
+   * Ask the controller what is on screen
+   * @private
+   * @return {Object} - { artworks, title }
+   */
+  const getSelection = function() {
+    const selection = typeof selectionSource === 'function' ? selectionSource() : null;
+    return {
+      artworks: selection && Array.isArray(selection.artworks) ? selection.artworks : [],
+      title: selection && selection.title ? selection.title : ''
+    };
+  };
+
+  /**
+   * Read the chosen format and columns from the panel
+   * @private
+   * @return {Object} - { format, columns, spreadsheetSafe }
+   */
+  const readOptions = function() {
+    return {
+      format: panel.querySelector('#export-format').value,
+      columns: [...panel.querySelectorAll('.export-column:checked')].map(input => input.value),
+      spreadsheetSafe: panel.querySelector('#export-spreadsheet-safe').checked
+    };
+  };
+
+  /**
+   * Show how much will be exported
+   * @private
+   */
+  const updateSummary = function() {
+    if (!panel || panel.hidden) return;
+
+    const count = getSelection().artworks.length;
+    panel.querySelector('.export-summary').textContent = count ?
+      `${count} artwork${count === 1 ? '' : 's'} from the current view, in the order shown.` :
+      'Nothing to export: the current view is empty.';
+    panel.querySelector('.export-start').disabled = count === 0;
+  };
+
+  /**
+   * Build the column checkboxes; required columns stay selected so the file can be re-imported
+   * @private
+   * @return {string} - Checkbox markup
+   */
+  const buildColumnOptions = function() {
+    return getSchemaColumns().map(column => `
+      <label class="export-column-option">
+        <input type="checkbox" class="export-column" value="${column.column}" checked${column.required ? ' disabled' : ''}>
+        ${column.column}${column.required ? ' <span class="export-required">(required)</span>' : ''}
+      </label>
+    `).join('');
+  };
+
+  /**
+   * Expand or collapse the options panel
+   * @private
+   * @param {boolean} expanded - Whether the panel should be visible
+   */
+  const setExpanded = function(expanded) {
+    panel.hidden = !expanded;
+    toggleButton.setAttribute('aria-expanded', String(expanded));
+    if (expanded) updateSummary();
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Add the header toggle and the options panel
+     * @param {HTMLElement} actionsContainer - Header element that receives the toggle
+     * @param {HTMLElement} before - Element the options panel is inserted before
+     * @param {Object} options - Settings
+     * @param {Function} options.getSelection - Returns { artworks, title } for the current view
+     * @return {Object} - CatalogExport instance for chaining
+     */
+    init: function(actionsContainer, before, options = {}) {
+      if (!actionsContainer || !before || !before.parentNode || typeof options.getSelection !== 'function') {
+        console.error('CatalogExport init failed: missing container or selection source');
+        return this;
+      }
+
+      this.destroy();
+      selectionSource = options.getSelection;
+
+      toggleButton = document.createElement('button');
+      toggleButton.type = 'button';
+      toggleButton.id = config.toggleId;
+      toggleButton.className = 'header-action-button';
+      toggleButton.textContent = 'Export';
+      toggleButton.setAttribute('aria-controls', config.panelId);
+      toggleButton.addEventListener('click', function() {
+        setExpanded(panel.hidden);
+      });
+
+      const formatOptions = Object.keys(config.formats)
+        .map(id => `<option value="${id}">${config.formats[id].label}</option>`)
+        .join('');
+
+      panel = document.createElement('section');
+      panel.id = config.panelId;
+      panel.className = 'print-options export-options';
+      panel.setAttribute('aria-label', 'Export current view');
+      panel.innerHTML = `
+        <h2>Export current view</h2>
+        <p class="print-summary export-summary"></p>
+        <div class="print-option">
+          <label for="export-format">Format</label>
+          <select id="export-format" class="sort-select">${formatOptions}</select>
+        </div>
+        <div class="print-option">
+          <input type="checkbox" id="export-spreadsheet-safe">
+          <label for="export-spreadsheet-safe">Safe for spreadsheets (CSV and TSV; stops cells running as formulas)</label>
+        </div>
+        <fieldset class="export-columns">
+          <legend>Columns</legend>
+          ${buildColumnOptions()}
+        </fieldset>
+        <div class="print-option">
+          <button type="button" class="filter-button export-start">Download</button>
+        </div>
+      `;
+      panel.querySelector('.export-start').addEventListener('click', function() {
+        publicApi.download(readOptions());
+      });
+
+      actionsContainer.appendChild(toggleButton);
+      before.parentNode.insertBefore(panel, before);
+      setExpanded(false);
+      return this;
+    },
+
+    /**
+     * Serialize artworks with their original column names
+     * @param {Array} artworks - Artworks in the order to write
+     * @param {Object} [options] - Export options
+     * @param {string} [options.format='csv'] - 'csv', 'tsv' or 'json'
+     * @param {Array} [options.columns] - Column headers to include (defaults to all); required ones are always kept
+     * @param {boolean} [options.spreadsheetSafe=false] - Guard CSV/TSV cells against formula execution; the file then won't load back unchanged
+     * @return {Object} - { text, extension, mimeType }
+     */
+    serialize: function(artworks, options = {}) {
+      const format = config.formats[options.format] ? options.format : 'csv';
+      const settings = config.formats[format];
+      const requested = Array.isArray(options.columns) ? options.columns : null;
+      const columns = getSchemaColumns().filter(column =>
+        !requested || column.required || requested.includes(column.column));
+
+      let text;
+      if (format === 'json') {
+        const records = artworks.map(artwork => {
+          const record = {};
+          columns.forEach(column => {
+            record[column.column] = cellValue(artwork, column);
+          });
+          return record;
+        });
+        text = JSON.stringify({ exportedAt: new Date().toISOString(), artworks: records }, null, 2) + '\n';
+      } else {
+        const guardFormulas = options.spreadsheetSafe === true;
+        const lines = [columns.map(column => escapeCell(column.column, settings.delimiter)).join(settings.delimiter)];
+        artworks.forEach(artwork => {
+          lines.push(columns
+            .map(column => escapeCell(cellValue(artwork, column), settings.delimiter, guardFormulas))
+            .join(settings.delimiter));
+        });
+        // The byte order mark lets spreadsheet apps detect UTF-8
+        text = '\uFEFF' + lines.join('\r\n') + '\r\n';
+      }
+
+      return { text, extension: settings.extension, mimeType: settings.mimeType };
+    },
+
+    /**
+     * Download the current view
+     * @param {Object} [options] - { format, columns, spreadsheetSafe } as for serialize
+     * @return {boolean} - Whether a file was offered
+     */
+    download: function(options = {}) {
+      const selection = getSelection();
+      if (selection.artworks.length === 0) return false;
+
+      const file = this.serialize(selection.artworks, options);
+      downloadText(file.text, `${filenameFor(selection.title)}.${file.extension}`, file.mimeType);
+      return true;
+    },
+
+    /**
+     * Update the options panel after the view changes
+     * @return {Object} - CatalogExport instance for chaining
+     */
+    refresh: function() {
+      updateSummary();
+      return this;
+    },
+
+    /**
+     * Remove the toggle and panel
+     * @return {Object} - CatalogExport instance for chaining
+     */
+    destroy: function() {
+      if (panel && panel.parentNode) {
+        panel.parentNode.removeChild(panel);
+      }
+      if (toggleButton && toggleButton.parentNode) {
+        toggleButton.parentNode.removeChild(toggleButton);
+      }
+      panel = null;
+      toggleButton = null;
+      selectionSource = null;
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.CatalogExport = CatalogExport;
+} else {
+  window.CatalogExport = CatalogExport;
+}
+
+console.log('CatalogExport module loaded');
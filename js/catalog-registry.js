@@ -0,0 +1,155 @@
+/**
+ * Catalog Registry Module
+ * Lists the artwork data sources the gallery can show, such as the curated
+ * selection and the complete collection. The Controller loads the active
+ * catalog through DataLoader and names it in the URL.
+ * @version 1.0.0
+ */
+
+const CatalogRegistry = (function() {
+  'use strict';
+
+  // Registered catalogs in display order
+  const catalogs = [
+    {
+      id: 'curated',
+      label: 'Curated',
+      description: 'Curated selection',
+      path: './data/filtered.csv'
+    },
+    {
+      id: 'complete',
+      label: 'Complete',
+      description: 'Complete collection',
+      path: './data/artworks.csv'
+    }
+  ];
+
+  // Private variables
+  let defaultId = 'curated';
+  let activeId = null;
+
+  /**
+   * Find a catalog by id
+   * @private
+   * @param {string} id - Catalog id
+   * @return {Object|undefined} - Catalog definition
+   */
+  const find = function(id) {
+    return catalogs.find(catalog => catalog.id === id);
+  };
+
+  return {
+    /**
+     * Add or replace a catalog
+     * @param {Object} catalog - Catalog definition
+     * @param {string} catalog.id - URL-safe identifier
+     * @param {string} catalog.label - Short label for the switcher
+     * @param {string} catalog.path - Data file path (CSV, JSON or NDJSON)
+     * @param {string} [catalog.format] - Format adapter id when the path and content type don't tell
+     * @param {string} [catalog.description] - Longer accessible description
+     * @return {Object} - CatalogRegistry instance for chaining
+     */
+    register: function(catalog) {
+      if (!catalog || !catalog.id || !catalog.path) {
+        throw new Error('Catalog needs an id and a path');
+      }
+
+      const entry = { label: catalog.id, description: '', ...catalog };
+      const index = catalogs.findIndex(existing => existing.id === catalog.id);
+      if (index === -1) {
+        catalogs.push(entry);
+      } else {
+        catalogs[index] = entry;
+      }
+      return this;
+    },
+
+    /**
+     * Get all catalogs
+     * @return {Array} - Copies of the catalog definitions
+     */
+    list: function() {
+      return catalogs.map(catalog => ({ ...catalog }));
+    },
+
+    /**
+     * Get one catalog
+     * @param {string} id - Catalog id
+     * @return {Object|null} - Catalog definition or null if unknown
+     */
+    get: function(id) {
+      const catalog = find(id);
+      return catalog ? { ...catalog } : null;
+    },
+
+    /**
+     * Check whether a catalog id is registered
+     * @param {string} id - Catalog id
+     * @return {boolean} - Whether the catalog exists
+     */
+    has: function(id) {
+      return !!find(id);
+    },
+
+    /**
+     * Id of the catalog shown when the URL names none
+     * @return {string} - Default catalog id
+     */
+    getDefaultId: function() {
+      return defaultId;
+    },
+
+    /**
+     * Change the default catalog
+     * @param {string} id - Registered catalog id
+     * @return {Object} - CatalogRegistry instance for chaining
+     */
+    setDefaultId: function(id) {
+      if (!find(id)) {
+        throw new Error(`Unknown catalog '${id}'`);
+      }
+      defaultId = id;
+      return this;
+    },
+
+    /**
+     * Id of the catalog currently shown
+     * @return {string} - Active catalog id (the default before any load)
+     */
+    getActiveId: function() {
+      return activeId || defaultId;
+    },
+
+    /**
+     * Mark a catalog as the one currently shown
+     * @param {string} id - Registered catalog id
+     * @return {Object} - CatalogRegistry instance for chaining
+     */
+    setActive: function(id) {
+      if (!find(id)) {
+        throw new Error(`Unknown catalog '${id}'`);
+      }
+      activeId = id;
+      return this;
+    },
+
+    /**
+     * Resolve a possibly unknown id to a registered one
+     * @param {string} [id] - Catalog id from the URL or elsewhere
+     * @return {string} - The id if registered, otherwise the default id
+     */
+    resolve: function(id) {
+      return id && find(id) ? id : defaultId;
+    }
+  };
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.CatalogRegistry = CatalogRegistry;
+} else {
+  window.CatalogRegistry = CatalogRegistry;
+}
+
+console.log('CatalogRegistry module loaded');
@@ -0,0 +1,404 @@
+/**
+ * Collections Panel Module
+ * Header toggle and collapsible panel for the visitor's favorites and named
+ * collections: show one in the gallery, create, rename, delete, share as a
+ * link, and import or export them as JSON. Data lives in the Collections
+ * module.
+ * @version 1.1.0
+ */
+
+const CollectionsPanel = (function() {
+  'use strict';
+
+  // Private variables
+  let panel = null;
+  let toggleButton = null;
+  let store = null;
+  let viewListener = null;
+  let shareUrlFor = null;
+  let activeView = '';
+
+  // Configuration
+  const config = {
+    panelId: 'collections-panel',
+    toggleId: 'collections-toggle',
+    exportFilename: 'collections.json'
+  };
+
+  /**
+   * Offer text as a file download
+   * @private
+   * @param {string} text - File contents
+   * @param {string} filename - Suggested file name
+   */
+  const downloadText = function(text, filename) {
+    const blob = new Blob([text], { type: 'application/json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  /**
+   * Turn a collection name into a file name
+   * @private
+   * @param {string} name - Collection name
+   * @return {string} - File name ending in .json
+   */
+  const fileNameFor = function(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'collection'}.json`;
+  };
+
+  /**
+   * Show a short message under the panel actions
+   * @private
+   * @param {string} text - Message
+   */
+  const setStatus = function(text) {
+    const status = panel ? panel.querySelector('.collections-status') : null;
+    if (status) {
+      status.textContent = text;
+    }
+  };
+
+  /**
+   * Tell the controller which artworks to show
+   * @private
+   * @param {string} viewId - 'favorites', a collection id, or '' for everything
+   */
+  const notifyView = function(viewId) {
+    if (typeof viewListener === 'function') {
+      try {
+        viewListener(viewId);
+      } catch (e) {
+        console.error('Error in collection view listener:', e);
+      }
+    }
+  };
+
+  /**
+   * Copy a shortlist link, falling back to a prompt the visitor can copy from
+   * @private
+   * @param {string} url - Link to share
+   * @param {string} name - Collection name for the status message
+   */
+  const copyLink = function(url, name) {
+    const fallback = function() {
+      window.prompt(`Copy this link to share "${name}"`, url);
+    };
+
+    if (!navigator.clipboard || typeof navigator.clipboard.writeText !== 'function') {
+      fallback();
+      return;
+    }
+
+    navigator.clipboard.writeText(url)
+      .then(() => setStatus(`Link to "${name}" copied.`))
+      .catch(fallback);
+  };
+
+  /**
+   * Share a view as a shortlist link with an optional note
+   * @private
+   * @param {string} viewId - 'favorites' or a collection id
+   * @param {string} name - Title for the shortlist
+   */
+  const shareView = function(viewId, name) {
+    const ids = store.getArtworkIds(viewId) || [];
+    if (ids.length === 0) {
+      setStatus(`Add artworks to "${name}" before sharing it.`);
+      return;
+    }
+
+    const note = window.prompt('Add a note for the recipient (optional)', '');
+    if (note === null) return;
+
+    copyLink(shareUrlFor({ ids, title: name, note }), name);
+  };
+
+  /**
+   * Build one list row
+   * @private
+   * @param {string} viewId - 'favorites' or a collection id
+   * @param {string} name - Display name
+   * @param {number} count - Number of artworks
+   * @param {boolean} editable - Whether rename, export and delete apply
+   * @return {HTMLElement} - List item
+   */
+  const createRow = function(viewId, name, count, editable) {
+    const item = document.createElement('li');
+    item.className = 'collections-item';
+    item.dataset.view = viewId;
+
+    const viewButton = document.createElement('button');
+    viewButton.type = 'button';
+    viewButton.className = 'collections-view';
+    viewButton.dataset.action = 'view';
+    viewButton.setAttribute('aria-pressed', String(viewId === activeView));
+    viewButton.textContent = name;
+    item.appendChild(viewButton);
+
+    const countBadge = document.createElement('span');
+    countBadge.className = 'collections-count';
+    countBadge.textContent = String(count);
+    countBadge.setAttribute('aria-label', `${count} artwork${count === 1 ? '' : 's'}`);
+    item.appendChild(countBadge);
+
+    const actions = [];
+    if (editable) actions.push(['rename', 'Rename']);
+    if (shareUrlFor) actions.push(['share', 'Share']);
+    if (editable) actions.push(['export', 'Export'], ['delete', 'Delete']);
+
+    actions.forEach(([action, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'collections-item-action';
+      button.dataset.action = action;
+      button.textContent = label;
+      button.setAttribute('aria-label', `${label} ${name}`);
+      item.appendChild(button);
+    });
+
+    return item;
+  };
+
+  /**
+   * Redraw the list of collections from the store
+   * @private
+   */
+  const render = function() {
+    if (!panel || !store) return;
+
+    const list = panel.querySelector('.collections-list');
+    list.innerHTML = '';
+    list.appendChild(createRow('favorites', 'Favorites', store.getFavorites().length, false));
+    store.list().forEach(collection => {
+      list.appendChild(createRow(collection.id, collection.name, collection.artworkIds.length, true));
+    });
+
+    panel.querySelector('.collections-show-all').disabled = activeView === '';
+  };
+
+  /**
+   * Handle clicks on the list row buttons
+   * @private
+   * @param {Event} e - Click event
+   */
+  const handleListClick = function(e) {
+    const button = e.target.closest('button[data-action]');
+    const item = button ? button.closest('.collections-item') : null;
+    if (!item) return;
+
+    const viewId = item.dataset.view;
+    const collection = store.get(viewId);
+
+    switch (button.dataset.action) {
+      case 'view':
+        publicApi.setActiveView(viewId === activeView ? '' : viewId);
+        notifyView(activeView);
+        break;
+      case 'rename': {
+        const name = window.prompt('Rename collection', collection.name);
+        if (name !== null) store.rename(viewId, name);
+        break;
+      }
+      case 'share':
+        shareView(viewId, collection ? collection.name : 'Favorites');
+        break;
+      case 'export':
+        downloadText(store.exportJSON([viewId]), fileNameFor(collection.name));
+        break;
+      case 'delete':
+        if (window.confirm(`Delete "${collection.name}"? The artworks stay in the gallery.`)) {
+          store.remove(viewId);
+          if (activeView === viewId) {
+            publicApi.setActiveView('');
+            notifyView('');
+          }
+          setStatus(`Deleted "${collection.name}".`);
+        }
+        break;
+    }
+  };
+
+  /**
+   * Import collections from the chosen file
+   * @private
+   * @param {Event} e - Change event from the file input
+   */
+  const handleImport = function(e) {
+    const input = e.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        const summary = store.importJSON(text);
+        setStatus(`Imported ${summary.collections} collection${summary.collections === 1 ? '' : 's'}` +
+          (summary.favorites ? ` and ${summary.favorites} favorite${summary.favorites === 1 ? '' : 's'}.` : '.'));
+      })
+      .catch(error => {
+        setStatus(`Import failed: ${error.message}`);
+      })
+      .finally(() => {
+        input.value = '';
+      });
+  };
+
+  /**
+   * Expand or collapse the panel
+   * @private
+   * @param {boolean} expanded - Whether the panel should be visible
+   */
+  const setExpanded = function(expanded) {
+    panel.hidden = !expanded;
+    toggleButton.setAttribute('aria-expanded', String(expanded));
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Add the header toggle and the panel
+     * @param {HTMLElement} actionsContainer - Header element that receives the toggle
+     * @param {HTMLElement} before - Element the panel is inserted before
+     * @param {Object} options - Settings
+     * @param {Object} options.collections - The Collections store
+     * @param {Function} [options.onView] - Called with 'favorites', a collection id or ''
+     * @param {string} [options.activeView] - View shown at start
+     * @param {Function} [options.shareUrl] - Builds a link from { ids, title, note }; enables Share
+     * @return {Object} - CollectionsPanel instance for chaining
+     */
+    init: function(actionsContainer, before, options = {}) {
+      if (!actionsContainer || !before || !before.parentNode || !options.collections) {
+        console.error('CollectionsPanel init failed: missing container or store');
+        return this;
+      }
+
+      this.destroy();
+
+      store = options.collections;
+      viewListener = options.onView || null;
+      activeView = options.activeView || '';
+      shareUrlFor = typeof options.shareUrl === 'function' ? options.shareUrl : null;
+
+      toggleButton = document.createElement('button');
+      toggleButton.type = 'button';
+      toggleButton.id = config.toggleId;
+      toggleButton.className = 'header-action-button';
+      toggleButton.textContent = 'Collections';
+      toggleButton.setAttribute('aria-controls', config.panelId);
+      toggleButton.addEventListener('click', function() {
+        setExpanded(panel.hidden);
+      });
+
+      panel = document.createElement('section');
+      panel.id = config.panelId;
+      panel.className = 'collections-panel';
+      panel.setAttribute('aria-label', 'Your collections');
+      panel.innerHTML = `
+        <h2>Your collections</h2>
+        <ul class="collections-list"></ul>
+        <form class="collections-create">
+          <label for="collection-name">New collection</label>
+          <input type="text" id="collection-name" class="collections-name-input"
+            maxlength="80" placeholder="e.g. Lobby shortlist" autocomplete="off" required>
+          <button type="submit" class="filter-button">Create</button>
+        </form>
+        <div class="collections-actions">
+          <button type="button" class="filter-button filter-reset collections-show-all">Show all artworks</button>
+          <button type="button" class="filter-button filter-reset collections-export-all">Export all</button>
+          <button type="button" class="filter-button filter-reset collections-import">Import</button>
+          <input type="file" class="collections-import-file" accept="application/json,.json" hidden>
+        </div>
+        <p class="collections-status" role="status"></p>
+      `;
+
+      panel.querySelector('.collections-list').addEventListener('click', handleListClick);
+
+      panel.querySelector('.collections-create').addEventListener('submit', function(e) {
+        e.preventDefault();
+        const input = panel.querySelector('#collection-name');
+        try {
+          const collection = store.create(input.value);
+          input.value = '';
+          setStatus(`Created "${collection.name}". Add artworks from their detail view.`);
+        } catch (error) {
+          setStatus(error.message);
+        }
+      });
+
+      panel.querySelector('.collections-show-all').addEventListener('click', function() {
+        publicApi.setActiveView('');
+        notifyView('');
+      });
+
+      panel.querySelector('.collections-export-all').addEventListener('click', function() {
+        downloadText(store.exportJSON(), config.exportFilename);
+      });
+
+      const fileInput = panel.querySelector('.collections-import-file');
+      panel.querySelector('.collections-import').addEventListener('click', function() {
+        fileInput.click();
+      });
+      fileInput.addEventListener('change', handleImport);
+
+      store.onChange(render);
+
+      actionsContainer.appendChild(toggleButton);
+      before.parentNode.insertBefore(panel, before);
+
+      setExpanded(false);
+      render();
+      return this;
+    },
+
+    /**
+     * Mark which view the gallery shows
+     * @param {string} viewId - 'favorites', a collection id, or '' for everything
+     * @return {Object} - CollectionsPanel instance for chaining
+     */
+    setActiveView: function(viewId) {
+      activeView = viewId || '';
+      render();
+      return this;
+    },
+
+    /**
+     * Remove the toggle and panel
+     * @return {Object} - CollectionsPanel instance for chaining
+     */
+    destroy: function() {
+      if (store) {
+        store.offChange(render);
+      }
+      if (panel && panel.parentNode) {
+        panel.parentNode.removeChild(panel);
+      }
+      if (toggleButton && toggleButton.parentNode) {
+        toggleButton.parentNode.removeChild(toggleButton);
+      }
+      panel = null;
+      toggleButton = null;
+      store = null;
+      viewListener = null;
+      shareUrlFor = null;
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.CollectionsPanel = CollectionsPanel;
+} else {
+  window.CollectionsPanel = CollectionsPanel;
+}
+
+console.log('CollectionsPanel module loaded');
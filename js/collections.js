@@ -0,0 +1,403 @@
+/**
+ * Collections Module
+ * The visitor's favorites and named personal collections (e.g. "lobby
+ * shortlist"). Artworks are kept by id, everything is persisted through
+ * AppStorage so it survives reloads, and collections can be exported to and
+ * imported from JSON files.
+ * @version 1.0.0
+ */
+
+/* global AppStorage */
+
+const Collections = (function() {
+  'use strict';
+
+  // Configuration
+  const config = {
+    storageKey: 'curated_collection_collections',
+    exportType: 'curated-collection/collections',
+    exportVersion: 1,
+    maxNameLength: 80
+  };
+
+  // Private variables
+  let favorites = [];
+  let collections = [];
+  let listeners = [];
+  let loaded = null;
+
+  /**
+   * Create a collection id that is unique enough for one visitor
+   * @private
+   * @return {string} - New id
+   */
+  const createId = function() {
+    return `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+  };
+
+  /**
+   * Clean a collection name
+   * @private
+   * @param {*} name - Name entered by the visitor or read from a file
+   * @return {string} - Trimmed name, or an empty string if unusable
+   */
+  const cleanName = function(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().substring(0, config.maxNameLength);
+  };
+
+  /**
+   * Turn any list into unique artwork id strings
+   * @private
+   * @param {*} ids - Ids from storage or a file
+   * @return {Array} - Unique, non-empty id strings in first-seen order
+   */
+  const cleanIds = function(ids) {
+    if (!Array.isArray(ids)) return [];
+    const unique = new Set();
+    ids.forEach(id => {
+      if (id === null || id === undefined) return;
+      const value = String(id).trim();
+      if (value) unique.add(value);
+    });
+    return [...unique];
+  };
+
+  /**
+   * Rebuild a collection from untrusted data
+   * @private
+   * @param {Object} entry - Stored or imported collection
+   * @return {Object|null} - Collection or null if it has no name
+   */
+  const cleanCollection = function(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    const name = cleanName(entry.name);
+    if (!name) return null;
+
+    const now = new Date().toISOString();
+    return {
+      id: typeof entry.id === 'string' && entry.id ? entry.id : createId(),
+      name,
+      artworkIds: cleanIds(entry.artworkIds),
+      createdAt: typeof entry.createdAt === 'string' ? entry.createdAt : now,
+      updatedAt: typeof entry.updatedAt === 'string' ? entry.updatedAt : now
+    };
+  };
+
+  /**
+   * Find a collection by id
+   * @private
+   * @param {string} id - Collection id
+   * @return {Object|undefined} - Collection
+   */
+  const find = function(id) {
+    return collections.find(collection => collection.id === id);
+  };
+
+  /**
+   * Copy a collection so callers can't change the store
+   * @private
+   * @param {Object} collection - Collection
+   * @return {Object} - Copy
+   */
+  const copy = function(collection) {
+    return { ...collection, artworkIds: [...collection.artworkIds] };
+  };
+
+  /**
+   * Persist the current state and tell listeners about the change
+   * @private
+   * @param {Object} change - { type, collectionId?, artworkId? }
+   * @return {Promise} - Resolves when stored
+   */
+  const commit = function(change) {
+    listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (e) {
+        console.error('Error in collections listener:', e);
+      }
+    });
+
+    if (typeof AppStorage === 'undefined') return Promise.resolve();
+    return AppStorage.save(config.storageKey, { favorites, collections })
+      .catch(error => {
+        console.warn('Could not save collections:', error);
+      });
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Load saved favorites and collections
+     * @return {Promise} - Resolves once the saved state is in memory
+     */
+    load: function() {
+      if (loaded) return loaded;
+
+      if (typeof AppStorage === 'undefined') {
+        loaded = Promise.resolve();
+        return loaded;
+      }
+
+      loaded = AppStorage.load(config.storageKey)
+        .then(result => {
+          const data = result && result.data;
+          if (!data) return;
+          favorites = cleanIds(data.favorites);
+          collections = (Array.isArray(data.collections) ? data.collections : [])
+            .map(cleanCollection)
+            .filter(Boolean);
+        })
+        .catch(error => {
+          console.warn('Could not load collections:', error);
+        });
+      return loaded;
+    },
+
+    /**
+     * Listen for changes to favorites or collections
+     * @param {Function} listener - Called with { type, collectionId, artworkId }
+     * @return {Object} - Collections instance for chaining
+     */
+    onChange: function(listener) {
+      if (typeof listener === 'function') {
+        listeners.push(listener);
+      }
+      return this;
+    },
+
+    /**
+     * Stop listening for changes
+     * @param {Function} listener - Listener to remove
+     * @return {Object} - Collections instance for chaining
+     */
+    offChange: function(listener) {
+      listeners = listeners.filter(l => l !== listener);
+      return this;
+    },
+
+    /**
+     * Check whether an artwork is a favorite
+     * @param {string} artworkId - Artwork id
+     * @return {boolean} - Whether it is in favorites
+     */
+    isFavorite: function(artworkId) {
+      return favorites.includes(String(artworkId));
+    },
+
+    /**
+     * Add an artwork to favorites or remove it
+     * @param {string} artworkId - Artwork id
+     * @param {boolean} [force] - true to add, false to remove (defaults to the opposite of now)
+     * @return {boolean} - Whether the artwork is now a favorite
+     */
+    toggleFavorite: function(artworkId, force) {
+      const id = String(artworkId);
+      const isFavorite = favorites.includes(id);
+      const shouldBe = force === undefined ? !isFavorite : !!force;
+      if (shouldBe === isFavorite) return isFavorite;
+
+      favorites = shouldBe ? [...favorites, id] : favorites.filter(value => value !== id);
+      commit({ type: 'favorites', artworkId: id });
+      return shouldBe;
+    },
+
+    /**
+     * Get favorite artwork ids, oldest first
+     * @return {Array} - Artwork ids
+     */
+    getFavorites: function() {
+      return [...favorites];
+    },
+
+    /**
+     * Get all named collections
+     * @return {Array} - Copies of the collections in creation order
+     */
+    list: function() {
+      return collections.map(copy);
+    },
+
+    /**
+     * Get one collection
+     * @param {string} id - Collection id
+     * @return {Object|null} - Copy of the collection or null if unknown
+     */
+    get: function(id) {
+      const collection = find(id);
+      return collection ? copy(collection) : null;
+    },
+
+    /**
+     * Create a named collection
+     * @param {string} name - Collection name
+     * @param {Array} [artworkIds] - Artworks to start with
+     * @return {Object} - The new collection
+     */
+    create: function(name, artworkIds = []) {
+      const collection = cleanCollection({ name, artworkIds });
+      if (!collection) {
+        throw new Error('A collection needs a name');
+      }
+      collections = [...collections, collection];
+      commit({ type: 'collections', collectionId: collection.id });
+      return copy(collection);
+    },
+
+    /**
+     * Rename a collection
+     * @param {string} id - Collection id
+     * @param {string} name - New name
+     * @return {Object} - Collections instance for chaining
+     */
+    rename: function(id, name) {
+      const collection = find(id);
+      const cleaned = cleanName(name);
+      if (!collection || !cleaned) return this;
+
+      collection.name = cleaned;
+      collection.updatedAt = new Date().toISOString();
+      commit({ type: 'collections', collectionId: id });
+      return this;
+    },
+
+    /**
+     * Delete a collection
+     * @param {string} id - Collection id
+     * @return {Object} - Collections instance for chaining
+     */
+    remove: function(id) {
+      if (!find(id)) return this;
+
+      collections = collections.filter(collection => collection.id !== id);
+      commit({ type: 'collections', collectionId: id });
+      return this;
+    },
+
+    /**
+     * Check whether a collection holds an artwork
+     * @param {string} id - Collection id
+     * @param {string} artworkId - Artwork id
+     * @return {boolean} - Whether the artwork is in the collection
+     */
+    contains: function(id, artworkId) {
+      const collection = find(id);
+      return !!collection && collection.artworkIds.includes(String(artworkId));
+    },
+
+    /**
+     * Add an artwork to a collection or remove it
+     * @param {string} id - Collection id
+     * @param {string} artworkId - Artwork id
+     * @param {boolean} [force] - true to add, false to remove (defaults to the opposite of now)
+     * @return {boolean} - Whether the collection now holds the artwork
+     */
+    toggleArtwork: function(id, artworkId, force) {
+      const collection = find(id);
+      if (!collection) return false;
+
+      const artwork = String(artworkId);
+      const contains = collection.artworkIds.includes(artwork);
+      const shouldContain = force === undefined ? !contains : !!force;
+      if (shouldContain === contains) return contains;
+
+      collection.artworkIds = shouldContain ?
+        [...collection.artworkIds, artwork] :
+        collection.artworkIds.filter(value => value !== artwork);
+      collection.updatedAt = new Date().toISOString();
+      commit({ type: 'collections', collectionId: id, artworkId: artwork });
+      return shouldContain;
+    },
+
+    /**
+     * Artwork ids for a view: 'favorites' or a collection id
+     * @param {string} viewId - 'favorites' or a collection id
+     * @return {Array|null} - Artwork ids, or null if the view is unknown
+     */
+    getArtworkIds: function(viewId) {
+      if (viewId === 'favorites') return this.getFavorites();
+      const collection = find(viewId);
+      return collection ? [...collection.artworkIds] : null;
+    },
+
+    /**
+     * Serialize favorites and collections as a JSON document
+     * @param {Array} [collectionIds] - Collections to include (defaults to all)
+     * @return {string} - JSON text
+     */
+    exportJSON: function(collectionIds) {
+      const selected = Array.isArray(collectionIds) ?
+        collections.filter(collection => collectionIds.includes(collection.id)) :
+        collections;
+
+      return JSON.stringify({
+        type: config.exportType,
+        version: config.exportVersion,
+        exportedAt: new Date().toISOString(),
+        favorites: Array.isArray(collectionIds) ? [] : favorites,
+        collections: selected.map(collection => ({
+          name: collection.name,
+          artworkIds: collection.artworkIds,
+          createdAt: collection.createdAt,
+          updatedAt: collection.updatedAt
+        }))
+      }, null, 2);
+    },
+
+    /**
+     * Merge collections from an exported JSON document
+     * Favorites are added to the current ones; a collection whose name
+     * already exists gains the imported artworks instead of being duplicated.
+     * @param {string} text - JSON text from exportJSON
+     * @return {Object} - { collections, favorites } counts of what was added
+     */
+    importJSON: function(text) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`Not a JSON file: ${e.message}`);
+      }
+      if (!data || data.type !== config.exportType || !Array.isArray(data.collections)) {
+        throw new Error('Not a collections export');
+      }
+      if (Number(data.version) > config.exportVersion) {
+        throw new Error(`Collections export version ${data.version} is newer than this gallery supports`);
+      }
+
+      const summary = { collections: 0, favorites: 0 };
+
+      const importedFavorites = cleanIds(data.favorites).filter(id => !favorites.includes(id));
+      favorites = [...favorites, ...importedFavorites];
+      summary.favorites = importedFavorites.length;
+
+      data.collections.forEach(entry => {
+        const incoming = cleanCollection({ ...entry, id: null });
+        if (!incoming) return;
+
+        const existing = collections.find(collection => collection.name.toLowerCase() === incoming.name.toLowerCase());
+        if (existing) {
+          existing.artworkIds = cleanIds([...existing.artworkIds, ...incoming.artworkIds]);
+          existing.updatedAt = new Date().toISOString();
+        } else {
+          collections = [...collections, incoming];
+        }
+        summary.collections++;
+      });
+
+      commit({ type: 'import' });
+      return summary;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.Collections = Collections;
+} else {
+  window.Collections = Collections;
+}
+
+console.log('Collections module loaded');
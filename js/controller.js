@@ -10,8 +10,52 @@ const Controller = (function() {
   let dataLoader = null;
   let virtualScroll = null;
   let imageHandler = null;
+  let dataModel = null;
+  let filterPanel = null;
+  let sortControls = null;
+  let captionControls = null;
+  let searchIndex = null;
+  let artworkModal = null;
+  let router = null;
+  let offlineManager = null;
+  let catalogRegistry = null;
+  let collections = null;
+  let collectionsPanel = null;
+  let shortlist = null;
+  let printCatalog = null;
+  let catalogExport = null;
+  let framePreview = null;
+  let imageVariants = null;
   let initialized = false;
   let loadingTimeout = null;
+  let searchDebounce = null;
+  let splashTimer = null;
+  let initStartedAt = 0;
+  
+  // Current view: panel filters AND-combined with the search query and the
+  // chosen collection ('favorites' or a collection id), then sorted. A shared
+  // shortlist ({ ids, title, note }) replaces all of that while it is open.
+  const viewState = {
+    filters: null,
+    query: '',
+    sort: '',
+    collection: '',
+    shortlist: null
+  };
+  
+  // Sort order last chosen by the user; used when the URL names none
+  let sortPreference = '';
+  
+  // How tile captions show ('hidden', 'hover', 'always' or 'detailed')
+  let captionMode = 'hover';
+  
+  // Artworks currently shown, in display order
+  let currentResults = [];
+  
+  // Catalog shown, and the view each catalog was left in
+  let activeCatalogId = null;
+  let catalogRequest = 0;
+  const catalogStates = new Map();
   
   /**
    * Safely get module references whether they're global or in ArtGallery namespace
@@ -95,6 +139,22 @@ const Controller = (function() {
     dataLoader = getModuleReference('DataLoader');
     virtualScroll = getModuleReference('VirtualScroll');
     imageHandler = getModuleReference('ImageHandler');
+    dataModel = getModuleReference('DataModel');
+    filterPanel = getModuleReference('FilterPanel');
+    sortControls = getModuleReference('SortControls');
+    captionControls = getModuleReference('CaptionControls');
+    searchIndex = getModuleReference('SearchIndex');
+    artworkModal = getModuleReference('ArtworkModal');
+    router = getModuleReference('Router');
+    offlineManager = getModuleReference('OfflineManager');
+    catalogRegistry = getModuleReference('CatalogRegistry');
+    collections = getModuleReference('Collections');
+    collectionsPanel = getModuleReference('CollectionsPanel');
+    shortlist = getModuleReference('Shortlist');
+    printCatalog = getModuleReference('PrintCatalog');
+    catalogExport = getModuleReference('CatalogExport');
+    framePreview = getModuleReference('FramePreview');
+    imageVariants = getModuleReference('ImageVariants');
     
     // Verify dependencies
     if (!dataLoader) {
@@ -104,29 +164,429 @@ const Controller = (function() {
       return;
     }
     
-    // Set loading timeout
-    loadingTimeout = setTimeout(() => {
-      showErrorUI('Loading is taking longer than expected. The server might be slow.');
-    }, 10000); // 10-second timeout
+    // Set loading timeout; progress events re-arm it so only a stalled load fails
+    initStartedAt = Date.now();
+    armLoadingTimeout();
+    
+    // Drive the splash bar from real progress and show the first rows early
+    if (typeof dataLoader.onProgress === 'function') {
+      dataLoader.onProgress(handleLoadProgress);
+    }
+    if (typeof dataLoader.onFirstBatch === 'function') {
+      dataLoader.onFirstBatch(renderFirstBatch);
+    }
+    
+    // Fetch the thumbnail manifest alongside the catalog
+    const variantsReady = imageVariants ? imageVariants.load() : Promise.resolve(false);
     
     try {
-      // Load artwork data
-      const artworks = await dataLoader.loadArtworks();
+      // Load the catalog named by the URL
+      const catalogId = getCatalogFromUrl();
+      const artworks = await fetchCatalog(catalogId);
       clearTimeout(loadingTimeout);
+      stopLoadListeners();
       
-      console.log('Successfully loaded', artworks.length, 'artworks');
-      window.allArtworks = artworks; // Make available for debugging
+      const records = applyCatalog(catalogId, artworks);
+      
+      // Start in the order and caption mode chosen on an earlier visit, with saved favorites
+      const [storedSort, storedCaptions] = await Promise.all([
+        sortControls ? sortControls.loadPreference() : Promise.resolve(''),
+        captionControls ? captionControls.loadPreference() : Promise.resolve(captionMode),
+        collections ? collections.load() : Promise.resolve(),
+        variantsReady
+      ]);
+      sortPreference = storedSort;
+      viewState.sort = storedSort;
+      captionMode = storedCaptions;
       
       // Initialize gallery
-      initGallery(artworks);
+      initGallery(sortResults(records));
+      initSearchBox();
+      initFilterPanel();
+      initSortControls();
+      initCaptionControls();
+      initCatalogSwitcher();
+      initCollections();
+      if (artworkModal) {
+        artworkModal.configure({ renderActions: renderModalActions, srcsetFor: getSrcset });
+      }
+      initPrintCatalog();
+      initCatalogExport();
+      initOfflineAction();
       initialized = true;
+      
+      // Restore the view named by the URL and follow back/forward
+      initRouter();
+      
+      // Tell curators about rows that didn't make it into the gallery
+      showValidationReport();
     } catch (error) {
       clearTimeout(loadingTimeout);
+      stopLoadListeners();
       console.error('Failed to load artworks:', error);
       showErrorUI('Failed to load artwork data. Please try again later.');
     }
   }
     
+  /**
+   * Catalog id named by the current URL
+   * @private
+   * @return {string|null} - Registered catalog id, or null without a registry
+   */
+  function getCatalogFromUrl() {
+    if (!catalogRegistry) return null;
+    
+    const query = router ? router.parse(window.location.hash).query : {};
+    return catalogRegistry.resolve(query.catalog);
+  }
+  
+  /**
+   * Load a catalog's records through DataLoader
+   * @private
+   * @param {string|null} catalogId - Catalog id, or null for DataLoader's default file
+   * @return {Promise<Array>} - Loaded artworks
+   */
+  function fetchCatalog(catalogId) {
+    const catalog = catalogRegistry && catalogId ? catalogRegistry.get(catalogId) : null;
+    if (!catalog) return dataLoader.loadArtworks();
+    return dataLoader.loadArtworks(catalog.path, { format: catalog.format });
+  }
+  
+  /**
+   * Make a loaded catalog the one shown: model, search index and validation
+   * @private
+   * @param {string|null} catalogId - Catalog id
+   * @param {Array} artworks - Records from fetchCatalog
+   * @return {Array} - Records accepted by the model
+   */
+  function applyCatalog(catalogId, artworks) {
+    const catalog = catalogRegistry && catalogId ? catalogRegistry.get(catalogId) : null;
+    
+    console.log('Successfully loaded', artworks.length, 'artworks', catalog ? `(${catalog.label})` : '');
+    window.allArtworks = artworks; // Make available for debugging
+    
+    activeCatalogId = catalogId;
+    if (catalog) {
+      catalogRegistry.setActive(catalogId);
+    }
+    
+    // Hand records to the model so filtering and lookups share one store
+    let records = artworks;
+    if (dataModel) {
+      if (!dataModel.isInitialized()) {
+        dataModel.init();
+      }
+      const report = typeof dataLoader.getValidationReport === 'function' ?
+        dataLoader.getValidationReport(catalog ? catalog.path : undefined) :
+        null;
+      dataModel.setArtworks(artworks, report);
+      records = dataModel.getArtworks();
+    }
+    
+    // Build the search index once per load
+    if (searchIndex) {
+      searchIndex.build(records);
+    }
+    
+    return records;
+  }
+  
+  /**
+   * Show another catalog, keeping each catalog's own filters and search
+   * @private
+   * @param {string} catalogId - Catalog to show
+   * @param {Object} [options] - Switch options
+   * @param {Object} [options.state] - View state to apply instead of the remembered one
+   * @param {boolean} [options.fromRoute=false] - The URL already names the catalog
+   * @return {Promise<boolean>} - Whether the catalog is now shown
+   */
+  async function switchCatalog(catalogId, options = {}) {
+    if (!catalogRegistry) return false;
+    
+    const targetId = catalogRegistry.resolve(catalogId);
+    if (targetId === activeCatalogId) {
+      if (options.state) {
+        applyViewState(options.state);
+      }
+      return true;
+    }
+    
+    // Remember where this catalog was left so switching back restores it
+    catalogStates.set(activeCatalogId, { filters: viewState.filters, query: viewState.query });
+    
+    const request = ++catalogRequest;
+    updateCatalogSwitcher(targetId, true);
+    
+    try {
+      const artworks = await fetchCatalog(targetId);
+      if (request !== catalogRequest) return false; // A newer switch won
+      
+      applyCatalog(targetId, artworks);
+      initFilterPanel();
+      applyViewState(options.state || catalogStates.get(targetId) || { filters: null, query: '' }, true);
+      updateCatalogSwitcher(targetId, false);
+      
+      if (!options.fromRoute) {
+        syncUrl();
+      }
+      showValidationReport();
+      return true;
+    } catch (error) {
+      if (request !== catalogRequest) return false;
+      
+      const catalog = catalogRegistry.get(targetId);
+      console.error(`Failed to load catalog '${targetId}':`, error);
+      updateCatalogSwitcher(activeCatalogId, false);
+      
+      const failsafe = getModuleReference('Failsafe');
+      if (failsafe && typeof failsafe.showUserErrorNotification === 'function') {
+        failsafe.showUserErrorNotification(`The ${catalog.label.toLowerCase()} catalog could not be loaded.`, false);
+      }
+      
+      // Point the URL back at the catalog still on screen
+      if (options.fromRoute) {
+        syncUrl({ replace: true });
+      }
+      return false;
+    }
+  }
+  
+  /**
+   * Add the catalog switcher to the header
+   * @private
+   */
+  function initCatalogSwitcher() {
+    const actions = document.getElementById('header-actions');
+    if (!catalogRegistry || !actions) return;
+    
+    const catalogs = catalogRegistry.list();
+    if (catalogs.length < 2) return;
+    
+    const existing = document.getElementById('catalog-switcher');
+    if (existing) {
+      existing.parentNode.removeChild(existing);
+    }
+    
+    const switcher = document.createElement('div');
+    switcher.id = 'catalog-switcher';
+    switcher.className = 'catalog-switcher';
+    switcher.setAttribute('role', 'group');
+    switcher.setAttribute('aria-label', 'Catalog');
+    
+    catalogs.forEach(catalog => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'catalog-option';
+      button.dataset.catalog = catalog.id;
+      button.textContent = catalog.label;
+      if (catalog.description) {
+        button.title = catalog.description;
+      }
+      switcher.appendChild(button);
+    });
+    
+    switcher.addEventListener('click', function(event) {
+      const button = event.target.closest('.catalog-option');
+      if (button) {
+        switchCatalog(button.dataset.catalog);
+      }
+    });
+    
+    actions.insertBefore(switcher, actions.firstChild);
+    updateCatalogSwitcher(activeCatalogId, false);
+  }
+  
+  /**
+   * Reflect the shown (or loading) catalog in the switcher
+   * @private
+   * @param {string} catalogId - Catalog to mark as selected
+   * @param {boolean} busy - Whether that catalog is still loading
+   */
+  function updateCatalogSwitcher(catalogId, busy) {
+    const switcher = document.getElementById('catalog-switcher');
+    if (!switcher) return;
+    
+    switcher.setAttribute('aria-busy', String(busy));
+    switcher.querySelectorAll('.catalog-option').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.catalog === catalogId));
+    });
+  }
+  
+  /**
+   * Start or restart the loading timeout
+   * @private
+   */
+  function armLoadingTimeout() {
+    clearTimeout(loadingTimeout);
+    loadingTimeout = setTimeout(() => {
+      showErrorUI('Loading is taking longer than expected. The server might be slow.');
+    }, 10000); // 10 seconds without progress
+  }
+  
+  /**
+   * Stop listening to DataLoader load events
+   * @private
+   */
+  function stopLoadListeners() {
+    if (typeof dataLoader.offProgress === 'function') {
+      dataLoader.offProgress(handleLoadProgress);
+    }
+    if (typeof dataLoader.offFirstBatch === 'function') {
+      dataLoader.offFirstBatch(renderFirstBatch);
+    }
+  }
+  
+  /**
+   * Reflect DataLoader progress in the splash loader bar
+   * @private
+   * @param {Object} event - { percentage, status }
+   */
+  function handleLoadProgress(event) {
+    armLoadingTimeout();
+    
+    const loader = document.querySelector('.splash-loader');
+    const bar = document.querySelector('.splash-loader-bar');
+    const percentage = Math.max(0, Math.min(100, Math.round(event.percentage)));
+    if (bar) {
+      bar.style.width = `${percentage}%`;
+    }
+    if (loader) {
+      loader.setAttribute('aria-valuenow', String(percentage));
+      loader.setAttribute('aria-valuetext', event.status || `${percentage}%`);
+    }
+  }
+  
+  /**
+   * Render the first parsed artworks while the rest of the file is parsed
+   * Waits for the thumbnail manifest so the first tiles start with their
+   * variant and placeholder instead of a full-size download.
+   * @private
+   * @param {Array} artworks - Records from the first chunk
+   */
+  function renderFirstBatch(artworks) {
+    const variantsReady = imageVariants ? imageVariants.load() : Promise.resolve(false);
+    
+    variantsReady.then(() => {
+      const galleryContainer = document.getElementById('gallery-container');
+      if (initialized || !galleryContainer || !virtualScroll || !virtualScroll.init) return;
+      
+      currentResults = artworks;
+      virtualScroll.init(galleryContainer, artworks, getGalleryOptions());
+      hideSplash();
+    });
+  }
+  
+  /**
+   * Options passed to VirtualScroll for every render
+   * @private
+   * @return {Object} - VirtualScroll options
+   */
+  function getGalleryOptions() {
+    return {
+      onItemSelect: openArtwork,
+      decorateItem: decorateTile,
+      srcsetFor: getSrcset,
+      placeholderFor: getPlaceholder,
+      captionMode
+    };
+  }
+  
+  /**
+   * Sized image variants for an artwork, from the thumbnail manifest
+   * @private
+   * @param {Object} artwork - Artwork record
+   * @return {string} - srcset value, or '' when the manifest has none
+   */
+  function getSrcset(artwork) {
+    return imageVariants ? imageVariants.srcset(artwork.imagePath) : '';
+  }
+  
+  /**
+   * Every image URL the gallery may request for an artwork
+   * Tiles and the detail view choose among the sized variants by display
+   * width and pixel density, so offline copies need all of them.
+   * @private
+   * @param {Object} artwork - Artwork record
+   * @return {Array} - Image URLs; just the image path when the manifest has none
+   */
+  function getImageUrls(artwork) {
+    const sources = imageVariants ? imageVariants.getSources(artwork.imagePath) : [];
+    return sources.length ? sources.map(source => source.url) : [artwork.imagePath];
+  }
+  
+  /**
+   * Image to print for an artwork: the medium variant, which is sharp on paper
+   * and much lighter than the original
+   * @private
+   * @param {Object} artwork - Artwork record
+   * @return {string} - Variant URL, or '' to print the full image
+   */
+  function getPrintImage(artwork) {
+    const sources = imageVariants ? imageVariants.getSources(artwork.imagePath) : [];
+    const medium = sources.find(source => source.name === 'medium');
+    return medium ? medium.url : '';
+  }
+  
+  /**
+   * Blurred placeholder for an artwork's tile, from the thumbnail manifest
+   * @private
+   * @param {Object} artwork - Artwork record
+   * @return {string} - Data URL, or '' when the manifest has none
+   */
+  function getPlaceholder(artwork) {
+    return imageVariants ? imageVariants.placeholder(artwork.imagePath) : '';
+  }
+  
+  /**
+   * Add the favorite toggle to a gallery tile
+   * @private
+   * @param {HTMLElement} element - Tile element (may be recycled)
+   * @param {Object} artwork - Artwork shown in the tile
+   */
+  function decorateTile(element, artwork) {
+    if (!collections) return;
+    
+    let button = element.querySelector('.tile-favorite');
+    if (!button) {
+      button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tile-favorite';
+      element.appendChild(button);
+    }
+    button.setAttribute('aria-label', `Favorite ${artwork.title || 'Untitled'}`);
+    updateFavoriteButton(button, artwork.id);
+  }
+  
+  /**
+   * Show whether an artwork is a favorite on its heart toggle
+   * @private
+   * @param {HTMLElement} button - Toggle button
+   * @param {string} artworkId - Artwork id
+   */
+  function updateFavoriteButton(button, artworkId) {
+    const isFavorite = collections.isFavorite(artworkId);
+    button.setAttribute('aria-pressed', String(isFavorite));
+    button.textContent = isFavorite ? '♥' : '♡';
+  }
+  
+  /**
+   * Hide the splash screen once it has been visible long enough to read
+   * @private
+   */
+  function hideSplash() {
+    if (splashTimer) return;
+    
+    // 2.5 seconds - balanced timing for branding recognition
+    const remaining = Math.max(0, 2500 - (Date.now() - initStartedAt));
+    splashTimer = setTimeout(() => {
+      const splash = document.getElementById('splash-screen');
+      if (splash) {
+        splash.classList.add('hidden');
+        console.log('Splash screen hidden after timed delay');
+      }
+    }, remaining);
+  }
+  
   /**
    * Initialize the gallery with loaded artworks
    * @private
@@ -139,11 +599,13 @@ const Controller = (function() {
       console.error('Gallery container not found');
       return;
     }
+    
+    currentResults = artworks;
         
     // Initialize virtual scroll if available
     if (virtualScroll && virtualScroll.init) {
       console.log('Initializing virtual scroll with', artworks.length, 'items');
-      virtualScroll.init(galleryContainer, artworks);
+      virtualScroll.init(galleryContainer, artworks, getGalleryOptions());
     } else {
       console.warn('VirtualScroll not available, falling back to basic rendering');
       renderBasicGallery(galleryContainer, artworks);
@@ -156,15 +618,800 @@ const Controller = (function() {
     }
     
     // Delay splash screen hiding for better user experience
-    setTimeout(() => {
-      const splash = document.getElementById('splash-screen');
-      if (splash) {
-        splash.classList.add('hidden');
-        console.log('Splash screen hidden after timed delay');
+    hideSplash();
+  }
+    
+  /**
+   * Build the filter panel from the model's categories
+   * @private
+   */
+  function initFilterPanel() {
+    const galleryContainer = document.getElementById('gallery-container');
+    if (!filterPanel || !dataModel || !galleryContainer) {
+      console.warn('FilterPanel or DataModel not available, filtering disabled');
+      return;
+    }
+    
+    filterPanel.init(galleryContainer, dataModel.getCategories(), {
+      onChange: function(filters) {
+        viewState.filters = filters;
+        viewState.shortlist = null;
+        updateView();
+        syncUrl();
+      }
+    });
+    filterPanel.setPriceDistribution(currentResults);
+  }
+  
+  /**
+   * Add the sort dropdowns between the search box and the filter toggle
+   * @private
+   */
+  function initSortControls() {
+    const galleryContainer = document.getElementById('gallery-container');
+    if (!sortControls || !dataModel || !galleryContainer) {
+      console.warn('SortControls or DataModel not available, sorting disabled');
+      return;
+    }
+    
+    // The filter panel is rebuilt per catalog, so anchor above its toggle
+    sortControls.init(galleryContainer, {
+      before: document.querySelector('.filter-controls') || galleryContainer,
+      sort: viewState.sort,
+      onChange: function(spec) {
+        sortPreference = spec;
+        viewState.sort = spec;
+        viewState.shortlist = null;
+        updateView();
+        syncUrl();
       }
-    }, 2500); // 2.5 seconds - balanced timing for branding recognition
+    });
   }
+  
+  /**
+   * Add the caption mode dropdown after the sort dropdowns
+   * @private
+   */
+  function initCaptionControls() {
+    const galleryContainer = document.getElementById('gallery-container');
+    if (!captionControls || !virtualScroll || !galleryContainer) return;
     
+    captionControls.init(galleryContainer, {
+      before: document.querySelector('.filter-controls') || galleryContainer,
+      mode: captionMode,
+      onChange: function(mode) {
+        captionMode = mode;
+        virtualScroll.setCaptionMode(mode);
+      }
+    });
+  }
+  
+  /**
+   * Order artworks by the current sort, keeping their order when none is set
+   * @private
+   * @param {Array} artworks - Artworks in filter or search-rank order
+   * @return {Array} - Artworks in display order
+   */
+  function sortResults(artworks) {
+    if (!sortControls || !dataModel || !viewState.sort) return artworks;
+    
+    return dataModel.sortArtworks(sortControls.toSortKeys(viewState.sort), true, artworks);
+  }
+  
+  /**
+   * Show the validation summary banner when rows were skipped or flagged
+   * @private
+   */
+  function showValidationReport() {
+    const failsafe = getModuleReference('Failsafe');
+    const schema = getModuleReference('ArtworkSchema');
+    const report = dataModel ? dataModel.getValidationReport() : null;
+    if (!report || report.issues.length === 0) return;
+    
+    if (!failsafe || typeof failsafe.showValidationNotification !== 'function') {
+      console.warn('Artwork data has validation issues:', report.issues);
+      return;
+    }
+    
+    failsafe.showValidationNotification(report, {
+      summary: schema ? `Artwork data: ${schema.summarize(report)}.` : undefined,
+      onDownload: schema ? downloadValidationReport : undefined
+    });
+  }
+  
+  /**
+   * Download the current validation report as CSV
+   * @private
+   */
+  function downloadValidationReport() {
+    const schema = getModuleReference('ArtworkSchema');
+    const report = dataModel ? dataModel.getValidationReport() : null;
+    if (!schema || !report) return;
+    
+    const blob = new Blob([schema.reportToCSV(report)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'validation-report.csv';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  /**
+   * Wire favorites and named collections: tile hearts and the panel
+   * @private
+   */
+  function initCollections() {
+    const galleryContainer = document.getElementById('gallery-container');
+    if (!collections || !galleryContainer) return;
+    
+    collections.onChange(handleCollectionsChange);
+    galleryContainer.addEventListener('click', handleFavoriteClick);
+    
+    const actions = document.getElementById('header-actions');
+    if (collectionsPanel && actions) {
+      collectionsPanel.init(actions, document.getElementById('gallery-search-bar') || galleryContainer, {
+        collections: collections,
+        activeView: viewState.collection,
+        shareUrl: shortlist && router ? getShortlistUrl : null,
+        onView: function(viewId) {
+          viewState.collection = viewId;
+          viewState.shortlist = null;
+          updateView();
+          syncUrl();
+        }
+      });
+    }
+  }
+  
+  /**
+   * Toggle a favorite from the heart on a tile
+   * @private
+   * @param {Event} event - Click on the gallery
+   */
+  function handleFavoriteClick(event) {
+    const button = event.target.closest('.tile-favorite');
+    const tile = button ? button.closest('.vs-artwork') : null;
+    if (tile) {
+      collections.toggleFavorite(tile.getAttribute('data-id'));
+    }
+  }
+  
+  /**
+   * Reflect a favorites or collections change everywhere it shows
+   * @private
+   */
+  function handleCollectionsChange() {
+    document.querySelectorAll('#gallery-container .vs-artwork').forEach(tile => {
+      const button = tile.querySelector('.tile-favorite');
+      if (button) {
+        updateFavoriteButton(button, tile.getAttribute('data-id'));
+      }
+    });
+    
+    if (artworkModal) {
+      artworkModal.refreshActions();
+    }
+    
+    // The collection on screen may have gained or lost artworks, or been deleted
+    if (viewState.collection) {
+      if (!collections.getArtworkIds(viewState.collection)) {
+        viewState.collection = '';
+        if (collectionsPanel) collectionsPanel.setActiveView('');
+        syncUrl({ replace: true });
+      }
+      updateView();
+    }
+  }
+  
+  /**
+   * Fill the detail dialog's actions: frame preview, favorite toggle and collection picker
+   * @private
+   * @param {HTMLElement} container - Action area in the dialog
+   * @param {Object} artwork - Artwork shown
+   */
+  function renderModalActions(container, artwork) {
+    if (framePreview) {
+      const frame = document.createElement('button');
+      frame.type = 'button';
+      frame.className = 'header-action-button';
+      frame.dataset.action = 'frame';
+      frame.textContent = 'Preview in frame';
+      frame.addEventListener('click', function() {
+        framePreview.open(artwork);
+      });
+      container.appendChild(frame);
+    }
+    
+    if (!collections) return;
+    
+    const favorite = document.createElement('button');
+    favorite.type = 'button';
+    favorite.className = 'header-action-button artwork-modal-favorite';
+    favorite.dataset.action = 'favorite';
+    const isFavorite = collections.isFavorite(artwork.id);
+    favorite.setAttribute('aria-pressed', String(isFavorite));
+    favorite.textContent = `${isFavorite ? '♥' : '♡'} Favorite`;
+    favorite.addEventListener('click', function() {
+      collections.toggleFavorite(artwork.id);
+    });
+    container.appendChild(favorite);
+    
+    const list = collections.list();
+    if (list.length === 0) return;
+    
+    const label = document.createElement('label');
+    label.className = 'sr-only';
+    label.setAttribute('for', 'artwork-modal-collection');
+    label.textContent = 'Add to or remove from a collection';
+    
+    const select = document.createElement('select');
+    select.id = 'artwork-modal-collection';
+    select.className = 'sort-select';
+    select.dataset.action = 'collection';
+    select.appendChild(new Option('Add to collection…', ''));
+    list.forEach(collection => {
+      const contains = collection.artworkIds.includes(String(artwork.id));
+      select.appendChild(new Option(`${contains ? '✓ ' : ''}${collection.name}`, collection.id));
+    });
+    select.addEventListener('change', function() {
+      if (select.value) {
+        collections.toggleArtwork(select.value, artwork.id);
+      }
+    });
+    
+    container.appendChild(label);
+    container.appendChild(select);
+  }
+  
+  /**
+   * Add the print catalog action for the current view
+   * @private
+   */
+  function initPrintCatalog() {
+    const galleryContainer = document.getElementById('gallery-container');
+    const actions = document.getElementById('header-actions');
+    if (!printCatalog || !galleryContainer || !actions) return;
+    
+    printCatalog.init(actions, document.getElementById('gallery-search-bar') || galleryContainer, {
+      getSelection: getViewSelection,
+      imageFor: getPrintImage
+    });
+  }
+  
+  /**
+   * Add the export action for the current view
+   * @private
+   */
+  function initCatalogExport() {
+    const galleryContainer = document.getElementById('gallery-container');
+    const actions = document.getElementById('header-actions');
+    if (!catalogExport || !galleryContainer || !actions) return;
+    
+    catalogExport.init(actions, document.getElementById('gallery-search-bar') || galleryContainer, {
+      getSelection: getViewSelection
+    });
+  }
+  
+  /**
+   * Describe the current view for printing and export
+   * @private
+   * @return {Object} - { artworks, title, subtitle }
+   */
+  function getViewSelection() {
+    const filters = viewState.filters || {};
+    const details = [];
+    let title = '';
+    
+    if (viewState.shortlist) {
+      title = viewState.shortlist.title;
+      details.push(viewState.shortlist.note);
+    } else {
+      if (viewState.collection && collections) {
+        const collection = collections.get(viewState.collection);
+        title = viewState.collection === 'favorites' ? 'Favorites' : (collection ? collection.name : '');
+      }
+      if (viewState.query) details.push(`Search: “${viewState.query}”`);
+      if (filters.artist) details.push(`Artist: ${filters.artist}`);
+      if (filters.technique) details.push(`Technique: ${filters.technique}`);
+      if (filters.membership) details.push(`Membership: ${filters.membership}`);
+    }
+    
+    const catalog = catalogRegistry && activeCatalogId ? catalogRegistry.get(activeCatalogId) : null;
+    if (catalog) details.push(`${catalog.label} catalog`);
+    
+    return {
+      artworks: currentResults,
+      title,
+      subtitle: details.filter(Boolean).join(' · ')
+    };
+  }
+  
+  /**
+   * Predicate for the collection being viewed
+   * @private
+   * @return {Function|null} - Predicate, or null when showing everything
+   */
+  function getCollectionPredicate() {
+    const ids = collections && viewState.collection ?
+      collections.getArtworkIds(viewState.collection) :
+      null;
+    if (!ids) return null;
+    
+    const idSet = new Set(ids);
+    return artwork => idSet.has(String(artwork.id));
+  }
+  
+  /**
+   * Register the service worker and offer the current results for offline use
+   * @private
+   */
+  function initOfflineAction() {
+    if (!offlineManager) return;
+    
+    // Catalogs plus the thumbnail manifest, so offline tiles still find their variants
+    let dataUrls;
+    if (catalogRegistry) {
+      dataUrls = catalogRegistry.list().map(catalog => catalog.path);
+      if (imageVariants) {
+        dataUrls.push(imageVariants.getConfig().manifestUrl);
+      }
+    }
+    
+    offlineManager.init(document.getElementById('header-actions'), {
+      getArtworks: function() {
+        return currentResults;
+      },
+      imageUrlsFor: getImageUrls,
+      dataUrls
+    });
+  }
+  
+  /**
+   * Add the live search box above the gallery
+   * @private
+   */
+  function initSearchBox() {
+    const galleryContainer = document.getElementById('gallery-container');
+    if (!searchIndex || !galleryContainer) {
+      console.warn('SearchIndex not available, search disabled');
+      return;
+    }
+    
+    // Remove a box left over from a previous init
+    const existing = document.getElementById('gallery-search-bar');
+    if (existing) {
+      existing.parentNode.removeChild(existing);
+    }
+    
+    const searchBar = document.createElement('div');
+    searchBar.id = 'gallery-search-bar';
+    searchBar.className = 'search-bar';
+    searchBar.setAttribute('role', 'search');
+    searchBar.innerHTML = `
+      <label for="gallery-search" class="sr-only">Search artworks</label>
+      <input type="search" id="gallery-search" class="search-input"
+        placeholder="Search title, artist or description" autocomplete="off">
+    `;
+    galleryContainer.parentNode.insertBefore(searchBar, galleryContainer);
+    
+    const input = searchBar.querySelector('#gallery-search');
+    input.value = viewState.query;
+    input.addEventListener('input', function() {
+      clearTimeout(searchDebounce);
+      searchDebounce = setTimeout(() => {
+        // Refining an existing search replaces its history entry
+        const refining = viewState.query !== '';
+        viewState.query = input.value.trim();
+        viewState.shortlist = null;
+        updateView();
+        syncUrl({ replace: refining });
+      }, 150);
+    });
+  }
+  
+  /**
+   * Compute the visible artworks from search and filters, then re-render
+   * @private
+   */
+  function updateView() {
+    if (!dataModel) return;
+    
+    if (viewState.shortlist) {
+      showShortlist();
+      return;
+    }
+    if (shortlist) {
+      shortlist.hideBanner();
+    }
+    
+    // The price histogram shows every result the price range could include
+    const filters = viewState.filters || {};
+    const inCollection = getCollectionPredicate();
+    const allOf = function(first, second) {
+      if (!first || !second) return first || second;
+      return artwork => first(artwork) && second(artwork);
+    };
+    const basePredicate = allOf(
+      filterPanel ? filterPanel.createPredicate({ ...filters, minPrice: null, maxPrice: null }) : null,
+      inCollection
+    );
+    const predicate = allOf(
+      filterPanel ? filterPanel.createPredicate(filters) : null,
+      inCollection
+    );
+    
+    let candidates;
+    if (viewState.query && searchIndex && searchIndex.isReady()) {
+      // Keep search ranking, then narrow by the active filters
+      candidates = searchIndex.search(viewState.query);
+      if (basePredicate) {
+        candidates = candidates.filter(basePredicate);
+      }
+    } else {
+      candidates = dataModel.filterArtworks(basePredicate);
+    }
+    
+    if (filterPanel) {
+      filterPanel.setPriceDistribution(candidates);
+    }
+    
+    const results = predicate ? candidates.filter(predicate) : candidates;
+    renderResults(sortResults(results));
+  }
+  
+  /**
+   * Show exactly the shortlisted artworks, in the order they were shared
+   * @private
+   */
+  function showShortlist() {
+    const galleryContainer = document.getElementById('gallery-container');
+    if (!galleryContainer) return;
+    
+    const list = viewState.shortlist;
+    const artworks = list.ids
+      .map(id => dataModel.getArtworkById(id))
+      .filter(Boolean);
+    
+    if (shortlist) {
+      shortlist.showBanner(document.getElementById('gallery-search-bar') || galleryContainer, {
+        shortlist: list,
+        found: artworks.length,
+        onExit: function() {
+          viewState.shortlist = null;
+          updateView();
+          syncUrl();
+        },
+        onSave: collections ? function(shared) {
+          collections.create(shared.title || 'Shared shortlist', shared.ids);
+        } : null
+      });
+    }
+    
+    renderResults(artworks);
+  }
+  
+  /**
+   * Build an absolute link that opens a shortlist
+   * @private
+   * @param {Object} list - { ids, title, note }
+   * @return {string} - URL with the shortlist in its fragment
+   */
+  function getShortlistUrl(list) {
+    const query = { ...shortlist.toQuery(list), catalog: getCatalogParam() };
+    return window.location.href.split('#')[0] + router.buildHash('/shortlist', query);
+  }
+  
+  /**
+   * Render a result set into the gallery without reloading the page
+   * @private
+   * @param {Array} artworks - Artworks to show, in display order
+   */
+  function renderResults(artworks) {
+    const galleryContainer = document.getElementById('gallery-container');
+    if (!galleryContainer) return;
+    
+    currentResults = artworks;
+    
+    if (artworks.length === 0) {
+      if (virtualScroll && typeof virtualScroll.destroy === 'function') {
+        virtualScroll.destroy();
+      }
+      let message = 'No artworks match the current search and filters.';
+      if (viewState.shortlist) {
+        message = 'None of the shortlisted artworks are in this catalog.';
+      } else if (viewState.collection) {
+        message = 'No artworks here yet. Use the heart on a tile or the detail view to add some.';
+      }
+      galleryContainer.innerHTML = `<p class="gallery-empty" role="status">${message}</p>`;
+    } else if (virtualScroll && virtualScroll.init) {
+      virtualScroll.init(galleryContainer, artworks, getGalleryOptions());
+    } else {
+      renderBasicGallery(galleryContainer, artworks);
+    }
+    
+    const announcer = document.getElementById('sr-announcer');
+    if (announcer) {
+      announcer.textContent = `Showing ${artworks.length} artworks.`;
+    }
+    
+    if (printCatalog) {
+      printCatalog.refresh();
+    }
+    if (catalogExport) {
+      catalogExport.refresh();
+    }
+  }
+  
+  /**
+   * Serialize the view state into a route path and query parameters
+   * @private
+   * @return {Object} - { path, query }
+   */
+  function getListRoute() {
+    if (viewState.shortlist && shortlist) {
+      return {
+        path: '/shortlist',
+        query: { ...shortlist.toQuery(viewState.shortlist), catalog: getCatalogParam() }
+      };
+    }
+    
+    const filters = viewState.filters || {};
+    const query = {
+      q: viewState.query,
+      technique: filters.technique,
+      membership: filters.membership,
+      min: filters.minPrice,
+      max: filters.maxPrice,
+      currency: filters.currency,
+      orientation: filters.orientation,
+      framing: filters.framing,
+      maxw: filters.maxWidth,
+      maxh: filters.maxHeight,
+      unit: filters.sizeUnit !== 'in' ? filters.sizeUnit : '',
+      sort: viewState.sort,
+      collection: viewState.collection,
+      catalog: getCatalogParam()
+    };
+    
+    if (filters.artist) {
+      return { path: `/artist/${encodeURIComponent(filters.artist)}`, query };
+    }
+    if (viewState.query) {
+      return { path: '/search', query };
+    }
+    return { path: '/', query };
+  }
+  
+  /**
+   * Catalog query parameter for the catalog on screen
+   * @private
+   * @return {string} - Catalog id, or '' for the default catalog
+   */
+  function getCatalogParam() {
+    return catalogRegistry && activeCatalogId !== catalogRegistry.getDefaultId() ? activeCatalogId : '';
+  }
+  
+  /**
+   * Build view state from route parameters and query
+   * @private
+   * @param {Object} params - Route parameters (e.g. { name })
+   * @param {Object} query - Query parameters
+   * @return {Object} - View state
+   */
+  function viewStateFromRoute(params, query) {
+    const toNumber = function(value) {
+      const number = parseFloat(value);
+      return isNaN(number) ? null : number;
+    };
+    
+    return {
+      filters: {
+        artist: params.name || '',
+        technique: query.technique || '',
+        membership: query.membership || '',
+        minPrice: toNumber(query.min),
+        maxPrice: toNumber(query.max),
+        currency: query.currency || '',
+        orientation: query.orientation || '',
+        framing: query.framing || '',
+        maxWidth: toNumber(query.maxw),
+        maxHeight: toNumber(query.maxh),
+        sizeUnit: query.unit === 'cm' ? 'cm' : 'in'
+      },
+      query: query.q || '',
+      sort: sortControls ? sortControls.normalize(query.sort || sortPreference) : '',
+      collection: query.collection || '',
+      shortlist: shortlist ? shortlist.fromQuery(query) : null,
+      catalog: catalogRegistry ? catalogRegistry.resolve(query.catalog) : null
+    };
+  }
+  
+  /**
+   * Apply view state restored from the URL to the controls and gallery
+   * @private
+   * @param {Object} state - View state from viewStateFromRoute
+   * @param {boolean} [force=false] - Re-render even if the view looks unchanged
+   */
+  function applyViewState(state, force = false) {
+    const before = getListHash();
+    
+    viewState.filters = state.filters;
+    viewState.query = state.query;
+    if (state.sort !== undefined) {
+      viewState.sort = state.sort;
+    }
+    if (state.collection !== undefined) {
+      viewState.collection = state.collection;
+    }
+    viewState.shortlist = state.shortlist || null;
+    
+    // Skip re-rendering when back/forward lands on the view already shown
+    if (!force && getListHash() === before && currentResults.length) {
+      return;
+    }
+    
+    if (filterPanel) {
+      filterPanel.setFilters(state.filters, true);
+    }
+    if (sortControls) {
+      sortControls.setSort(viewState.sort, true);
+    }
+    if (collectionsPanel) {
+      collectionsPanel.setActiveView(viewState.collection);
+    }
+    const input = document.getElementById('gallery-search');
+    if (input) {
+      input.value = state.query;
+    }
+    
+    updateView();
+  }
+  
+  /**
+   * Hash for the current list view
+   * @private
+   * @return {string} - Hash including the leading "#"
+   */
+  function getListHash() {
+    if (!router) return '';
+    const route = getListRoute();
+    return router.buildHash(route.path, route.query);
+  }
+  
+  /**
+   * Write the current view state to the URL
+   * @private
+   * @param {Object} [options] - Router navigation options
+   */
+  function syncUrl(options = {}) {
+    if (!router) return;
+    
+    const route = getListRoute();
+    router.navigate(route.path, route.query, options);
+  }
+  
+  /**
+   * Register routes and dispatch the current URL
+   * @private
+   */
+  function initRouter() {
+    if (!router) {
+      console.warn('Router not available, URL state disabled');
+      openArtworkFromHash();
+      return;
+    }
+    
+    const showList = function(params, query) {
+      const state = viewStateFromRoute(params, query);
+      
+      // Links and back/forward may name another catalog
+      if (catalogRegistry && state.catalog !== activeCatalogId) {
+        return switchCatalog(state.catalog, { state, fromRoute: true });
+      }
+      
+      applyViewState(state);
+      return Promise.resolve(true);
+    };
+    
+    router.reset()
+      .register('/', showList)
+      .register('/search', showList)
+      .register('/artist/:name', showList)
+      .register('/shortlist', showList)
+      .register('/artwork/:id', function(params, query) {
+        // The artist filter is part of the list path, so artwork URLs carry it as ?artist=
+        showList({ name: query.artist }, query).then(shown => {
+          if (!shown) return;
+          openArtworkById(params.id);
+          
+          // Links from "Copy image" fall back to reopening the framed preview
+          const artwork = query.frame && framePreview && dataModel ? dataModel.getArtworkById(params.id) : null;
+          if (artwork) {
+            framePreview.open(artwork, { style: query.frame });
+          }
+        });
+      })
+      .notFound(function() {
+        router.navigate('/', {}, { replace: true });
+        showList({}, {});
+      });
+    
+    if (framePreview) {
+      framePreview.configure({
+        shareLink: function(artwork, style) {
+          const hash = router.buildHash(`/artwork/${encodeURIComponent(artwork.id)}`, {
+            catalog: getCatalogParam(),
+            frame: style
+          });
+          return window.location.href.split('#')[0] + hash;
+        }
+      });
+    }
+    
+    // Artwork URLs keep the list state so closing returns to the same view
+    if (artworkModal) {
+      artworkModal.configure({
+        hashFor: function(artwork) {
+          const route = getListRoute();
+          const artist = route.path.startsWith('/artist/') ? viewState.filters.artist : '';
+          return router.buildHash(`/artwork/${encodeURIComponent(artwork.id)}`, { ...route.query, artist });
+        },
+        listHash: getListHash
+      });
+    }
+    
+    router.start();
+  }
+  
+  /**
+   * Show the detail dialog for an artwork, stepping through the current results
+   * @private
+   * @param {Object} artwork - Artwork record
+   */
+  function openArtwork(artwork) {
+    if (!artworkModal) {
+      console.warn('ArtworkModal not available');
+      return;
+    }
+    
+    artworkModal.open(artwork, { sequence: currentResults });
+  }
+  
+  /**
+   * Open the artwork named by a #/artwork/<id> URL, if any
+   * @private
+   */
+  function openArtworkFromHash() {
+    if (!artworkModal) return;
+    
+    const id = artworkModal.parseHash();
+    if (id !== null) {
+      openArtworkById(id);
+    }
+  }
+  
+  /**
+   * Open the detail dialog for an artwork id
+   * @private
+   * @param {string} id - Artwork id
+   */
+  function openArtworkById(id) {
+    if (!artworkModal || !dataModel) return;
+    
+    const current = artworkModal.getCurrent();
+    if (current && String(current.id) === String(id)) return;
+    
+    const artwork = dataModel.getArtworkById(id);
+    if (artwork) {
+      openArtwork(artwork);
+    } else {
+      console.warn('Deep-linked artwork not found:', id);
+    }
+  }
+  
   /**
    * Basic gallery renderer as fallback
    * @private
@@ -225,12 +1472,70 @@ const Controller = (function() {
     if (loadingTimeout) {
       clearTimeout(loadingTimeout);
     }
+    clearTimeout(searchDebounce);
+    clearTimeout(splashTimer);
+    splashTimer = null;
+    
+    if (router) {
+      router.reset();
+    }
+    
+    if (artworkModal) {
+      artworkModal.close();
+    }
     
     // Clean up VirtualScroll if it exists and has a destroy method
     if (virtualScroll && typeof virtualScroll.destroy === 'function') {
       virtualScroll.destroy();
     }
     
+    if (filterPanel) {
+      filterPanel.destroy();
+    }
+    
+    if (sortControls) {
+      sortControls.destroy();
+    }
+    
+    if (captionControls) {
+      captionControls.destroy();
+    }
+    
+    if (collections) {
+      collections.offChange(handleCollectionsChange);
+    }
+    const galleryContainer = document.getElementById('gallery-container');
+    if (galleryContainer) {
+      galleryContainer.removeEventListener('click', handleFavoriteClick);
+    }
+    if (collectionsPanel) {
+      collectionsPanel.destroy();
+    }
+    if (shortlist) {
+      shortlist.hideBanner();
+    }
+    if (printCatalog) {
+      printCatalog.destroy();
+    }
+    if (catalogExport) {
+      catalogExport.destroy();
+    }
+    
+    if (searchIndex) {
+      searchIndex.clear();
+    }
+    
+    if (offlineManager) {
+      offlineManager.destroy();
+    }
+    
+    const switcher = document.getElementById('catalog-switcher');
+    if (switcher) {
+      switcher.parentNode.removeChild(switcher);
+    }
+    catalogStates.clear();
+    activeCatalogId = null;
+    
     // Remove global debug reference
     delete window.allArtworks;
     
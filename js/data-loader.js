@@ -1,8 +1,10 @@
 /**
  * DataLoader Module
  * Handles fetching and loading data with advanced configuration options.
- * @version 1.1.0
+ * @version 1.4.0
  */
+
+/* global ArtworkSchema, FormatAdapters */
  
 const DataLoader = (function() {
   'use strict';
@@ -11,45 +13,26 @@ const DataLoader = (function() {
   let artworkData = [];
   let isLoaded = false;
   let progressListeners = [];
+  let batchListeners = [];
+  let validationReport = null;
+    
+  // Loaded catalogs by path: { artworks, report }, plus loads in flight
+  const catalogCache = new Map();
+  const pendingLoads = new Map();
     
   // Default configuration
   const defaultConfig = {
     csvPath: './data/filtered.csv',
     placeholderImage: './images/placeholder.svg',
     imageBasePath: './images_scraped/',
-    requiredFields: ['Sort', 'Title', 'Artist'], // Changed from 'ID' to 'Sort'
+    chunkSize: 64 * 1024, // Characters parsed between yields to the browser
+    downloadWeight: 30, // Share of the progress bar used by the download
     enableLogging: true
   };
     
   // Current configuration
   let config = { ...defaultConfig };
     
-  /**
-     * Generate appropriate image path based on available data
-     * @private
-     * @param {Object} item - Artwork data item
-     * @return {string} - Image path
-     */
-  const generateImagePath = function(item) {
-    // If we have a filename, use it directly
-    if (item.Filename) {
-      return `${config.imageBasePath}${item.Filename}`;
-    }
-        
-    // If we have an ID (or Sort), generate a filename based on available data
-    if (item.Sort || item.ID) {
-      const idPart = String(item.Sort || item.ID).padStart(5, '0');
-      const titlePart = item.Title ? item.Title.replace(/\s+/g, '_') : 'Untitled';
-      const sizePart = item.Size ? item.Size.replace(/\s+/g, '_') : 'NoSize';
-      const pricePart = item.Price ? `${item.Price}` : 'NoPriceInfo';
-            
-      return `${config.imageBasePath}${idPart}_${titlePart}_${sizePart}_${pricePart}.jpg`;
-    }
-        
-    // Fallback to placeholder
-    return config.placeholderImage;
-  };
-    
   /**
      * Notify progress listeners
      * @private
@@ -70,89 +53,138 @@ const DataLoader = (function() {
   };
     
   /**
-     * Load and parse CSV data
+     * Notify batch listeners with the first records parsed
      * @private
-     * @param {string} csvPath - Path to the CSV file
-     * @return {Promise} - Promise resolving to parsed data
+     * @param {Array} records - Normalized records from the first chunk
      */
-  const loadCSV = function(csvPath) {
-    console.log('Attempting to load CSV from:', csvPath);
-  
+  const notifyBatchListeners = function(records) {
+    batchListeners.forEach(listener => {
+      try {
+        listener(records);
+      } catch (e) {
+        if (config.enableLogging) {
+          console.error('Error in batch listener:', e);
+        }
+      }
+    });
+  };
+    
+  /**
+     * Download a catalog file, reporting bytes received
+     * @private
+     * @param {string} path - Path to the catalog file
+     * @return {Promise<Object>} - Promise resolving to { text, contentType }
+     */
+  const downloadFile = function(path) {
     return new Promise((resolve, reject) => {
-      // Use XMLHttpRequest instead of direct Papa.parse for better error reporting
+      // Use XMLHttpRequest instead of fetch for download progress events
       const xhr = new XMLHttpRequest();
-      xhr.open('GET', csvPath, true);
+      xhr.open('GET', path, true);
+      xhr.onprogress = function(event) {
+        if (event.lengthComputable && event.total > 0) {
+          const fraction = event.loaded / event.total;
+          notifyProgressListeners(Math.round(fraction * config.downloadWeight), 'Downloading artwork data');
+        }
+      };
       xhr.onload = function() {
         if (xhr.status === 200) {
-          console.log('CSV file successfully fetched');
-          
-          // Parse the CSV text with Papa
-          Papa.parse(xhr.responseText, {
-            header: true,
-            dynamicTyping: true,
-            skipEmptyLines: true,
-            complete: function(results) {
-              console.log('CSV parsing complete, rows:', results.data.length);
-              if (results.errors && results.errors.length) {
-                console.warn('CSV parsing had errors:', results.errors);
-              }
-              resolve(results.data);
-            },
-            error: function(error) {
-              console.error('CSV parsing error:', error);
-              reject(error);
-            }
-          });
+          console.log('Catalog file successfully fetched');
+          notifyProgressListeners(config.downloadWeight, 'Parsing artwork data');
+          resolve({ text: xhr.responseText, contentType: xhr.getResponseHeader('Content-Type') || '' });
         } else {
-          console.error('Failed to load CSV, status:', xhr.status);
-          reject(new Error(`Failed to load CSV: ${xhr.status}`));
+          console.error('Failed to load catalog, status:', xhr.status);
+          reject(new Error(`Failed to load catalog: ${xhr.status}`));
         }
       };
       xhr.onerror = function() {
-        console.error('Network error loading CSV');
-        reject(new Error('Network error loading CSV'));
+        console.error('Network error loading catalog');
+        reject(new Error('Network error loading catalog'));
       };
       xhr.send();
     });
   };
     
   /**
-     * Process loaded artwork data
+     * Parse catalog text with the matching format adapter
+     * @private
+     * @param {Object} file - { text, contentType } from downloadFile
+     * @param {string} path - Path the text came from
+     * @param {string} [format] - Explicit format id, overriding detection
+     * @return {Promise} - Promise resolving to { rows, fields, errors, format }
+     */
+  const parseData = function(file, path, format) {
+    let sentFirstBatch = false;
+    const parseWeight = 100 - config.downloadWeight;
+        
+    const onChunk = function(rows, fields, fraction) {
+      notifyProgressListeners(
+        Math.min(99, config.downloadWeight + Math.round(fraction * parseWeight)),
+        `Parsed ${rows.length} artworks`
+      );
+            
+      // Let the gallery show something while the rest is parsed
+      if (!sentFirstBatch && rows.length > 0 && batchListeners.length > 0) {
+        sentFirstBatch = true;
+        const { records } = ArtworkSchema.normalize(rows.slice(), fields, {
+          imageBasePath: config.imageBasePath,
+          placeholderImage: config.placeholderImage,
+          source: path
+        });
+        notifyBatchListeners(records);
+      }
+    };
+        
+    return FormatAdapters.parse(file.text, { path, format, contentType: file.contentType }, onChunk, {
+      chunkSize: config.chunkSize
+    }).then(parsed => {
+      console.log(`Catalog parsing complete (${parsed.format}), rows:`, parsed.rows.length);
+      if (parsed.errors.length) {
+        console.warn('Catalog parsing had errors:', parsed.errors);
+      }
+      return parsed;
+    });
+  };
+    
+  /**
+     * Load and parse a catalog file
      * @private
-     * @param {Array} data - Raw parsed CSV data
+     * @param {string} path - Path to the catalog file
+     * @param {string} [format] - Explicit format id
+     * @return {Promise} - Promise resolving to { rows, fields, errors, format }
+     */
+  const loadData = function(path, format) {
+    console.log('Attempting to load catalog from:', path);
+    return downloadFile(path).then(file => parseData(file, path, format));
+  };
+    
+  /**
+     * Process loaded artwork data through the shared schema
+     * @private
+     * @param {Object} parsed - Output of loadData
+     * @param {string} source - Path the data came from
      * @return {Array} - Processed artwork data
      */
-  const processArtworkData = function(data) {
-    notifyProgressListeners(98, 'Processing artwork data');
+  const processArtworkData = function(parsed, source) {
+    notifyProgressListeners(99, 'Processing artwork data');
         
-    return data.filter(item => {
-      // Verify required fields exist
-      return config.requiredFields.every(field => item[field]);
-    })
-      .map(item => {
-        // Ensure required fields exist
-        const processedItem = {
-          id: item.Sort || item.ID || '', // Map Sort to id if ID doesn't exist
-          title: item.Title || 'Untitled',
-          artist: item.Artist || 'Unknown Artist',
-          technique: item.Technique || '',
-          price: item.Price || '',
-          size: item.Size || '',
-          framedSize: item.Framed_Size || '',
-          aiDescription: item.AI_Description || '',
-          fgDescription: item.FG_Description || '',
-          url: item.Artwork_URL || item.URL || '', // Added support for Artwork_URL
-                    
-          // Generate image path using dedicated function
-          imagePath: generateImagePath(item),
-                    
-          // Display properties
-          displaySize: item.Framed_Size ? `Framed Size: ${item.Framed_Size}` : 
-            (item.Size ? `Size: ${item.Size}` : '')
-        };
-                
-        return processedItem;
-      });
+    const { records, report } = ArtworkSchema.normalize(parsed.rows, parsed.fields, {
+      imageBasePath: config.imageBasePath,
+      placeholderImage: config.placeholderImage,
+      source,
+      parseErrors: parsed.errors
+    });
+    validationReport = report;
+        
+    if (config.enableLogging && report.issues.length > 0) {
+      console.warn(`Catalog validation: ${ArtworkSchema.summarize(report)}`, report.issues);
+    }
+        
+    // A missing required column means nothing can be shown
+    if (report.missingColumns.length > 0) {
+      throw new Error(`Catalog is missing required columns: ${report.missingColumns.join(', ')}`);
+    }
+        
+    return records;
   };
     
   return {
@@ -188,21 +220,55 @@ const DataLoader = (function() {
       return this;
     },
         
+    /**
+         * Register a listener for the first parsed records, called before parsing finishes
+         * @param {Function} listener - Called with an array of normalized records
+         * @return {Object} - This instance for chaining
+         */
+    onFirstBatch: function(listener) {
+      if (typeof listener === 'function') {
+        batchListeners.push(listener);
+      }
+      return this;
+    },
+        
+    /**
+         * Remove a first-batch listener
+         * @param {Function} listener - Listener to remove
+         * @return {Object} - This instance for chaining
+         */
+    offFirstBatch: function(listener) {
+      batchListeners = batchListeners.filter(l => l !== listener);
+      return this;
+    },
+        
     /**
          * Initialize data loader and load artwork data
-         * @param {string} [customCsvPath] - Optional custom CSV path
+         * @param {string} [customCsvPath] - Optional custom catalog path (CSV, JSON or NDJSON)
+         * @param {Object} [options] - Load options
+         * @param {string} [options.format] - Format id when the path and content type don't tell
          * @return {Promise} - Promise resolving when data is loaded
          */
-    init: function(customCsvPath) {
-      if (isLoaded) {
+    init: function(customCsvPath, options = {}) {
+      const csvPath = customCsvPath || config.csvPath;
+            
+      // Each catalog is parsed once; switching back reuses its records
+      const cached = catalogCache.get(csvPath);
+      if (cached) {
+        artworkData = cached.artworks;
+        validationReport = cached.report;
+        isLoaded = true;
         return Promise.resolve(artworkData);
       }
+      if (pendingLoads.has(csvPath)) {
+        return pendingLoads.get(csvPath);
+      }
             
-      const csvPath = customCsvPath || config.csvPath;
-            
-      return loadCSV(csvPath)
-        .then(data => {
-          artworkData = processArtworkData(data);
+      const load = loadData(csvPath, options.format)
+        .then(parsed => {
+          const artworks = processArtworkData(parsed, csvPath);
+          catalogCache.set(csvPath, { artworks, report: validationReport });
+          artworkData = artworks;
           isLoaded = true;
           notifyProgressListeners(100, 'Data load complete');
           return artworkData;
@@ -213,7 +279,13 @@ const DataLoader = (function() {
           }
           notifyProgressListeners(100, 'Error loading data');
           return Promise.reject(error);
+        })
+        .finally(() => {
+          pendingLoads.delete(csvPath);
         });
+            
+      pendingLoads.set(csvPath, load);
+      return load;
     },
         
     /**
@@ -230,16 +302,30 @@ const DataLoader = (function() {
          * @return {Object|null} - Artwork object or null if not found
          */
     getArtworkById: function(id) {
-      const artwork = artworkData.find(artwork => artwork.id === id);
+      const artwork = artworkData.find(artwork => artwork.id === String(id));
       return artwork ? { ...artwork } : null; // Return copy to prevent mutations
     },
         
+    /**
+         * Get the schema validation report from the last load
+         * @param {string} [csvPath] - Catalog path (defaults to the most recently loaded one)
+         * @return {Object|null} - Report from ArtworkSchema.normalize, or null before loading
+         */
+    getValidationReport: function(csvPath) {
+      if (csvPath) {
+        const cached = catalogCache.get(csvPath);
+        return cached ? cached.report : null;
+      }
+      return validationReport;
+    },
+        
     /**
          * Check if data is loaded
+         * @param {string} [csvPath] - Catalog path to check instead of the current data
          * @return {boolean} - Whether data is loaded
          */
-    isDataLoaded: function() {
-      return isLoaded;
+    isDataLoaded: function(csvPath) {
+      return csvPath ? catalogCache.has(csvPath) : isLoaded;
     },
         
     /**
@@ -249,6 +335,8 @@ const DataLoader = (function() {
     reset: function() {
       artworkData = [];
       isLoaded = false;
+      validationReport = null;
+      catalogCache.clear();
       return this;
     }
   };
@@ -262,9 +350,9 @@ if (window.ArtGallery) {
 }
 
 // Add loadArtworks method for compatibility with controller.js
-DataLoader.loadArtworks = function(customPath) {
+DataLoader.loadArtworks = function(customPath, options) {
   console.log('DataLoader.loadArtworks called (compatibility method)');
-  return this.init(customPath);
+  return this.init(customPath, options);
 };
 
 console.log('DataLoader module loaded and exposed globally');
\ No newline at end of file
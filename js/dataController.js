@@ -1,4 +1,6 @@
 // filepath: /Users/pete5553/Desktop/curated_collection/js/dataController.js
+
+/* global ArtworkSchema, FormatAdapters */
  
 const DataController = (function() {
   'use strict';
@@ -7,10 +9,7 @@ const DataController = (function() {
   const config = {
     // Change this to use a relative web path instead of filesystem path
     csvPath: './data/filtered.csv',
-    requiredFields: [
-      'Title', 'Artist', 'Membership', 'Technique', 
-      'Size', 'Framed_Size', 'Price', 'Total_Score'
-    ],
+    format: null, // Format adapter id; null detects it from the path and content type
     debug: true,
     maxParsingErrors: 5 // Maximum number of parsing errors to continue processing
   };
@@ -25,6 +24,7 @@ const DataController = (function() {
 
   // Define at module level outside functions
   let _loadedData = [];
+  let _validationReport = null;
     
   // Self-contained utility functions
   function logDebug(message, data) {
@@ -73,79 +73,30 @@ const DataController = (function() {
   };
     
   /**
-     * Validates CSV headers (internal utility function)
-     * @param {Array} headers - CSV headers
-     * @returns {boolean} - Whether headers are valid
-     * @private
-     */
-  const _validateHeaders = function(headers) {
-    if (!Array.isArray(headers) || headers.length === 0) {
-      logError('Invalid or empty CSV headers');
-      return false;
-    }
-        
-    const missingFields = config.requiredFields.filter(field => 
-      !headers.includes(field)
-    );
-        
-    if (missingFields.length > 0) {
-      logError(`CSV is missing required fields: ${missingFields.join(', ')}`);
-      return false;
-    }
-        
-    return true;
-  };
-    
-  /**
-     * Parse CSV data with validation
-     * @param {string} csvData - CSV data as string
+     * Parse catalog data with the matching format adapter and normalize rows
+     * through the shared artwork schema
+     * @param {string} text - Catalog contents (CSV, JSON or NDJSON)
+     * @param {string} [contentType] - Response Content-Type header
      * @return {Promise} - Promise resolving to parsed data
      */
-  const parseCSV = function(csvData) {
-    return new Promise((resolve, reject) => {
-      Papa.parse(csvData, {
-        header: true,
-        skipEmptyLines: true,
-        complete: function(results) {
-          // Add header validation
-          if (results.meta && results.meta.fields) {
-            if (!_validateHeaders(results.meta.fields)) {
-              reject(new Error('Invalid CSV headers'));
-              return;
-            }
-          }
-                    
-          // Process the data
-          const artworks = results.data.map((row, index) => {
-            const { ID, Title, Artist, Technique, Price, Size, Filename } = row;
-            // *** Ensure trim() is applied and handle potential null/undefined ***
-            const filenameFromCSV = (Filename || row.filename || '').toString().trim();
-
-            // Ensure filename is valid before constructing path
-            const imagePathToAssign = filenameFromCSV ? `./images_scraped/${filenameFromCSV}` : './images/placeholder.svg';
+  const parseData = function(text, contentType) {
+    return FormatAdapters.parse(text, { path: config.csvPath, format: config.format, contentType })
+      .then(parsed => {
+        const { records, report } = ArtworkSchema.normalize(
+          parsed.rows,
+          parsed.fields,
+          { source: config.csvPath, parseErrors: parsed.errors }
+        );
+        _validationReport = report;
 
-            if (index < 10 || filenameFromCSV.includes('#') || filenameFromCSV.endsWith(' ')) { // Log more cases
-              console.log(`[DataController Map ${index}] Filename: "${filenameFromCSV}", Assigning imagePath: ${imagePathToAssign}`);
-            }
-
-            // Return a more complete object needed by other parts
-            return {
-              id: ID || row.id || `art-${index}`,
-              title: Title || row.title || 'Untitled',
-              artist: Artist || row.artist || 'Unknown Artist',
-              technique: Technique || '',
-              price: Price || '', // Ensure price is read correctly
-              size: Size || '',
-              imagePath: imagePathToAssign // Assign the potentially corrected path
-            };
-          });
-          resolve(artworks);
-        },
-        error: function(error) {
-          reject(error);
+        if (report.missingColumns.length > 0) {
+          logError(`Catalog is missing required fields: ${report.missingColumns.join(', ')}`);
+          throw new Error('Invalid catalog headers');
         }
+
+        logDebug(`Schema accepted ${report.acceptedRows} of ${report.totalRows} ${parsed.format} rows`, report.issues);
+        return records;
       });
-    });
   };
 
   // Return a clean public API
@@ -159,15 +110,17 @@ const DataController = (function() {
       _loadingState.progress = 0;
       updateProgress(10);
 
+      let contentType = '';
       return fetch(config.csvPath)
         .then(response => {
-          if (!response.ok) throw new Error(`Failed to fetch CSV: ${response.status}`);
+          if (!response.ok) throw new Error(`Failed to fetch catalog: ${response.status}`);
           updateProgress(30); // <<< Add call here
+          contentType = response.headers.get('Content-Type') || '';
           return response.text();
         })
-        .then(csvText => {
+        .then(text => {
           updateProgress(50); // <<< Ensure this call is present
-          return parseCSV(csvText); // Use your existing parseCSV function
+          return parseData(text, contentType);
         })
         .then(data => {
           updateProgress(90); // <<< Ensure this call is present
@@ -222,6 +175,14 @@ const DataController = (function() {
       return _loadedData || []; // Return the loaded CSV data or empty array
     },
 
+    /**
+         * Get the schema validation report from the last load
+         * @returns {Object|null} Report from ArtworkSchema.normalize
+         */
+    getValidationReport: function() {
+      return _validationReport;
+    },
+
     renderArtwork: function(artwork) {
       let imagePath = artwork.imagePath || './images/placeholder.svg';
 
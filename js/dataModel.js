@@ -2,13 +2,16 @@
  * Data Model Module
  * Manages the application's data state.
  */
-// eslint-disable-next-line no-unused-vars
+
+/* global ArtworkSchema */
+
 const DataModel = (function() {
   'use strict';
     
   // Private data store
   let _artworks = [];
   let _isInitialized = false;
+  let _validationReport = null;
   let _dataMetadata = {
     lastUpdated: null,
     totalCount: 0,
@@ -40,6 +43,18 @@ const DataModel = (function() {
     });
   };
     
+  /**
+     * Find the first required property an artwork is missing
+     * @param {Object} artwork - Artwork to validate
+     * @return {string|null} - Missing property name, or null if valid
+     */
+  const findMissingProp = function(artwork) {
+    const requiredProps = typeof ArtworkSchema !== 'undefined' ?
+      [...ArtworkSchema.getRequiredKeys(), 'imagePath'] :
+      ['id', 'title', 'artist', 'imagePath']; // Record keys produced by ArtworkSchema.normalize
+    return requiredProps.find(prop => !Object.prototype.hasOwnProperty.call(artwork, prop) || artwork[prop] === null || artwork[prop] === '') || null;
+  };
+    
   /**
      * Validate artwork object
      * @param {Object} artwork - Artwork to validate
@@ -47,10 +62,71 @@ const DataModel = (function() {
      */
   const validateArtwork = function(artwork) {
     if (!artwork || typeof artwork !== 'object') return false;
+    return findMissingProp(artwork) === null;
+  };
+    
+  /**
+     * Convert a price string to a number
+     * @param {*} value - Price as number or string (e.g. "$1,200" or "1200 - 1500")
+     * @return {number|null} - First amount in the string, or null if there is none
+     */
+  const parsePrice = function(value) {
+    if (typeof ArtworkSchema !== 'undefined') {
+      return ArtworkSchema.parsePrice(value).amount;
+    }
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (!value) return null;
         
-    // Check for required properties using Object.prototype.hasOwnProperty.call
-    const requiredProps = ['Sort', 'Title', 'Artist', 'Filename']; // Use actual required props from CSV
-    return requiredProps.every(prop => Object.prototype.hasOwnProperty.call(artwork, prop) && artwork[prop] !== null && artwork[prop] !== ''); // New, safer way + check for non-empty
+    const match = String(value).match(/\d[\d,]*(?:\.\d+)?/);
+    return match ? parseFloat(match[0].replace(/,/g, '')) : null;
+  };
+    
+  /**
+     * Numeric price of an artwork, using the schema's normalized value when present
+     * @param {Object} artwork - Artwork record
+     * @return {number|null} - Price amount or null if unpriced
+     */
+  const getPriceValue = function(artwork) {
+    return artwork.priceValue !== undefined ? artwork.priceValue : parsePrice(artwork.price);
+  };
+    
+  // Fields whose sort value differs from the raw record value
+  const sortValueGetters = {
+    price: getPriceValue,
+    // Catalog numbers are numeric strings from the Sort column
+    id: artwork => {
+      const number = Number(artwork.id);
+      return artwork.id !== '' && isFinite(number) ? number : artwork.id;
+    }
+  };
+    
+  /**
+     * Value an artwork is sorted by for a field
+     * @param {Object} artwork - Artwork record
+     * @param {string} field - Record field
+     * @return {number|string|null} - Sort value, null when empty
+     */
+  const getSortValue = function(artwork, field) {
+    const value = sortValueGetters[field] ? sortValueGetters[field](artwork) : artwork[field];
+    if (value === null || value === undefined || value === '') return null;
+    return typeof value === 'number' ? value : String(value).toLowerCase();
+  };
+    
+  /**
+     * Compare two sort values; empty values go last regardless of direction
+     * @param {number|string|null} a - First value
+     * @param {number|string|null} b - Second value
+     * @param {number} direction - 1 for ascending, -1 for descending
+     * @return {number} - Comparison result
+     */
+  const compareSortValues = function(a, b, direction) {
+    if (a === null || b === null) {
+      return a === b ? 0 : (a === null ? 1 : -1);
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+      return (a - b) * direction;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true }) * direction;
   };
     
   /**
@@ -68,18 +144,37 @@ const DataModel = (function() {
       techniques: new Set(),
       memberships: new Set()
     };
+    const currencyCounts = new Map();
+    let minPrice = Infinity;
+    let maxPrice = -Infinity;
+    let hasDimensions = false;
         
     artworks.forEach(artwork => {
       if (artwork.artist) categories.artists.add(artwork.artist);
       if (artwork.technique) categories.techniques.add(artwork.technique);
       if (artwork.membership) categories.memberships.add(artwork.membership);
+            
+      if (artwork.dimensions || artwork.framedDimensions) hasDimensions = true;
+            
+      const price = getPriceValue(artwork);
+      if (price !== null) {
+        minPrice = Math.min(minPrice, price);
+        maxPrice = Math.max(maxPrice, price);
+        if (artwork.priceCurrency) {
+          currencyCounts.set(artwork.priceCurrency, (currencyCounts.get(artwork.priceCurrency) || 0) + 1);
+        }
+      }
     });
         
     // Convert Sets to sorted arrays
     return {
       artists: [...categories.artists].sort(),
       techniques: [...categories.techniques].sort(),
-      memberships: [...categories.memberships].sort()
+      memberships: [...categories.memberships].sort(),
+      // Most common currency first
+      currencies: [...currencyCounts.keys()].sort((a, b) => currencyCounts.get(b) - currencyCounts.get(a)),
+      priceRange: minPrice <= maxPrice ? { min: minPrice, max: maxPrice } : null,
+      hasDimensions
     };
   };
     
@@ -132,19 +227,35 @@ const DataModel = (function() {
     /**
          * Set artworks data
          * @param {Array} artworks - Array of artwork objects
+         * @param {Object} [report] - Validation report from the loader; model rejections are added to it
          * @return {Object} - The DataModel instance for chaining
          */
-    setArtworks: function(artworks) {
+    setArtworks: function(artworks, report) {
       if (!Array.isArray(artworks)) {
         const error = new Error('Artworks must be an array');
         triggerEvent('data-error', { message: error.message, error });
         throw error;
       }
             
-      // Validate each artwork
+      _validationReport = report ?
+        { ...report, issues: [...report.issues] } :
+        { source: '', totalRows: artworks.length, acceptedRows: artworks.length, rejectedRows: 0, missingColumns: [], aliasedColumns: {}, unknownColumns: [], issues: [] };
+            
+      // Validate each artwork, recording why rejected ones were dropped
       const validArtworks = artworks.filter(artwork => {
         const isValid = validateArtwork(artwork);
         if (!isValid) {
+          const missing = artwork && typeof artwork === 'object' ? findMissingProp(artwork) : null;
+          _validationReport.issues.push({
+            row: null,
+            id: artwork && artwork.id !== undefined ? String(artwork.id) : '',
+            title: artwork && artwork.title ? String(artwork.title) : '',
+            column: missing || '',
+            severity: 'error',
+            message: missing ? `Rejected by DataModel: missing ${missing}` : 'Rejected by DataModel: not an artwork record'
+          });
+          _validationReport.acceptedRows--;
+          _validationReport.rejectedRows++;
           console.warn('Invalid artwork data:', artwork);
         }
         return isValid;
@@ -177,6 +288,16 @@ const DataModel = (function() {
       return [..._artworks];
     },
         
+    /**
+         * Get the validation report for the current artworks
+         * @return {Object|null} - Loader report plus any model rejections
+         */
+    getValidationReport: function() {
+      return _validationReport ?
+        { ..._validationReport, issues: [..._validationReport.issues] } :
+        null;
+    },
+        
     /**
          * Get data metadata
          * @return {Object} - Metadata object
@@ -199,7 +320,8 @@ const DataModel = (function() {
          * @return {Object|null} - Artwork object or null if not found
          */
     getArtworkById: function(id) {
-      return _artworks.find(artwork => artwork.id === id) || null;
+      // Compare as strings so numeric ids passed by callers still match
+      return _artworks.find(artwork => String(artwork.id) === String(id)) || null;
     },
         
     /**
@@ -215,30 +337,35 @@ const DataModel = (function() {
     },
         
     /**
-         * Sort artworks by field
-         * @param {string} field - Field to sort by
-         * @param {boolean} ascending - Sort direction
-         * @return {Array} - Sorted array of artworks
+         * Sort artworks by one or more fields
+         * Ties keep their existing order, and empty values sort last in
+         * either direction. Prices are compared as numbers.
+         * @param {string|Array} keys - Field name, or [{ field, ascending }] applied in order
+         * @param {boolean} [ascending=true] - Direction when keys is a field name
+         * @param {Array} [artworks] - Artworks to sort instead of the whole collection
+         * @return {Array} - Sorted copy of the artworks
          */
-    sortArtworks: function(field, ascending = true) {
-      const sortedArtworks = [..._artworks];
+    sortArtworks: function(keys, ascending = true, artworks = _artworks) {
+      const sortKeys = (Array.isArray(keys) ? keys : [{ field: keys, ascending }])
+        .filter(key => key && key.field)
+        .map(key => ({ field: key.field, direction: key.ascending === false ? -1 : 1 }));
             
-      sortedArtworks.sort((a, b) => {
-        // Handle numeric values
-        if (typeof a[field] === 'number' && typeof b[field] === 'number') {
-          return ascending ? a[field] - b[field] : b[field] - a[field];
+      // Read each sort value once instead of on every comparison
+      const decorated = artworks.map((artwork, index) => ({
+        artwork,
+        index,
+        values: sortKeys.map(key => getSortValue(artwork, key.field))
+      }));
+            
+      decorated.sort((a, b) => {
+        for (let i = 0; i < sortKeys.length; i++) {
+          const result = compareSortValues(a.values[i], b.values[i], sortKeys[i].direction);
+          if (result !== 0) return result;
         }
-                
-        // Handle string values
-        const aValue = String(a[field] || '').toLowerCase();
-        const bValue = String(b[field] || '').toLowerCase();
-                
-        return ascending ? 
-          aValue.localeCompare(bValue) : 
-          bValue.localeCompare(aValue);
+        return a.index - b.index;
       });
             
-      return sortedArtworks;
+      return decorated.map(entry => entry.artwork);
     },
         
     /**
@@ -247,7 +374,18 @@ const DataModel = (function() {
          * @return {Array} - Array of top-rated artworks
          */
     getTopRatedArtworks: function(limit = 10) {
-      return this.sortArtworks('totalScore', false).slice(0, limit);
+      return this.sortArtworks('totalScore', false)
+        .filter(artwork => typeof artwork.totalScore === 'number')
+        .slice(0, limit);
+    },
+        
+    /**
+         * Convert a price string to a number for sorting and filtering
+         * @param {*} value - Price as number or string (e.g. "$1,200")
+         * @return {number|null} - Numeric price or null if not parseable
+         */
+    parsePrice: function(value) {
+      return parsePrice(value);
     },
         
     /**
@@ -288,4 +426,11 @@ const DataModel = (function() {
       return _isInitialized;
     }
   };
-})();
\ No newline at end of file
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.DataModel = DataModel;
+} else {
+  window.DataModel = DataModel;
+}
@@ -577,6 +577,85 @@ const Failsafe = (function(window, document) {
       return notification;
     },
         
+    /**
+         * Show a dismissible summary of data validation problems
+         * @param {Object} report - Validation report ({ acceptedRows, totalRows, rejectedRows, issues })
+         * @param {Object} [options] - Display options
+         * @param {string} [options.summary] - Summary line (defaults to row counts)
+         * @param {number} [options.maxIssues=5] - Issues listed in the banner
+         * @param {Function} [options.onDownload] - Adds a "Download report" button when given
+         * @returns {HTMLElement} The notification element
+         */
+    showValidationNotification: function(report, options = {}) {
+      const container = document.getElementById('failsafe-notifications');
+      if (!container || !report || !report.issues || report.issues.length === 0) return null;
+            
+      // Replace a banner left over from a previous load
+      const existing = document.getElementById('validation-notification');
+      if (existing && existing.parentNode) {
+        existing.parentNode.removeChild(existing);
+      }
+            
+      const notification = _createElement('div', {
+        id: 'validation-notification',
+        className: 'failsafe-notification validation-notification',
+        role: 'status',
+        'aria-live': 'polite'
+      });
+            
+      const dismiss = () => {
+        notification.classList.remove('show');
+        setTimeout(() => {
+          if (notification.parentNode) {
+            notification.parentNode.removeChild(notification);
+          }
+        }, 300);
+      };
+            
+      notification.appendChild(_createElement('button', {
+        className: 'notification-dismiss',
+        type: 'button',
+        'aria-label': 'Dismiss data report',
+        onclick: dismiss
+      }, '\u00d7'));
+            
+      const summary = options.summary ||
+        `${report.acceptedRows} of ${report.totalRows} rows loaded, ${report.rejectedRows} skipped.`;
+      notification.appendChild(_createElement('p', { className: 'validation-summary' }, summary));
+            
+      // List the first few issues so the cause is visible without downloading
+      const maxIssues = options.maxIssues || 5;
+      const list = _createElement('ul', { className: 'validation-issues' });
+      report.issues.slice(0, maxIssues).forEach(issue => {
+        const where = issue.row ? `Row ${issue.row}` : (issue.id ? `Id ${issue.id}` : 'File');
+        const column = issue.column ? ` (${issue.column})` : '';
+        list.appendChild(_createElement('li', { className: `validation-issue ${issue.severity}` },
+          `${where}${column}: ${issue.message}`));
+      });
+      if (report.issues.length > maxIssues) {
+        list.appendChild(_createElement('li', { className: 'validation-issue more' },
+          `and ${report.issues.length - maxIssues} more`));
+      }
+      notification.appendChild(list);
+            
+      if (typeof options.onDownload === 'function') {
+        notification.appendChild(_createElement('button', {
+          className: 'error-action-button',
+          type: 'button',
+          onclick: options.onDownload
+        }, 'Download report'));
+      }
+            
+      container.appendChild(notification);
+            
+      // Show with slight delay to ensure proper animation
+      setTimeout(() => {
+        notification.classList.add('show');
+      }, 10);
+            
+      return notification;
+    },
+        
     /**
          * Enable health monitoring watchdog
          * @returns {number} Interval ID
@@ -632,6 +711,13 @@ const Failsafe = (function(window, document) {
   return publicApi;
 })(window, document);
 
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.Failsafe = Failsafe;
+} else {
+  window.Failsafe = Failsafe;
+}
+
 // Add required CSS for notifications
 (function addFailsafeCss() {
   const css = `
@@ -697,6 +783,46 @@ const Failsafe = (function(window, document) {
     .error-action-button:hover {
         background: #0b5ed7;
     }
+    
+    .validation-notification {
+        background: #fff3cd;
+        border-left: 4px solid #fd7e14;
+        padding-right: 36px;
+    }
+    
+    .validation-summary {
+        margin: 0 0 8px 0;
+        font-weight: 600;
+    }
+    
+    .validation-issues {
+        margin: 0 0 10px 0;
+        padding-left: 18px;
+        max-height: 160px;
+        overflow-y: auto;
+        font-size: 13px;
+    }
+    
+    .validation-issue.error {
+        color: #842029;
+    }
+    
+    .validation-issue.more {
+        list-style: none;
+        font-style: italic;
+    }
+    
+    .notification-dismiss {
+        position: absolute;
+        top: 6px;
+        right: 8px;
+        background: none;
+        border: none;
+        font-size: 20px;
+        line-height: 1;
+        cursor: pointer;
+        color: #555;
+    }
     `;
     
   const styleElement = document.createElement('style');
@@ -0,0 +1,700 @@
+/**
+ * Filter Panel Module
+ * Collapsible panel with artist, technique, membership, price and size
+ * controls. The price range has a dual-handle slider over a histogram of the
+ * current results; size limits compare framed dimensions when known. All
+ * active filters are AND-combined into a single predicate that callers hand
+ * to DataModel.filterArtworks.
+ * @version 1.2.0
+ */
+
+/* global ArtworkSchema */
+
+const FilterPanel = (function() {
+  'use strict';
+
+  // Private variables
+  let panel = null;
+  let toggleButton = null;
+  let countBadge = null;
+  let changeListener = null;
+  let priceDebounce = null;
+  let sizeDebounce = null;
+
+  // Slider bounds from the whole catalog, and histogram counts for the current results
+  let priceBounds = null;
+  let histogramCounts = [];
+
+  // Currently selected filter values
+  let filters = {};
+
+  // Configuration
+  const config = {
+    panelId: 'filter-panel',
+    priceDebounceMs: 250, // Also used for the size inputs
+    histogramBins: 24,
+    facets: [
+      { key: 'artist', label: 'Artist', category: 'artists' },
+      { key: 'technique', label: 'Technique', category: 'techniques' },
+      { key: 'membership', label: 'Membership', category: 'memberships' }
+    ]
+  };
+
+  /**
+   * Create an empty filter state
+   * @private
+   * @return {Object} - Filter state with no active filters
+   */
+  const emptyFilters = function() {
+    return {
+      artist: '',
+      technique: '',
+      membership: '',
+      minPrice: null,
+      maxPrice: null,
+      currency: '',
+      orientation: '',
+      framing: '',
+      maxWidth: null,
+      maxHeight: null,
+      sizeUnit: 'in'
+    };
+  };
+
+  /**
+   * Numeric price of an artwork, preferring the schema's normalized value
+   * Records that skipped normalization are parsed the same way ArtworkSchema does.
+   * @private
+   * @param {Object} artwork - Artwork record
+   * @return {number|null} - Price amount or null if unpriced
+   */
+  const priceOf = function(artwork) {
+    if (artwork.priceValue !== undefined) return artwork.priceValue;
+    return typeof ArtworkSchema !== 'undefined' ? ArtworkSchema.parsePrice(artwork.price).amount : null;
+  };
+
+  /**
+   * Check a record against the selected currency; unlabelled prices always match
+   * @private
+   * @param {Object} artwork - Artwork record
+   * @param {string} currency - Selected currency code, empty for all
+   * @return {boolean} - Whether the record is in that currency
+   */
+  const matchesCurrency = function(artwork, currency) {
+    return !currency || !artwork.priceCurrency || artwork.priceCurrency === currency;
+  };
+
+  /**
+   * Convert a length between inches and centimetres
+   * @private
+   * @param {number} value - Length
+   * @param {string} from - Unit of the value ('in' or 'cm')
+   * @param {string} to - Unit wanted
+   * @return {number} - Converted length
+   */
+  const convertLength = function(value, from, to) {
+    if (from === to) return value;
+    return to === 'cm' ? value * 2.54 : value / 2.54;
+  };
+
+  /**
+   * Check whether an artwork fits within a maximum width and height
+   * @private
+   * @param {Object} artwork - Artwork record
+   * @param {Object} limits - Filter state with maxWidth, maxHeight and sizeUnit
+   * @return {boolean} - Whether it fits; artworks without dimensions never do
+   */
+  const fitsWithin = function(artwork, limits) {
+    // What hangs on the wall is the frame when there is one
+    const dimensions = artwork.framedDimensions || artwork.dimensions;
+    if (!dimensions) return false;
+
+    const width = convertLength(dimensions.width, dimensions.unit, limits.sizeUnit);
+    const height = convertLength(dimensions.height, dimensions.unit, limits.sizeUnit);
+    if (limits.maxWidth !== null && width > limits.maxWidth) return false;
+    if (limits.maxHeight !== null && height > limits.maxHeight) return false;
+    return true;
+  };
+
+  /**
+   * Compute slider bounds and a step that gives about 100 positions
+   * @private
+   * @param {Object|null} range - { min, max } from DataModel categories
+   * @return {Object|null} - { min, max, step } or null without prices
+   */
+  const computeBounds = function(range) {
+    if (!range) return null;
+
+    const span = range.max - range.min;
+    const step = span > 0 ? Math.max(1, Math.pow(10, Math.floor(Math.log10(span)) - 2)) : 1;
+    return {
+      min: Math.floor(range.min / step) * step,
+      max: Math.ceil(range.max / step) * step || step,
+      step
+    };
+  };
+
+  /**
+   * Read a number input, treating empty strings as "no limit"
+   * @private
+   * @param {HTMLInputElement} input - Number input element
+   * @return {number|null} - Parsed value or null
+   */
+  const readNumberInput = function(input) {
+    if (!input || input.value.trim() === '') return null;
+    const number = parseFloat(input.value);
+    return isNaN(number) ? null : number;
+  };
+
+  /**
+   * Count filters that currently restrict the result set
+   * @private
+   * @return {number} - Number of active filters
+   */
+  const countActiveFilters = function() {
+    let count = 0;
+    config.facets.forEach(facet => {
+      if (filters[facet.key]) count++;
+    });
+    if (filters.minPrice !== null || filters.maxPrice !== null) count++;
+    if (filters.currency) count++;
+    if (filters.orientation) count++;
+    if (filters.framing) count++;
+    if (filters.maxWidth !== null || filters.maxHeight !== null) count++;
+    return count;
+  };
+
+  /**
+   * Update the live count badge and toggle label
+   * @private
+   */
+  const updateCount = function() {
+    if (!countBadge) return;
+
+    const count = countActiveFilters();
+    countBadge.textContent = count > 0 ? String(count) : '';
+    countBadge.hidden = count === 0;
+    toggleButton.setAttribute('aria-label', count > 0 ?
+      `Filters (${count} active)` :
+      'Filters');
+  };
+
+  /**
+   * Notify the registered listener of a filter change
+   * @private
+   */
+  const notifyChange = function() {
+    updateCount();
+    if (typeof changeListener === 'function') {
+      try {
+        changeListener(publicApi.getFilters());
+      } catch (e) {
+        console.error('Error in filter change listener:', e);
+      }
+    }
+  };
+
+  /**
+   * Build a labelled dropdown for one facet
+   * @private
+   * @param {Object} facet - Facet definition from config
+   * @param {Array} values - Available values for the facet
+   * @return {HTMLElement} - Filter group element
+   */
+  const createSelectGroup = function(facet, values) {
+    const group = document.createElement('div');
+    group.className = 'filter-group';
+
+    const selectId = `filter-${facet.key}`;
+    const label = document.createElement('label');
+    label.className = 'filter-group-label';
+    label.setAttribute('for', selectId);
+    label.textContent = facet.label;
+
+    const select = document.createElement('select');
+    select.id = selectId;
+    select.className = 'filter-select';
+    select.dataset.filter = facet.key;
+
+    const anyOption = document.createElement('option');
+    anyOption.value = '';
+    anyOption.textContent = `All ${facet.label.toLowerCase()}s`;
+    select.appendChild(anyOption);
+
+    (values || []).forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', function() {
+      filters[facet.key] = select.value;
+      notifyChange();
+    });
+
+    // Hide facets with nothing to choose from
+    if (!values || values.length === 0) {
+      group.hidden = true;
+    }
+
+    group.appendChild(label);
+    group.appendChild(select);
+    return group;
+  };
+
+  /**
+   * Build the price range group: currency choice, histogram, slider and inputs
+   * @private
+   * @param {Object} categories - Output of DataModel.getCategories()
+   * @return {HTMLElement} - Price range group element
+   */
+  const createPriceGroup = function(categories) {
+    const currencies = categories.currencies || [];
+    priceBounds = computeBounds(categories.priceRange);
+
+    const group = document.createElement('div');
+    group.className = 'filter-group price-range';
+    group.innerHTML = `
+      <span class="filter-group-label" id="filter-price-label">Price</span>
+      ${currencies.length > 1 ? `
+        <label for="filter-currency" class="sr-only">Currency</label>
+        <select id="filter-currency" class="filter-select price-currency">
+          <option value="">All currencies</option>
+          ${currencies.map(code => `<option value="${code}">${code}</option>`).join('')}
+        </select>` : ''}
+      ${priceBounds ? `
+        <div class="price-histogram" aria-hidden="true"></div>
+        <div class="price-slider" role="group" aria-labelledby="filter-price-label">
+          <div class="price-slider-fill"></div>
+          <input type="range" id="filter-min-price-range" class="price-slider-input" aria-label="Minimum price">
+          <input type="range" id="filter-max-price-range" class="price-slider-input" aria-label="Maximum price">
+        </div>` : ''}
+      <div class="price-inputs">
+        <label for="filter-min-price">Min</label>
+        <input type="number" id="filter-min-price" class="price-input" min="0" step="1" inputmode="numeric">
+        <label for="filter-max-price">Max</label>
+        <input type="number" id="filter-max-price" class="price-input" min="0" step="1" inputmode="numeric">
+      </div>
+    `;
+
+    const minInput = group.querySelector('#filter-min-price');
+    const maxInput = group.querySelector('#filter-max-price');
+    const minRange = group.querySelector('#filter-min-price-range');
+    const maxRange = group.querySelector('#filter-max-price-range');
+    const currencySelect = group.querySelector('#filter-currency');
+
+    const notifyPriceChange = function() {
+      clearTimeout(priceDebounce);
+      priceDebounce = setTimeout(notifyChange, config.priceDebounceMs);
+    };
+
+    minInput.addEventListener('input', function() {
+      filters.minPrice = readNumberInput(minInput);
+      syncPriceSlider();
+      notifyPriceChange();
+    });
+    maxInput.addEventListener('input', function() {
+      filters.maxPrice = readNumberInput(maxInput);
+      syncPriceSlider();
+      notifyPriceChange();
+    });
+
+    if (minRange && maxRange) {
+      [minRange, maxRange].forEach(input => {
+        input.min = priceBounds.min;
+        input.max = priceBounds.max;
+        input.step = priceBounds.step;
+      });
+
+      // A handle resting on its end of the track means "no limit"
+      const onSlide = function(event) {
+        let low = parseFloat(minRange.value);
+        let high = parseFloat(maxRange.value);
+        if (low > high) {
+          if (event.target === minRange) low = high; else high = low;
+        }
+        filters.minPrice = low <= priceBounds.min ? null : low;
+        filters.maxPrice = high >= priceBounds.max ? null : high;
+        minInput.value = filters.minPrice !== null ? filters.minPrice : '';
+        maxInput.value = filters.maxPrice !== null ? filters.maxPrice : '';
+        syncPriceSlider();
+        notifyPriceChange();
+      };
+      minRange.addEventListener('input', onSlide);
+      maxRange.addEventListener('input', onSlide);
+    }
+
+    if (currencySelect) {
+      currencySelect.addEventListener('change', function() {
+        filters.currency = currencySelect.value;
+        notifyChange();
+      });
+    }
+
+    return group;
+  };
+
+  /**
+   * Build the size group: orientation, framing and maximum wall dimensions
+   * @private
+   * @param {Object} categories - Output of DataModel.getCategories()
+   * @return {HTMLElement} - Size group element
+   */
+  const createSizeGroup = function(categories) {
+    const group = document.createElement('div');
+    group.className = 'filter-group size-range';
+    group.innerHTML = `
+      <span class="filter-group-label">Size</span>
+      <div class="size-selects">
+        <label for="filter-orientation" class="sr-only">Orientation</label>
+        <select id="filter-orientation" class="filter-select" data-filter="orientation">
+          <option value="">Any orientation</option>
+          <option value="portrait">Portrait</option>
+          <option value="landscape">Landscape</option>
+          <option value="square">Square</option>
+        </select>
+        <label for="filter-framing" class="sr-only">Framing</label>
+        <select id="filter-framing" class="filter-select" data-filter="framing">
+          <option value="">Framed or unframed</option>
+          <option value="framed">Framed</option>
+          <option value="unframed">Unframed</option>
+        </select>
+      </div>
+      <div class="size-inputs">
+        <label for="filter-max-width">Max width</label>
+        <input type="number" id="filter-max-width" class="price-input" min="0" step="any" inputmode="decimal">
+        <label for="filter-max-height">Max height</label>
+        <input type="number" id="filter-max-height" class="price-input" min="0" step="any" inputmode="decimal">
+        <label for="filter-size-unit" class="sr-only">Unit</label>
+        <select id="filter-size-unit" class="filter-select size-unit" data-filter="sizeUnit">
+          <option value="in">in</option>
+          <option value="cm">cm</option>
+        </select>
+      </div>
+    `;
+
+    group.querySelectorAll('select').forEach(select => {
+      select.addEventListener('change', function() {
+        filters[select.dataset.filter] = select.value;
+        notifyChange();
+      });
+    });
+
+    const widthInput = group.querySelector('#filter-max-width');
+    const heightInput = group.querySelector('#filter-max-height');
+    const onSizeInput = function() {
+      filters.maxWidth = readNumberInput(widthInput);
+      filters.maxHeight = readNumberInput(heightInput);
+      clearTimeout(sizeDebounce);
+      sizeDebounce = setTimeout(notifyChange, config.priceDebounceMs);
+    };
+    widthInput.addEventListener('input', onSizeInput);
+    heightInput.addEventListener('input', onSizeInput);
+
+    // Hide the group when no sizes could be read
+    if (!categories.hasDimensions) {
+      group.hidden = true;
+    }
+
+    return group;
+  };
+
+  /**
+   * Position the slider handles and highlight the selected histogram bars
+   * @private
+   */
+  const syncPriceSlider = function() {
+    if (!panel || !priceBounds) return;
+
+    const minRange = panel.querySelector('#filter-min-price-range');
+    const maxRange = panel.querySelector('#filter-max-price-range');
+    const fill = panel.querySelector('.price-slider-fill');
+    const low = filters.minPrice !== null ? Math.max(priceBounds.min, filters.minPrice) : priceBounds.min;
+    const high = filters.maxPrice !== null ? Math.min(priceBounds.max, filters.maxPrice) : priceBounds.max;
+    const span = priceBounds.max - priceBounds.min || 1;
+
+    minRange.value = low;
+    maxRange.value = high;
+    minRange.setAttribute('aria-valuetext', filters.minPrice !== null ? String(low) : 'No minimum');
+    maxRange.setAttribute('aria-valuetext', filters.maxPrice !== null ? String(high) : 'No maximum');
+
+    const start = ((low - priceBounds.min) / span) * 100;
+    const end = ((high - priceBounds.min) / span) * 100;
+    fill.style.left = `${start}%`;
+    fill.style.width = `${Math.max(0, end - start)}%`;
+
+    panel.querySelectorAll('.price-histogram-bar').forEach((bar, index) => {
+      const binStart = priceBounds.min + (span / config.histogramBins) * index;
+      const binEnd = binStart + span / config.histogramBins;
+      bar.classList.toggle('in-range', binEnd > low && binStart < high);
+    });
+  };
+
+  /**
+   * Draw the histogram bars from the latest counts
+   * @private
+   */
+  const renderHistogram = function() {
+    const histogram = panel ? panel.querySelector('.price-histogram') : null;
+    if (!histogram) return;
+
+    const highest = Math.max(1, ...histogramCounts);
+    histogram.innerHTML = '';
+    histogramCounts.forEach(count => {
+      const bar = document.createElement('span');
+      bar.className = 'price-histogram-bar';
+      bar.style.height = `${count > 0 ? Math.max(4, (count / highest) * 100) : 0}%`;
+      histogram.appendChild(bar);
+    });
+    syncPriceSlider();
+  };
+
+  /**
+   * Sync form controls with the current filter state
+   * @private
+   */
+  const syncControls = function() {
+    if (!panel) return;
+
+    panel.querySelectorAll('.filter-select').forEach(select => {
+      select.value = filters[select.dataset.filter] || '';
+    });
+
+    const minInput = panel.querySelector('#filter-min-price');
+    const maxInput = panel.querySelector('#filter-max-price');
+    const currencySelect = panel.querySelector('#filter-currency');
+    if (minInput) minInput.value = filters.minPrice !== null ? filters.minPrice : '';
+    if (maxInput) maxInput.value = filters.maxPrice !== null ? filters.maxPrice : '';
+    if (currencySelect) currencySelect.value = filters.currency || '';
+
+    const widthInput = panel.querySelector('#filter-max-width');
+    const heightInput = panel.querySelector('#filter-max-height');
+    if (widthInput) widthInput.value = filters.maxWidth !== null ? filters.maxWidth : '';
+    if (heightInput) heightInput.value = filters.maxHeight !== null ? filters.maxHeight : '';
+    syncPriceSlider();
+  };
+
+  /**
+   * Expand or collapse the panel
+   * @private
+   * @param {boolean} expanded - Whether the panel should be visible
+   */
+  const setExpanded = function(expanded) {
+    panel.classList.toggle('collapsed', !expanded);
+    panel.setAttribute('aria-hidden', String(!expanded));
+    toggleButton.setAttribute('aria-expanded', String(expanded));
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Build the panel and insert it before the gallery container
+     * @param {HTMLElement} galleryContainer - The #gallery-container element
+     * @param {Object} categories - Output of DataModel.getCategories()
+     * @param {Object} [options] - Optional settings
+     * @param {Function} [options.onChange] - Called with the new filter state
+     * @return {Object} - FilterPanel instance for chaining
+     */
+    init: function(galleryContainer, categories, options = {}) {
+      if (!galleryContainer || !galleryContainer.parentNode) {
+        console.error('FilterPanel init failed: missing gallery container');
+        return this;
+      }
+
+      // Rebuild from scratch if initialized before (e.g. after a retry)
+      this.destroy();
+
+      filters = emptyFilters();
+      changeListener = options.onChange || null;
+
+      // Toggle controls
+      const controls = document.createElement('div');
+      controls.className = 'filter-controls';
+      controls.innerHTML = `
+        <button type="button" class="toggle-filters-button" aria-expanded="false" aria-controls="${config.panelId}">
+          <span class="filter-icon" aria-hidden="true">&#9776;</span>
+          <span>Filters</span>
+          <span class="filter-count" hidden></span>
+        </button>
+      `;
+      toggleButton = controls.querySelector('.toggle-filters-button');
+      countBadge = controls.querySelector('.filter-count');
+
+      // Panel
+      panel = document.createElement('section');
+      panel.id = config.panelId;
+      panel.className = 'filter-panel collapsed';
+      panel.setAttribute('aria-label', 'Filter artworks');
+
+      const heading = document.createElement('h2');
+      heading.textContent = 'Filter Artworks';
+      panel.appendChild(heading);
+
+      const cats = categories || {};
+      config.facets.forEach(facet => {
+        panel.appendChild(createSelectGroup(facet, cats[facet.category]));
+      });
+      panel.appendChild(createPriceGroup(cats));
+      panel.appendChild(createSizeGroup(cats));
+
+      const actions = document.createElement('div');
+      actions.className = 'filter-actions';
+      const resetButton = document.createElement('button');
+      resetButton.type = 'button';
+      resetButton.className = 'filter-button filter-reset';
+      resetButton.textContent = 'Clear Filters';
+      resetButton.addEventListener('click', () => this.reset());
+      actions.appendChild(resetButton);
+      panel.appendChild(actions);
+
+      toggleButton.addEventListener('click', function() {
+        setExpanded(panel.classList.contains('collapsed'));
+      });
+
+      const parent = galleryContainer.parentNode;
+      parent.insertBefore(controls, galleryContainer);
+      parent.insertBefore(panel, galleryContainer);
+
+      setExpanded(false);
+      syncPriceSlider();
+      updateCount();
+
+      return this;
+    },
+
+    /**
+     * Get a copy of the current filter state
+     * @return {Object} - Filter state
+     */
+    getFilters: function() {
+      return { ...filters };
+    },
+
+    /**
+     * Replace the filter state and update the controls
+     * @param {Object} newFilters - Partial filter state
+     * @param {boolean} [silent=false] - Skip notifying the change listener
+     * @return {Object} - FilterPanel instance for chaining
+     */
+    setFilters: function(newFilters, silent = false) {
+      // Typing still waiting to notify is replaced by the new state
+      clearTimeout(priceDebounce);
+      clearTimeout(sizeDebounce);
+      filters = { ...emptyFilters(), ...newFilters };
+      syncControls();
+      if (silent) {
+        updateCount();
+      } else {
+        notifyChange();
+      }
+      return this;
+    },
+
+    /**
+     * Clear all filters
+     * @return {Object} - FilterPanel instance for chaining
+     */
+    reset: function() {
+      return this.setFilters(emptyFilters());
+    },
+
+    /**
+     * Number of filters currently restricting the results
+     * @return {number} - Active filter count
+     */
+    getActiveCount: function() {
+      return countActiveFilters();
+    },
+
+    /**
+     * Show how prices are spread across a result set in the slider histogram
+     * @param {Array} artworks - Results before the price range is applied
+     * @return {Object} - FilterPanel instance for chaining
+     */
+    setPriceDistribution: function(artworks) {
+      histogramCounts = new Array(config.histogramBins).fill(0);
+      if (priceBounds) {
+        const span = priceBounds.max - priceBounds.min || 1;
+        (artworks || []).forEach(artwork => {
+          const price = priceOf(artwork);
+          if (price === null || !matchesCurrency(artwork, filters.currency)) return;
+          const bin = Math.floor(((price - priceBounds.min) / span) * config.histogramBins);
+          histogramCounts[Math.max(0, Math.min(config.histogramBins - 1, bin))]++;
+        });
+      }
+      renderHistogram();
+      return this;
+    },
+
+    /**
+     * Create an AND-combined predicate for DataModel.filterArtworks
+     * @param {Object} [state] - Filter state (defaults to the current one)
+     * @return {Function} - Predicate receiving an artwork record
+     */
+    createPredicate: function(state) {
+      const active = { ...emptyFilters(), ...(state || filters) };
+      const facetKeys = config.facets
+        .map(facet => facet.key)
+        .filter(key => active[key]);
+      const hasPriceRange = active.minPrice !== null || active.maxPrice !== null;
+      const hasSizeLimit = active.maxWidth !== null || active.maxHeight !== null;
+
+      return function(artwork) {
+        for (const key of facetKeys) {
+          if (String(artwork[key] || '') !== active[key]) return false;
+        }
+
+        if (!matchesCurrency(artwork, active.currency)) return false;
+        if (active.orientation && artwork.orientation !== active.orientation) return false;
+        if (active.framing && (active.framing === 'framed') !== Boolean(artwork.isFramed)) return false;
+        if (hasSizeLimit && !fitsWithin(artwork, active)) return false;
+
+        if (hasPriceRange) {
+          const price = priceOf(artwork);
+          if (price === null) return false;
+          if (active.minPrice !== null && price < active.minPrice) return false;
+          if (active.maxPrice !== null && price > active.maxPrice) return false;
+        }
+
+        return true;
+      };
+    },
+
+    /**
+     * Remove the panel from the DOM
+     * @return {Object} - FilterPanel instance for chaining
+     */
+    destroy: function() {
+      clearTimeout(priceDebounce);
+      clearTimeout(sizeDebounce);
+      if (panel && panel.parentNode) {
+        panel.parentNode.removeChild(panel);
+      }
+      if (toggleButton) {
+        const controls = toggleButton.closest('.filter-controls');
+        if (controls && controls.parentNode) {
+          controls.parentNode.removeChild(controls);
+        }
+      }
+      panel = null;
+      priceBounds = null;
+      histogramCounts = [];
+      toggleButton = null;
+      countBadge = null;
+      changeListener = null;
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.FilterPanel = FilterPanel;
+} else {
+  window.FilterPanel = FilterPanel;
+}
+
+console.log('FilterPanel module loaded');
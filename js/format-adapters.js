@@ -0,0 +1,312 @@
+/**
+ * Format Adapters Module
+ * Turns catalog files into plain row objects for ArtworkSchema.normalize.
+ * Each adapter handles one format (CSV, TSV, JSON, JSON Lines) and is selected by
+ * an explicit format, the file extension or the response content type, so
+ * every format goes through the same schema validation.
+ * @version 1.1.0
+ */
+
+/* global ArtworkSchema */
+
+const FormatAdapters = (function() {
+  'use strict';
+
+  // Configuration
+  const config = {
+    defaultFormat: 'csv',
+    chunkSize: 64 * 1024, // Characters (CSV) parsed between yields
+    linesPerChunk: 500 // Records (JSON Lines) parsed between yields
+  };
+
+  // Registered adapters by id
+  const adapters = new Map();
+
+  /**
+   * Give the browser a chance to paint between chunks
+   * @private
+   * @return {Promise} - Resolves on the next macrotask
+   */
+  const yieldToBrowser = function() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  };
+
+  /**
+   * Collect header names across records, in first-seen order
+   * @private
+   * @param {Array} rows - Row objects
+   * @param {Set} seen - Names collected so far
+   * @param {Array} fields - Ordered names, extended in place
+   */
+  const collectFields = function(rows, seen, fields) {
+    rows.forEach(row => {
+      Object.keys(row).forEach(key => {
+        if (!seen.has(key)) {
+          seen.add(key);
+          fields.push(key);
+        }
+      });
+    });
+  };
+
+  /**
+   * Check that a parsed value can stand in for a CSV row
+   * @private
+   * @param {*} value - Parsed JSON value
+   * @return {boolean} - Whether it is a plain object
+   */
+  const isRecord = function(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  };
+
+  /**
+   * Find the artwork array in a JSON document
+   * @private
+   * @param {*} data - Parsed JSON
+   * @return {Array|null} - Array of entries or null if none found
+   */
+  const findEntries = function(data) {
+    if (Array.isArray(data)) return data;
+    if (!isRecord(data)) return null;
+
+    // Accept wrapped exports such as { "artworks": [...] }
+    const key = ['artworks', 'records', 'data', 'items'].find(name => Array.isArray(data[name]));
+    return key ? data[key] : null;
+  };
+
+  /**
+   * Replace non-object entries with empty rows so they fail validation by row number
+   * @private
+   * @param {Array} entries - Parsed entries
+   * @param {Array} errors - Error list, extended in place
+   * @param {number} offset - Row index of the first entry
+   * @return {Array} - Row objects
+   */
+  const toRows = function(entries, errors, offset) {
+    return entries.map((entry, index) => {
+      if (isRecord(entry)) return entry;
+      errors.push({
+        type: 'Record',
+        code: 'NotAnObject',
+        message: `Expected an object, got ${Array.isArray(entry) ? 'an array' : typeof entry}`,
+        row: offset + index
+      });
+      return {};
+    });
+  };
+
+  // CSV through Papa.parse, pausing between chunks
+  const csvAdapter = {
+    id: 'csv',
+    extensions: ['csv'],
+    contentTypes: ['text/csv', 'application/csv'],
+    parse: function(text, onChunk, options) {
+      return new Promise((resolve, reject) => {
+        const rows = [];
+        let errors = [];
+        let fields = null;
+
+        Papa.parse(text, {
+          ...ArtworkSchema.getParseOptions(),
+          ...(options.delimiter ? { delimiter: options.delimiter } : {}),
+          chunkSize: options.chunkSize || config.chunkSize,
+          chunk: function(results, parser) {
+            for (let i = 0; i < results.data.length; i++) {
+              rows.push(results.data[i]);
+            }
+            errors = errors.concat(results.errors || []);
+            fields = fields || (results.meta && results.meta.fields);
+
+            // meta.cursor is the character offset parsed so far
+            onChunk(rows, fields, text.length > 0 ? results.meta.cursor / text.length : 1);
+
+            parser.pause();
+            setTimeout(() => parser.resume(), 0);
+          },
+          complete: function() {
+            resolve({ rows, fields, errors });
+          },
+          error: function(error) {
+            reject(error);
+          }
+        });
+      });
+    }
+  };
+
+  // Tab-separated values, as saved by spreadsheets
+  const tsvAdapter = {
+    id: 'tsv',
+    extensions: ['tsv', 'tab'],
+    contentTypes: ['text/tab-separated-values'],
+    parse: function(text, onChunk, options) {
+      return csvAdapter.parse(text, onChunk, { ...options, delimiter: '\t' });
+    }
+  };
+
+  // A JSON array of records, or an object wrapping one
+  const jsonAdapter = {
+    id: 'json',
+    extensions: ['json'],
+    contentTypes: ['application/json', 'text/json'],
+    parse: async function(text, onChunk) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`Invalid JSON catalog: ${e.message}`);
+      }
+
+      const entries = findEntries(data);
+      if (!entries) {
+        throw new Error('JSON catalog must be an array of artworks or contain an "artworks" array');
+      }
+
+      const errors = [];
+      const rows = toRows(entries, errors, 0);
+      const fields = [];
+      collectFields(rows, new Set(), fields);
+
+      onChunk(rows, fields, 1);
+      return { rows, fields, errors };
+    }
+  };
+
+  // One JSON record per line; a bad line only loses that record
+  const ndjsonAdapter = {
+    id: 'ndjson',
+    extensions: ['ndjson', 'jsonl'],
+    contentTypes: ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines'],
+    parse: async function(text, onChunk) {
+      const lines = text.split(/\r?\n/);
+      const rows = [];
+      const errors = [];
+      const fields = [];
+      const seen = new Set();
+      let consumed = 0;
+
+      for (let start = 0; start < lines.length; start += config.linesPerChunk) {
+        const batch = [];
+
+        lines.slice(start, start + config.linesPerChunk).forEach((line, index) => {
+          consumed += line.length + 1;
+          if (line.trim() === '') return;
+
+          try {
+            batch.push(JSON.parse(line));
+          } catch (e) {
+            errors.push({
+              type: 'Record',
+              code: 'InvalidJSON',
+              message: `Line ${start + index + 1}: ${e.message}`,
+              row: rows.length + batch.length
+            });
+            batch.push({});
+          }
+        });
+
+        const batchRows = toRows(batch, errors, rows.length);
+        collectFields(batchRows, seen, fields);
+        for (let i = 0; i < batchRows.length; i++) {
+          rows.push(batchRows[i]);
+        }
+
+        onChunk(rows, fields, text.length > 0 ? Math.min(1, consumed / text.length) : 1);
+        await yieldToBrowser();
+      }
+
+      return { rows, fields, errors };
+    }
+  };
+
+  [csvAdapter, tsvAdapter, jsonAdapter, ndjsonAdapter].forEach(adapter => adapters.set(adapter.id, adapter));
+
+  return {
+    /**
+     * Register an adapter, replacing any with the same id
+     * @param {Object} adapter - Adapter definition
+     * @param {string} adapter.id - Format id, e.g. "xml"
+     * @param {Array} adapter.extensions - File extensions without the dot
+     * @param {Array} adapter.contentTypes - MIME types served for the format
+     * @param {Function} adapter.parse - (text, onChunk, options) => Promise<{ rows, fields, errors }>
+     * @return {Object} - FormatAdapters instance for chaining
+     */
+    register: function(adapter) {
+      if (!adapter || !adapter.id || typeof adapter.parse !== 'function') {
+        throw new Error('Format adapter needs an id and a parse function');
+      }
+      adapters.set(adapter.id, { extensions: [], contentTypes: [], ...adapter });
+      return this;
+    },
+
+    /**
+     * Get an adapter by format id
+     * @param {string} id - Format id
+     * @return {Object|null} - Adapter or null if unknown
+     */
+    get: function(id) {
+      return adapters.get(id) || null;
+    },
+
+    /**
+     * Choose the adapter for a file
+     * @param {Object} source - What is known about the file
+     * @param {string} [source.format] - Explicit format id, e.g. from the catalog registry
+     * @param {string} [source.path] - File path or URL
+     * @param {string} [source.contentType] - Response Content-Type header
+     * @return {Object} - Matching adapter, or the CSV adapter
+     */
+    select: function(source = {}) {
+      if (source.format && adapters.has(source.format)) {
+        return adapters.get(source.format);
+      }
+
+      // Extension first: static servers often send text/plain for .ndjson
+      const path = String(source.path || '').split(/[?#]/)[0];
+      const dot = path.lastIndexOf('.');
+      const extension = dot === -1 ? '' : path.substring(dot + 1).toLowerCase();
+      const contentType = String(source.contentType || '').split(';')[0].trim().toLowerCase();
+
+      const all = [...adapters.values()];
+      const match = all.find(adapter => extension && adapter.extensions.includes(extension)) ||
+        all.find(adapter => contentType && adapter.contentTypes.includes(contentType));
+
+      return match || adapters.get(config.defaultFormat);
+    },
+
+    /**
+     * Parse a file's text with the matching adapter
+     * @param {string} text - File contents
+     * @param {Object} source - Passed to select()
+     * @param {Function} [onChunk] - Called with (rows so far, fields, fraction parsed)
+     * @param {Object} [options] - Adapter options
+     * @param {number} [options.chunkSize] - Characters parsed between yields (CSV)
+     * @param {string} [options.delimiter] - Field delimiter (CSV; detected when omitted)
+     * @return {Promise<Object>} - { rows, fields, errors, format }
+     */
+    parse: function(text, source, onChunk, options = {}) {
+      const adapter = this.select(source);
+      const notify = typeof onChunk === 'function' ? onChunk : function() {};
+
+      return Promise.resolve(adapter.parse(text, notify, options))
+        .then(result => ({ ...result, format: adapter.id }));
+    },
+
+    /**
+     * List registered format ids
+     * @return {Array} - Format ids
+     */
+    list: function() {
+      return [...adapters.keys()];
+    }
+  };
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.FormatAdapters = FormatAdapters;
+} else {
+  window.FormatAdapters = FormatAdapters;
+}
+
+console.log('FormatAdapters module loaded');
@@ -0,0 +1,754 @@
+/**
+ * Frame Preview Module
+ * Dialog that draws an artwork inside a frame and mat on a canvas, scaled to
+ * the parsed Framed_Size (or a typical mat when none is listed). Styles:
+ * wood, black, gallery white and float. Arrow keys switch styles, Esc closes.
+ * The framed rendering can be downloaded as PNG or JPEG at a chosen size or
+ * copied to the clipboard, falling back to copying a link to the preview.
+ * @version 1.1.0
+ */
+
+/* global ArtworkSchema */
+
+const FramePreview = (function() {
+  'use strict';
+
+  // Private variables
+  let modal = null;
+  let dialog = null;
+  let canvas = null;
+  let currentArtwork = null;
+  let currentImage = null;
+  let currentStyle = 'wood';
+  let returnFocusTo = null;
+  let addedBodyClass = false;
+  let loadToken = 0;
+
+  // Configuration
+  const config = {
+    modalId: 'frame-preview',
+    maxCanvasSize: 640, // CSS pixels on the longer side
+    nominalLongSide: 20, // Inches assumed when an artwork has no parsed size
+    placeholder: './images/placeholder.svg',
+    exportSizes: [1200, 2400, 4000], // Pixels on the longer side
+    defaultExportSize: 2400,
+    jpegQuality: 0.92,
+    shareLink: null, // (artwork, styleId) => URL that reopens this preview
+    focusableSelector: 'a[href], button:not([disabled]), input, select, textarea, [tabindex]:not([tabindex="-1"])'
+  };
+
+  /**
+   * Frame styles, in switcher order; widths are inches per side
+   * moulding - Frame width
+   * mat      - Mat width when the Framed_Size does not decide it
+   * float    - Gap around a floated work (no mat)
+   * grain    - Draw wood grain on the moulding
+   */
+  const styles = [
+    { id: 'wood', label: 'Wood', moulding: 1.75, mat: 2.5, frameColor: '#8b5a2b', matColor: '#f4efe4', grain: true },
+    { id: 'black', label: 'Black', moulding: 1, mat: 2, frameColor: '#1f1f1f', matColor: '#fbfbf8' },
+    { id: 'gallery-white', label: 'Gallery white', moulding: 1.25, mat: 3.5, frameColor: '#f1f0ec', matColor: '#ffffff' },
+    { id: 'float', label: 'Float', moulding: 0.75, mat: 0, float: 1, frameColor: '#2b2b2b', matColor: '#e8e5de' }
+  ];
+
+  /**
+   * Find a style by id
+   * @private
+   * @param {string} id - Style id
+   * @return {Object} - Style, or the first one when unknown
+   */
+  const findStyle = function(id) {
+    return styles.find(style => style.id === id) || styles[0];
+  };
+
+  /**
+   * Encode the filename part of an image path for use in src
+   * @private
+   * @param {string} imagePath - Raw image path
+   * @return {string} - Encoded path
+   */
+  const encodeImagePath = function(imagePath) {
+    if (!imagePath) return config.placeholder;
+    try {
+      const parts = imagePath.split('/');
+      const filename = encodeURIComponent(decodeURIComponent(parts.pop() || ''));
+      return parts.join('/') + '/' + filename;
+    } catch {
+      return imagePath;
+    }
+  };
+
+  /**
+   * Convert parsed dimensions to inches
+   * @private
+   * @param {Object|null} dimensions - { width, height, unit } from ArtworkSchema
+   * @return {Object|null} - { width, height } in inches
+   */
+  const inInches = function(dimensions) {
+    if (!dimensions || !(dimensions.width > 0) || !(dimensions.height > 0)) return null;
+    const convert = typeof ArtworkSchema !== 'undefined' ?
+      value => ArtworkSchema.toInches(value, dimensions.unit) :
+      value => (dimensions.unit === 'cm' ? value / 2.54 : value);
+    return { width: convert(dimensions.width), height: convert(dimensions.height) };
+  };
+
+  /**
+   * Lighten (positive) or darken (negative) a hex colour
+   * @private
+   * @param {string} hex - Colour such as "#8b5a2b"
+   * @param {number} amount - -1 to 1
+   * @return {string} - rgb() colour
+   */
+  const shade = function(hex, amount) {
+    const value = parseInt(hex.slice(1), 16);
+    const channels = [value >> 16, (value >> 8) & 255, value & 255].map(channel => {
+      const target = amount > 0 ? 255 : 0;
+      return Math.round(channel + (target - channel) * Math.abs(amount));
+    });
+    return `rgb(${channels.join(', ')})`;
+  };
+
+  /**
+   * Fill a polygon
+   * @private
+   * @param {CanvasRenderingContext2D} context - Drawing context
+   * @param {Array} points - [[x, y], ...]
+   * @param {string} fill - Fill colour
+   */
+  const fillPolygon = function(context, points, fill) {
+    context.beginPath();
+    points.forEach(([x, y], index) => {
+      if (index === 0) context.moveTo(x, y);
+      else context.lineTo(x, y);
+    });
+    context.closePath();
+    context.fillStyle = fill;
+    context.fill();
+  };
+
+  /**
+   * Draw the moulding as four bevelled sides lit from the top left
+   * @private
+   * @param {CanvasRenderingContext2D} context - Drawing context
+   * @param {number} width - Outer width in pixels
+   * @param {number} height - Outer height in pixels
+   * @param {number} size - Moulding width in pixels
+   * @param {Object} style - Frame style
+   */
+  const drawMoulding = function(context, width, height, size, style) {
+    if (size <= 0) return;
+
+    const sides = [
+      { points: [[0, 0], [width, 0], [width - size, size], [size, size]], light: 0.18 },
+      { points: [[0, 0], [size, size], [size, height - size], [0, height]], light: 0.06 },
+      { points: [[width, 0], [width, height], [width - size, height - size], [width - size, size]], light: -0.14 },
+      { points: [[0, height], [size, height - size], [width - size, height - size], [width, height]], light: -0.24 }
+    ];
+    sides.forEach(side => fillPolygon(context, side.points, shade(style.frameColor, side.light)));
+
+    if (style.grain) {
+      // Fine lines running along each side suggest the grain
+      context.strokeStyle = 'rgba(40, 20, 5, 0.12)';
+      context.lineWidth = Math.max(1, size * 0.03);
+      for (let i = 1; i < 6; i++) {
+        const offset = size * (i / 6 + Math.sin(i * 2.3) * 0.04);
+        context.strokeRect(offset, offset, width - offset * 2, height - offset * 2);
+      }
+    }
+
+    // Dark inner lip where the moulding meets the mat
+    context.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+    context.lineWidth = Math.max(1, size * 0.06);
+    context.strokeRect(size, size, width - size * 2, height - size * 2);
+  };
+
+  /**
+   * Draw an image to fill a box, cropping rather than distorting it
+   * @private
+   * @param {CanvasRenderingContext2D} context - Drawing context
+   * @param {HTMLImageElement} image - Loaded image
+   * @param {number} x - Box left
+   * @param {number} y - Box top
+   * @param {number} width - Box width
+   * @param {number} height - Box height
+   */
+  const drawCover = function(context, image, x, y, width, height) {
+    const sourceWidth = image.naturalWidth || image.width;
+    const sourceHeight = image.naturalHeight || image.height;
+    if (!sourceWidth || !sourceHeight) return;
+
+    const scale = Math.max(width / sourceWidth, height / sourceHeight);
+    const cropWidth = width / scale;
+    const cropHeight = height / scale;
+    context.drawImage(image,
+      (sourceWidth - cropWidth) / 2, (sourceHeight - cropHeight) / 2, cropWidth, cropHeight,
+      x, y, width, height);
+  };
+
+  /**
+   * Keyboard handling: Esc, style arrows and the Tab focus trap
+   * @private
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  const handleKeydown = function(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      publicApi.close();
+      return;
+    }
+
+    if (e.key === 'Tab') {
+      trapFocus(e);
+      return;
+    }
+
+    if (!e.target.closest('.frame-preview-styles')) return;
+
+    const index = styles.findIndex(style => style.id === currentStyle);
+    const moves = {
+      ArrowRight: index + 1,
+      ArrowDown: index + 1,
+      ArrowLeft: index - 1,
+      ArrowUp: index - 1,
+      Home: 0,
+      End: styles.length - 1
+    };
+    if (!(e.key in moves)) return;
+
+    e.preventDefault();
+    const next = styles[(moves[e.key] + styles.length) % styles.length];
+    publicApi.setStyle(next.id);
+    modal.querySelector(`[data-style="${next.id}"]`).focus();
+  };
+
+  /**
+   * Keep Tab and Shift+Tab inside the dialog
+   * @private
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  const trapFocus = function(e) {
+    const focusable = Array.from(dialog.querySelectorAll(config.focusableSelector))
+      .filter(el => !el.hidden && el.offsetParent !== null);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      dialog.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  /**
+   * Create the dialog markup once and attach its listeners
+   * @private
+   */
+  const createModal = function() {
+    if (modal) return;
+
+    const options = styles.map(style => `
+      <button type="button" class="frame-preview-style" role="radio" data-style="${style.id}"
+        aria-checked="false" tabindex="-1">${style.label}</button>
+    `).join('');
+
+    const sizes = config.exportSizes.map(size => `
+      <option value="${size}"${size === config.defaultExportSize ? ' selected' : ''}>${size} px</option>
+    `).join('');
+
+    modal = document.createElement('div');
+    modal.id = config.modalId;
+    modal.className = 'artwork-modal frame-preview';
+    modal.hidden = true;
+    modal.innerHTML = `
+      <div class="artwork-modal-backdrop" data-modal-close></div>
+      <div class="artwork-modal-dialog frame-preview-dialog" role="dialog" aria-modal="true"
+        aria-labelledby="frame-preview-title" tabindex="-1">
+        <button type="button" class="artwork-modal-close" aria-label="Close frame preview" data-modal-close>&times;</button>
+        <figure class="frame-preview-figure">
+          <canvas class="frame-preview-canvas" role="img"></canvas>
+        </figure>
+        <div class="artwork-modal-info">
+          <h2 id="frame-preview-title" class="artwork-modal-title">Frame preview</h2>
+          <p class="artwork-modal-artist frame-preview-subtitle"></p>
+          <div class="frame-preview-styles" role="radiogroup" aria-label="Frame style">${options}</div>
+          <p class="frame-preview-note" aria-live="polite"></p>
+          <div class="frame-preview-export">
+            <label for="frame-preview-format">Format</label>
+            <select id="frame-preview-format" class="sort-select">
+              <option value="image/png">PNG</option>
+              <option value="image/jpeg">JPEG</option>
+            </select>
+            <label for="frame-preview-size">Size</label>
+            <select id="frame-preview-size" class="sort-select">${sizes}</select>
+          </div>
+          <div class="frame-preview-export">
+            <button type="button" class="header-action-button" data-action="download" disabled>Download</button>
+            <button type="button" class="header-action-button" data-action="copy" disabled>Copy image</button>
+          </div>
+          <p class="frame-preview-status" role="status"></p>
+        </div>
+      </div>
+    `;
+
+    dialog = modal.querySelector('.frame-preview-dialog');
+    canvas = modal.querySelector('.frame-preview-canvas');
+
+    modal.addEventListener('click', function(e) {
+      const option = e.target.closest('[data-style]');
+      const action = e.target.closest('[data-action]');
+      if (e.target.closest('[data-modal-close]')) {
+        publicApi.close();
+      } else if (option) {
+        publicApi.setStyle(option.dataset.style);
+      } else if (action) {
+        const { type, size } = readExportOptions();
+        if (action.dataset.action === 'download') {
+          publicApi.download(type, size);
+        } else if (action.dataset.action === 'copy') {
+          publicApi.copy(size);
+        }
+      }
+    });
+    modal.addEventListener('keydown', handleKeydown);
+
+    document.body.appendChild(modal);
+  };
+
+  /**
+   * Read the export format and size from the dialog
+   * @private
+   * @return {Object} - { type, size }
+   */
+  const readExportOptions = function() {
+    return {
+      type: modal.querySelector('#frame-preview-format').value,
+      size: parseInt(modal.querySelector('#frame-preview-size').value, 10) || config.defaultExportSize
+    };
+  };
+
+  /**
+   * Show a short message under the export buttons
+   * @private
+   * @param {string} text - Message
+   */
+  const setStatus = function(text) {
+    if (modal) {
+      modal.querySelector('.frame-preview-status').textContent = text;
+    }
+  };
+
+  /**
+   * File name for an exported rendering
+   * @private
+   * @param {string} type - MIME type
+   * @return {string} - File name
+   */
+  const exportFilename = function(type) {
+    const slug = String(currentArtwork.title || 'artwork').toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'artwork'}-${currentStyle}-framed.${type === 'image/jpeg' ? 'jpg' : 'png'}`;
+  };
+
+  /**
+   * Copy a link that reopens this preview, for when the image itself can't be copied
+   * @private
+   * @return {Promise<string|boolean>} - 'link' when copied, false otherwise
+   */
+  const copyLink = function() {
+    const url = typeof config.shareLink === 'function' ?
+      config.shareLink(currentArtwork, currentStyle) :
+      '';
+    if (!url) {
+      setStatus('This browser can\'t copy images. Download the image instead.');
+      return Promise.resolve(false);
+    }
+
+    const prompt = function() {
+      window.prompt('Copy this link to the framed preview', url);
+      return 'link';
+    };
+
+    if (!navigator.clipboard || typeof navigator.clipboard.writeText !== 'function') {
+      return Promise.resolve(prompt());
+    }
+    return navigator.clipboard.writeText(url)
+      .then(() => {
+        setStatus('The image couldn\'t be copied here, so a link to this preview was copied instead.');
+        return 'link';
+      })
+      .catch(prompt);
+  };
+
+  /**
+   * Describe the size the preview is based on
+   * @private
+   * @param {Object} layout - Layout from getLayout
+   * @return {string} - Note for the dialog
+   */
+  const describeLayout = function(layout) {
+    const format = value => (Math.round(value * 10) / 10).toString();
+    const outer = `${format(layout.outerWidth)} × ${format(layout.outerHeight)} in`;
+    if (layout.source === 'framed') return `Scaled to the listed framed size, ${outer} (width × height).`;
+    if (layout.source === 'size') return `No framed size listed; shown about ${outer} with a typical mat.`;
+    return 'No size listed; proportions follow the image.';
+  };
+
+  /**
+   * Redraw the dialog for the current artwork and style
+   * @private
+   */
+  const renderCurrent = function() {
+    if (!modal || !currentArtwork) return;
+
+    const style = findStyle(currentStyle);
+    modal.querySelectorAll('[data-style]').forEach(option => {
+      const selected = option.dataset.style === style.id;
+      option.setAttribute('aria-checked', String(selected));
+      option.tabIndex = selected ? 0 : -1;
+    });
+
+    if (!currentImage) return;
+
+    modal.querySelectorAll('[data-action]').forEach(button => {
+      button.disabled = false;
+    });
+
+    const layout = publicApi.render(canvas, currentArtwork, currentImage, style.id);
+    canvas.setAttribute('aria-label',
+      `${currentArtwork.title || 'Untitled'} in a ${style.label.toLowerCase()} frame`);
+    modal.querySelector('.frame-preview-note').textContent = describeLayout(layout);
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Open the preview for an artwork
+     * @param {Object} artwork - Artwork record with parsed dimensions
+     * @param {Object} [options] - Optional settings
+     * @param {string} [options.style] - Style to start with (defaults to the last one used)
+     * @return {Object} - FramePreview instance for chaining
+     */
+    open: function(artwork, options = {}) {
+      if (!artwork) return this;
+
+      createModal();
+
+      if (options.style) currentStyle = findStyle(options.style).id;
+      currentArtwork = artwork;
+      currentImage = null;
+
+      modal.querySelector('.frame-preview-subtitle').textContent =
+        `${artwork.title || 'Untitled'} by ${artwork.artist || 'Unknown Artist'}`;
+      modal.querySelector('.frame-preview-note').textContent = 'Loading image…';
+      modal.querySelectorAll('[data-action]').forEach(button => {
+        button.disabled = true;
+      });
+      setStatus('');
+      canvas.width = 0;
+      canvas.height = 0;
+
+      const token = ++loadToken;
+      const image = new Image();
+      image.onload = function() {
+        if (token !== loadToken) return;
+        currentImage = image;
+        renderCurrent();
+      };
+      image.onerror = function() {
+        image.onerror = null;
+        image.src = config.placeholder;
+      };
+      image.src = encodeImagePath(artwork.imagePath);
+
+      if (!this.isOpen()) {
+        returnFocusTo = document.activeElement;
+        modal.hidden = false;
+        addedBodyClass = !document.body.classList.contains('modal-open');
+        document.body.classList.add('modal-open');
+      }
+      renderCurrent();
+
+      const selected = modal.querySelector(`[data-style="${currentStyle}"]`);
+      (selected || dialog).focus();
+      return this;
+    },
+
+    /**
+     * Close the preview and restore focus
+     * @return {Object} - FramePreview instance for chaining
+     */
+    close: function() {
+      if (!this.isOpen()) return this;
+
+      modal.hidden = true;
+      loadToken++;
+      currentArtwork = null;
+      currentImage = null;
+      if (addedBodyClass) {
+        document.body.classList.remove('modal-open');
+      }
+      addedBodyClass = false;
+
+      if (returnFocusTo && returnFocusTo.isConnected && typeof returnFocusTo.focus === 'function') {
+        returnFocusTo.focus();
+      }
+      returnFocusTo = null;
+      return this;
+    },
+
+    /**
+     * Check whether the preview is open
+     * @return {boolean} - Open state
+     */
+    isOpen: function() {
+      return !!modal && !modal.hidden;
+    },
+
+    /**
+     * Switch frame style
+     * @param {string} id - Style id
+     * @return {Object} - FramePreview instance for chaining
+     */
+    setStyle: function(id) {
+      currentStyle = findStyle(id).id;
+      renderCurrent();
+      return this;
+    },
+
+    /**
+     * Get the current style id
+     * @return {string} - Style id
+     */
+    getStyle: function() {
+      return currentStyle;
+    },
+
+    /**
+     * List the frame styles
+     * @return {Array} - [{ id, label }]
+     */
+    getStyles: function() {
+      return styles.map(style => ({ id: style.id, label: style.label }));
+    },
+
+    /**
+     * Work out frame, mat and artwork sizes in inches
+     * A listed Framed_Size fixes the outer size and the mat takes up the
+     * difference; otherwise the style's own mat width is used.
+     * @param {Object} artwork - Artwork record
+     * @param {string} styleId - Style id
+     * @param {number} [imageAspect] - Image width / height, used when no size is listed
+     * @return {Object} - { outerWidth, outerHeight, moulding, matX, matY, artWidth, artHeight, source }
+     */
+    getLayout: function(artwork, styleId, imageAspect) {
+      const style = findStyle(styleId);
+      let art = inInches(artwork.dimensions);
+      let source = art ? 'size' : 'image';
+
+      if (!art) {
+        const aspect = imageAspect > 0 ? imageAspect : 0.8;
+        art = aspect >= 1 ?
+          { width: config.nominalLongSide, height: config.nominalLongSide / aspect } :
+          { width: config.nominalLongSide * aspect, height: config.nominalLongSide };
+      }
+
+      const framed = source === 'size' ? inInches(artwork.framedDimensions) : null;
+      const defaultBorder = style.moulding + (style.float || style.mat);
+      let borderX = defaultBorder;
+      let borderY = defaultBorder;
+
+      if (framed && framed.width >= art.width && framed.height >= art.height) {
+        borderX = (framed.width - art.width) / 2;
+        borderY = (framed.height - art.height) / 2;
+        source = 'framed';
+      }
+
+      const moulding = Math.min(style.moulding, borderX, borderY);
+      return {
+        outerWidth: art.width + borderX * 2,
+        outerHeight: art.height + borderY * 2,
+        moulding,
+        matX: borderX - moulding,
+        matY: borderY - moulding,
+        artWidth: art.width,
+        artHeight: art.height,
+        source
+      };
+    },
+
+    /**
+     * Draw an artwork in a frame onto a canvas
+     * @param {HTMLCanvasElement} target - Canvas to draw on (resized to fit)
+     * @param {Object} artwork - Artwork record
+     * @param {HTMLImageElement} image - Loaded artwork image
+     * @param {string} styleId - Style id
+     * @param {Object} [options] - Drawing options
+     * @param {number} [options.maxSize] - Longer side in CSS pixels
+     * @param {number} [options.pixelRatio] - Device pixels per CSS pixel
+     * @return {Object} - Layout used, from getLayout
+     */
+    render: function(target, artwork, image, styleId, options = {}) {
+      const style = findStyle(styleId);
+      const imageAspect = image.naturalHeight ? image.naturalWidth / image.naturalHeight : 0;
+      const layout = this.getLayout(artwork, style.id, imageAspect);
+
+      const maxSize = options.maxSize || config.maxCanvasSize;
+      const ratio = options.pixelRatio || window.devicePixelRatio || 1;
+      const cssScale = maxSize / Math.max(layout.outerWidth, layout.outerHeight);
+      const scale = cssScale * ratio; // Pixels per inch
+
+      target.width = Math.round(layout.outerWidth * scale);
+      target.height = Math.round(layout.outerHeight * scale);
+      target.style.width = `${Math.round(layout.outerWidth * cssScale)}px`;
+      target.style.aspectRatio = `${layout.outerWidth} / ${layout.outerHeight}`;
+
+      const context = target.getContext('2d');
+      const width = target.width;
+      const height = target.height;
+      const moulding = layout.moulding * scale;
+      const artX = (layout.moulding + layout.matX) * scale;
+      const artY = (layout.moulding + layout.matY) * scale;
+      const artWidth = layout.artWidth * scale;
+      const artHeight = layout.artHeight * scale;
+
+      context.clearRect(0, 0, width, height);
+
+      // Mat, or the backing board behind a floated work
+      context.fillStyle = style.matColor;
+      context.fillRect(moulding, moulding, width - moulding * 2, height - moulding * 2);
+
+      if (style.float) {
+        context.save();
+        context.shadowColor = 'rgba(0, 0, 0, 0.35)';
+        context.shadowBlur = 0.4 * scale;
+        context.shadowOffsetX = 0.08 * scale;
+        context.shadowOffsetY = 0.12 * scale;
+        context.fillStyle = style.matColor;
+        context.fillRect(artX, artY, artWidth, artHeight);
+        context.restore();
+      } else if (layout.matX > 0 || layout.matY > 0) {
+        // White bevelled core around the mat window
+        const bevel = Math.max(1, 0.12 * scale);
+        context.fillStyle = '#ffffff';
+        context.fillRect(artX - bevel, artY - bevel, artWidth + bevel * 2, artHeight + bevel * 2);
+      }
+
+      drawCover(context, image, artX, artY, artWidth, artHeight);
+      drawMoulding(context, width, height, moulding, style);
+
+      return layout;
+    },
+
+    /**
+     * Render the open preview at export resolution
+     * @param {string} [type='image/png'] - 'image/png' or 'image/jpeg'
+     * @param {number} [size] - Pixels on the longer side
+     * @return {Promise<Blob>} - Encoded image
+     */
+    toBlob: function(type = 'image/png', size = config.defaultExportSize) {
+      if (!currentArtwork || !currentImage) {
+        return Promise.reject(new Error('Frame preview is not ready'));
+      }
+
+      const target = document.createElement('canvas');
+      this.render(target, currentArtwork, currentImage, currentStyle, { maxSize: size, pixelRatio: 1 });
+
+      return new Promise((resolve, reject) => {
+        try {
+          target.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error('The browser could not encode the image'));
+          }, type, config.jpegQuality);
+        } catch (e) {
+          // A cross-origin image taints the canvas
+          reject(e);
+        }
+      });
+    },
+
+    /**
+     * Download the framed rendering
+     * @param {string} [type='image/png'] - 'image/png' or 'image/jpeg'
+     * @param {number} [size] - Pixels on the longer side
+     * @return {Promise<boolean>} - Whether a file was offered
+     */
+    download: function(type = 'image/png', size = config.defaultExportSize) {
+      const filename = currentArtwork ? exportFilename(type) : '';
+
+      return this.toBlob(type, size)
+        .then(blob => {
+          const url = URL.createObjectURL(blob);
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = filename;
+          document.body.appendChild(link);
+          link.click();
+          document.body.removeChild(link);
+          setTimeout(() => URL.revokeObjectURL(url), 1000);
+          setStatus(`Saved ${filename}.`);
+          return true;
+        })
+        .catch(error => {
+          console.error('Frame preview export failed:', error);
+          setStatus('The image could not be created. Try a smaller size.');
+          return false;
+        });
+    },
+
+    /**
+     * Copy the framed rendering as a PNG, or a link to the preview when images can't be copied
+     * @param {number} [size] - Pixels on the longer side
+     * @return {Promise<string|boolean>} - 'image', 'link' or false
+     */
+    copy: function(size = config.defaultExportSize) {
+      if (!currentArtwork) return Promise.resolve(false);
+
+      const canCopyImages = navigator.clipboard &&
+        typeof navigator.clipboard.write === 'function' &&
+        typeof window.ClipboardItem === 'function';
+      if (!canCopyImages) return copyLink();
+
+      // Hand the clipboard a pending blob so Safari keeps the user gesture
+      const item = new window.ClipboardItem({ 'image/png': this.toBlob('image/png', size) });
+      return navigator.clipboard.write([item])
+        .then(() => {
+          setStatus('Image copied. Paste it into an email or message.');
+          return 'image';
+        })
+        .catch(error => {
+          console.warn('Copying the framed image failed:', error);
+          return copyLink();
+        });
+    },
+
+    /**
+     * Configure the preview
+     * @param {Object} options - Configuration options
+     * @return {Object} - FramePreview instance for chaining
+     */
+    configure: function(options) {
+      Object.assign(config, options);
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.FramePreview = FramePreview;
+} else {
+  window.FramePreview = FramePreview;
+}
+
+console.log('FramePreview module loaded');
@@ -0,0 +1,362 @@
+/**
+ * Image Cache Module
+ * Keeps artwork images from images_scraped/ as blobs in IndexedDB (through
+ * AppStorage) so repeat visits show them without downloading again. Images
+ * are handed to the page as object URLs. The cache stays within a byte
+ * budget, capped by a share of the browser's storage quota, and evicts the
+ * least recently used images first. Hit and miss counts are kept for the
+ * session.
+ *
+ * When the service worker controls the page it already keeps these images
+ * in its own LRU cache, so this cache steps aside: images resolve to their
+ * normal URL and anything stored earlier is dropped.
+ * @version 1.3.0
+ */
+
+/* global AppStorage */
+
+const ImageCache = (function() {
+  'use strict';
+
+  // Private variables
+  const index = new Map(); // key -> { size, lastUsed } for every stored image
+  const objectUrls = new Map(); // key -> object URL, oldest use first
+  const pending = new Map(); // key -> { promise, controller, waiters } for lookups in flight
+  let ready = null;
+  let available = false;
+  let budget = 0;
+  let totalBytes = 0;
+  const stats = { hits: 0, misses: 0, errors: 0, evictions: 0 };
+
+  // Configuration
+  const config = {
+    cachePattern: /(^|\/)images_scraped\//,
+    maxBytes: 100 * 1024 * 1024, // Never use more than this
+    maxQuotaShare: 0.25, // ...or more than this share of the origin's quota
+    evictTo: 0.9, // Evict down to this share of the budget
+    maxObjectUrls: 400 // Object URLs kept alive before old, unused ones are revoked
+  };
+
+  /**
+   * Encode the filename part of an image path so each image has one key
+   * @private
+   * @param {string} path - Image path, encoded or not
+   * @return {string} - Encoded path
+   */
+  const toKey = function(path) {
+    try {
+      const parts = path.split('/');
+      const filename = encodeURIComponent(decodeURIComponent(parts.pop() || ''));
+      return parts.join('/') + '/' + filename;
+    } catch {
+      return path;
+    }
+  };
+
+  /**
+   * Whether the service worker handles image requests for this page
+   * @private
+   * @return {boolean} - True when a service worker controls the page
+   */
+  const hasServiceWorker = function() {
+    return typeof navigator !== 'undefined' && !!navigator.serviceWorker && !!navigator.serviceWorker.controller;
+  };
+
+  /**
+   * Read the stored index and work out the byte budget, once
+   * @private
+   * @return {Promise} - Resolves when the cache can be used (or is known not to be)
+   */
+  const open = function() {
+    if (ready) return ready;
+
+    if (typeof AppStorage === 'undefined' || !AppStorage.canStoreBlobs() || typeof fetch !== 'function') {
+      ready = Promise.resolve();
+      return ready;
+    }
+
+    // Images stored before the service worker took over are cached there now
+    if (hasServiceWorker()) {
+      ready = AppStorage.clearBlobs().catch(() => {});
+      return ready;
+    }
+
+    const estimate = navigator.storage && typeof navigator.storage.estimate === 'function' ?
+      navigator.storage.estimate().catch(() => ({})) :
+      Promise.resolve({});
+
+    ready = Promise.all([AppStorage.listBlobs(), estimate])
+      .then(([entries, storage]) => {
+        entries.forEach(entry => {
+          index.set(entry.id, { size: entry.size || 0, lastUsed: entry.lastUsed || 0 });
+          totalBytes += entry.size || 0;
+        });
+        budget = storage.quota ?
+          Math.min(config.maxBytes, Math.floor(storage.quota * config.maxQuotaShare)) :
+          config.maxBytes;
+        available = true;
+        return evict();
+      })
+      .catch(error => {
+        console.warn('Image cache unavailable:', error && error.message);
+      });
+    return ready;
+  };
+
+  /**
+   * Remove least recently used images until the cache fits its budget
+   * @private
+   * @param {number} [limit] - Byte limit to check against (defaults to the budget)
+   * @return {Promise} - Resolves when evicted
+   */
+  const evict = function(limit = budget) {
+    if (totalBytes <= limit) return Promise.resolve();
+
+    const target = Math.min(limit, Math.floor(budget * config.evictTo));
+    const victims = [];
+    [...index.entries()]
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+      .some(([key, entry]) => {
+        if (totalBytes <= target) return true;
+        victims.push(key);
+        totalBytes -= entry.size;
+        index.delete(key);
+        return false;
+      });
+
+    stats.evictions += victims.length;
+    return AppStorage.removeBlobs(victims).catch(error => {
+      console.warn('Could not evict cached images:', error && error.message);
+    });
+  };
+
+  /**
+   * Hand out an object URL for a blob, revoking old ones no image still shows
+   * @private
+   * @param {string} key - Cache key
+   * @param {Blob} blob - Image data
+   * @return {string} - Object URL
+   */
+  const toObjectUrl = function(key, blob) {
+    const url = URL.createObjectURL(blob);
+    objectUrls.set(key, url);
+
+    if (objectUrls.size > config.maxObjectUrls) {
+      for (const [oldKey, oldUrl] of objectUrls) {
+        if (objectUrls.size <= config.maxObjectUrls) break;
+        if (oldKey !== key && !document.querySelector(`img[src="${oldUrl}"]`)) {
+          URL.revokeObjectURL(oldUrl);
+          objectUrls.delete(oldKey);
+        }
+      }
+    }
+    return url;
+  };
+
+  /**
+   * Download an image and keep it, making room first
+   * @private
+   * @param {string} key - Cache key and URL
+   * @param {AbortSignal} [signal] - Aborts the download
+   * @return {Promise<Blob>} - The downloaded image
+   */
+  const download = function(key, signal) {
+    return fetch(key, { signal }).then(response => {
+      const type = response.headers.get('Content-Type') || '';
+      if (!response.ok || !type.startsWith('image/')) {
+        throw new Error(`Image request failed (${response.status}): ${key}`);
+      }
+      return response.blob();
+    }).then(blob => {
+      if (blob.size > budget) return blob;
+
+      const now = Date.now();
+      return evict(budget - blob.size)
+        .then(() => AppStorage.saveBlob(key, blob, { lastUsed: now }))
+        .then(() => {
+          index.set(key, { size: blob.size, lastUsed: now });
+          totalBytes += blob.size;
+        })
+        .catch(error => {
+          // Usually the quota; the image still shows, it just isn't kept
+          console.warn('Could not cache image:', error && error.message);
+          return evict(Math.floor(budget / 2));
+        })
+        .then(() => blob);
+    });
+  };
+
+  /**
+   * Serve an image from the cache, downloading it on a miss
+   * @private
+   * @param {string} key - Cache key and URL
+   * @param {AbortSignal} [signal] - Aborts a download on a miss
+   * @return {Promise<string>} - Object URL
+   */
+  const lookup = function(key, signal) {
+    const stored = index.get(key);
+    const cached = stored ?
+      AppStorage.loadBlob(key).catch(() => null) :
+      Promise.resolve(null);
+
+    return cached.then(record => {
+      if (record && record.blob) {
+        stats.hits++;
+        stored.lastUsed = Date.now();
+        AppStorage.updateBlob(key, { lastUsed: stored.lastUsed }).catch(() => {});
+        return toObjectUrl(key, record.blob);
+      }
+
+      if (stored) {
+        // Listed but unreadable: forget it and download again
+        index.delete(key);
+        totalBytes -= stored.size;
+      }
+      stats.misses++;
+      return download(key, signal).then(blob => toObjectUrl(key, blob));
+    });
+  };
+
+  /**
+   * Wait for a shared lookup, giving up early when this caller's signal aborts
+   * @private
+   * @param {Object} shared - Entry from pending
+   * @param {AbortSignal} [signal] - This caller's signal
+   * @return {Promise<string>} - Object URL; rejects with an AbortError when the signal aborts
+   */
+  const waitFor = function(shared, signal) {
+    if (!signal) {
+      shared.waiters++;
+      return shared.promise;
+    }
+    if (signal.aborted) {
+      return Promise.reject(new DOMException('Image lookup aborted', 'AbortError'));
+    }
+
+    shared.waiters++;
+    return new Promise((resolve, reject) => {
+      const onAbort = function() {
+        shared.waiters--;
+        if (shared.waiters === 0 && shared.controller) {
+          // Later callers start a fresh lookup instead of joining the aborted one
+          if (pending.get(shared.key) === shared) pending.delete(shared.key);
+          shared.controller.abort();
+        }
+        reject(new DOMException('Image lookup aborted', 'AbortError'));
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      shared.promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort);
+      });
+    });
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Get a URL to show an image, from the cache when possible
+     * Images outside images_scraped/, or all images when IndexedDB is
+     * unavailable or the service worker caches them, resolve to their
+     * normal URL.
+     * @param {string} path - Image path
+     * @param {Object} [options] - Lookup options
+     * @param {AbortSignal} [options.signal] - Aborts the download when the image is no longer wanted
+     * @return {Promise<string>} - Object URL or plain URL; rejects when the image can't be downloaded
+     */
+    getUrl: function(path, options = {}) {
+      if (!path || !config.cachePattern.test(path)) {
+        return Promise.resolve(path);
+      }
+
+      const key = toKey(path);
+      return open().then(() => {
+        // A service worker that took control mid-session caches from now on
+        if (!available || hasServiceWorker()) return key;
+
+        if (objectUrls.has(key)) {
+          // Served from memory this session; refresh its place in the revoke order
+          const url = objectUrls.get(key);
+          objectUrls.delete(key);
+          objectUrls.set(key, url);
+          stats.hits++;
+          return url;
+        }
+
+        // One lookup per image, shared by every caller; it is only aborted once all of them have given up
+        let shared = pending.get(key);
+        if (!shared) {
+          const controller = typeof AbortController === 'function' ? new AbortController() : null;
+          const entry = { key, controller, waiters: 0 };
+          entry.promise = lookup(key, controller ? controller.signal : undefined)
+            .catch(error => {
+              if (error.name !== 'AbortError') stats.errors++;
+              throw error;
+            })
+            .finally(() => {
+              if (pending.get(key) === entry) pending.delete(key);
+            });
+          shared = entry;
+          pending.set(key, shared);
+        }
+        return waitFor(shared, options.signal);
+      });
+    },
+
+    /**
+     * Hit and miss counts for this session, plus what is stored
+     * @return {Object} - { hits, misses, errors, evictions, hitRate, entries, bytes, budget, available }
+     */
+    getStats: function() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        hitRate: lookups ? stats.hits / lookups : 0,
+        entries: index.size,
+        bytes: totalBytes,
+        budget,
+        available
+      };
+    },
+
+    /**
+     * Delete every cached image and release object URLs
+     * @return {Promise} - Resolves when cleared
+     */
+    clear: function() {
+      objectUrls.forEach(url => URL.revokeObjectURL(url));
+      objectUrls.clear();
+      index.clear();
+      totalBytes = 0;
+      return open().then(() => (available ? AppStorage.clearBlobs() : undefined));
+    },
+
+    /**
+     * Configure the image cache
+     * @param {Object} options - Configuration options
+     * @return {Object} - ImageCache instance for chaining
+     */
+    configure: function(options) {
+      Object.assign(config, options);
+      return this;
+    },
+
+    /**
+     * Get current configuration
+     * @return {Object} - Copy of current configuration
+     */
+    getConfig: function() {
+      return { ...config };
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.ImageCache = ImageCache;
+} else {
+  window.ImageCache = ImageCache;
+}
+
+console.log('ImageCache module loaded');
@@ -1,9 +1,17 @@
 /**
  * Image Handler Module
- * Handles efficient image loading with lazy loading and error handling
- * @version 1.1.0
+ * Handles efficient image loading with lazy loading and error handling.
+ * Images come through ImageCache when it is loaded, so repeat visits
+ * without the service worker read them from IndexedDB instead of the
+ * network. Loads go through a queue that
+ * runs at most maxConcurrentLoads at once, nearest the viewport first, drops
+ * images that scroll away or are removed, and retries with backoff. Images
+ * with a data-srcset load the variant that fits their rendered width.
+ * @version 1.4.0
  */
- 
+
+/* global ImageCache */
+
 const ImageHandler = (function() {
   'use strict';
     
@@ -15,7 +23,8 @@ const ImageHandler = (function() {
     loadedClass: 'loaded-image',
     errorAltText: 'Image unavailable',
     retryLimit: 2,
-    retryDelay: 1000, // ms
+    retryDelay: 1000, // ms, doubled on each retry
+    maxRetryDelay: 8000, // ms
     maxConcurrentLoads: 3, // Only load 3 images at a time
     intersectionRootMargin: '200px 0px', // Load images 200px before they enter the viewport
     intersectionThreshold: 0.01 // Trigger when even a small part of the image is visible
@@ -27,6 +36,11 @@ const ImageHandler = (function() {
   // Create reusable IntersectionObserver instance
   let observer = null;
     
+  // Load queue: image element -> job; state is 'queued', 'loading' or 'waiting' (retry backoff)
+  const jobs = new Map();
+  let activeLoads = 0;
+  let pumpScheduled = false;
+    
   /**
      * Safely encode image path, handling special characters
      * @private
@@ -63,42 +77,6 @@ const ImageHandler = (function() {
     return encodedUrl;
   };
     
-  /**
-     * Checks if an image exists
-     * @private
-     * @param {string} url - Image URL to check
-     * @return {Promise} - Promise resolving to boolean
-     */
-  const imageExists = function(url) {
-    if (!url || typeof url !== 'string' || url === './images/placeholder.svg') {
-      return Promise.resolve(false);
-    }
-
-    // Encode the URL properly
-    const encodedUrl = encodeImagePath(url);
-
-    // Prevent requests for clearly invalid paths
-    if (!encodedUrl || encodedUrl === './images_scraped/') {
-      console.warn(`Skipping imageExists check for invalid URL: ${url}`);
-      return Promise.resolve(false);
-    }
-
-    return new Promise(resolve => {
-      const img = new Image();
-      img.onload = function() {
-        resolve(true);
-      };
-      img.onerror = function() {
-        // Log the failed URL for debugging
-        console.log(`imageExists check failed for: ${encodedUrl}`);
-        resolve(false);
-      };
-
-      // Set cache-busting parameter for better testing
-      img.src = encodedUrl + (encodedUrl.includes('?') ? '&' : '?') + '_cache=' + Date.now();
-    });
-  };
-    
   /**
      * Apply error styling and placeholder to failed image
      * @private
@@ -123,14 +101,238 @@ const ImageHandler = (function() {
   };
     
   /**
-     * Load image with retry capability
+     * Mark an image as loaded with its final source
      * @private
-     * @param {string} imagePath - Path to image
+     * @param {HTMLImageElement} imgElement - The image element
+     * @param {string} src - Loaded source (object URL or path)
+     */
+  const applyLoadedState = function(imgElement, src) {
+    // Remove loading class when loaded
+    imgElement.classList.remove(config.loadingClass);
+    imgElement.classList.add(config.loadedClass);
+        
+    // Set the final image
+    imgElement.src = src;
+        
+    // Mark as loaded with data attribute for potential later use
+    imgElement.dataset.loaded = 'true';
+        
+    // Dispatch custom event
+    imgElement.dispatchEvent(new CustomEvent('imageLoaded'));
+  };
+    
+  /**
+     * Pick the candidate from data-srcset the browser would choose for this image
+     * The image is then loaded by URL (through the cache) instead of by srcset.
+     * @private
+     * @param {HTMLImageElement} imgElement - Image with data-srcset and sizes
+     * @return {string} - Chosen URL, or '' without a data-srcset
+     */
+  const chooseSource = function(imgElement) {
+    const candidates = String(imgElement.dataset.srcset || '')
+      .split(',')
+      .map(part => part.trim().split(/\s+/))
+      .map(([url, descriptor]) => ({ url, width: parseInt(descriptor, 10) || 0 }))
+      .filter(candidate => candidate.url && candidate.width > 0)
+      .sort((a, b) => a.width - b.width);
+    if (candidates.length === 0) return '';
+        
+    const sizes = imgElement.getAttribute('sizes') || '';
+    const displayWidth = /^\d+(\.\d+)?px$/.test(sizes.trim()) ? parseFloat(sizes) : imgElement.clientWidth;
+    if (!displayWidth) return candidates[candidates.length - 1].url;
+        
+    const needed = displayWidth * (window.devicePixelRatio || 1);
+    const match = candidates.find(candidate => candidate.width >= needed);
+    return (match || candidates[candidates.length - 1]).url;
+  };
+    
+  /**
+     * How far an image is from the viewport, for ordering the queue
+     * @private
+     * @param {HTMLImageElement} imgElement - The image element
+     * @return {number} - Pixels outside the viewport, 0 when visible
+     */
+  const viewportDistance = function(imgElement) {
+    const rect = imgElement.getBoundingClientRect();
+    if (rect.bottom < 0) return -rect.bottom;
+    if (rect.top > window.innerHeight) return rect.top - window.innerHeight;
+    return 0;
+  };
+    
+  /**
+     * Fetch and decode one attempt of a job
+     * @private
+     * @param {Object} job - Queue job
+     * @return {Promise} - Resolves with { success, src, error } or { cancelled: true }
+     */
+  const attemptLoad = function(job) {
+    return new Promise(resolve => {
+      const controller = typeof AbortController === 'function' ? new AbortController() : null;
+      let tempImg = null;
+            
+      job.abort = function() {
+        if (controller) controller.abort();
+        if (tempImg) {
+          tempImg.onload = null;
+          tempImg.onerror = null;
+          tempImg.src = '';
+        }
+        resolve({ cancelled: true });
+      };
+            
+      // Serve from the image cache when there is one; otherwise the browser's cache applies
+      const encodedPath = encodeImagePath(job.path);
+      const source = typeof ImageCache !== 'undefined' ?
+        ImageCache.getUrl(encodedPath, { signal: controller ? controller.signal : undefined }) :
+        Promise.resolve(encodedPath);
+            
+      source
+        .then(src => {
+          if (job.cancelled) return;
+                    
+          // Decode off-screen so the tile swaps straight to the finished image
+          tempImg = new Image();
+          tempImg.onload = function() {
+            resolve({ success: true, src });
+          };
+          tempImg.onerror = function() {
+            resolve({ success: false, error: 'Load error' });
+          };
+          tempImg.src = src;
+        })
+        .catch(error => {
+          // Download failed (missing file, offline, not an image)
+          resolve({ success: false, error: error.message });
+        });
+    });
+  };
+    
+  /**
+     * Settle a job and stop tracking its image
+     * @private
+     * @param {Object} job - Queue job
+     * @param {Object} result - Status object for the caller
+     * @param {boolean} [keepWatching=false] - Keep observing so the image loads if it comes back into view
+     */
+  const finishJob = function(job, result, keepWatching = false) {
+    jobs.delete(job.img);
+    if (job.timer) {
+      clearTimeout(job.timer);
+      job.timer = null;
+    }
+    if (!keepWatching) {
+      processedImages.delete(job.img);
+      if (observer) observer.unobserve(job.img);
+    }
+    job.resolve(result);
+  };
+    
+  /**
+     * Drop a job that is no longer wanted, aborting it if it is loading
+     * @private
+     * @param {Object} job - Queue job
+     * @param {boolean} [keepWatching=false] - Keep observing the image
+     */
+  const cancelJob = function(job, keepWatching = false) {
+    job.cancelled = true;
+    if (job.abort) {
+      job.abort();
+    }
+    job.img.classList.remove(config.loadingClass);
+    finishJob(job, { success: false, element: job.img, cancelled: true }, keepWatching);
+  };
+    
+  /**
+     * Run a job, then retry with backoff or settle it
+     * @private
+     * @param {Object} job - Queue job
+     */
+  const startJob = function(job) {
+    job.state = 'loading';
+    activeLoads++;
+        
+    attemptLoad(job).then(result => {
+      activeLoads--;
+      job.abort = null;
+            
+      if (result.cancelled) {
+        // cancelJob already settled it
+      } else if (result.success) {
+        applyLoadedState(job.img, result.src);
+        finishJob(job, { success: true, element: job.img });
+      } else if (job.attempt < config.retryLimit) {
+        const delay = Math.min(config.maxRetryDelay, config.retryDelay * Math.pow(2, job.attempt));
+        job.attempt++;
+        job.state = 'waiting';
+        console.log(`Retrying image load (${job.attempt}/${config.retryLimit}) in ${delay}ms: ${job.path}`);
+        job.timer = setTimeout(() => {
+          job.timer = null;
+          job.state = 'queued';
+          pumpQueue();
+        }, delay);
+      } else {
+        // All retries failed, use placeholder
+        console.warn(`Failed to load image after ${job.attempt + 1} attempts: ${job.path}`);
+        applyErrorState(job.img, job.originalAlt);
+        finishJob(job, { success: false, element: job.img, error: result.error });
+      }
+            
+      pumpQueue();
+    });
+  };
+    
+  /**
+     * Start queued jobs, nearest the viewport first, while slots are free
+     * @private
+     */
+  const pumpQueue = function() {
+    while (activeLoads < config.maxConcurrentLoads) {
+      let next = null;
+      let nextDistance = Infinity;
+            
+      jobs.forEach(job => {
+        if (job.state !== 'queued') return;
+        if (!job.img.isConnected) {
+          // Removed from the page before its turn
+          cancelJob(job);
+          return;
+        }
+        const distance = viewportDistance(job.img);
+        if (!next || distance < nextDistance) {
+          next = job;
+          nextDistance = distance;
+        }
+      });
+            
+      if (!next) return;
+      startJob(next);
+    }
+  };
+    
+  /**
+     * Pump once after the current task, so images queued together are ordered together
+     * @private
+     */
+  const schedulePump = function() {
+    if (pumpScheduled) return;
+    pumpScheduled = true;
+    Promise.resolve().then(() => {
+      pumpScheduled = false;
+      pumpQueue();
+    });
+  };
+    
+  /**
+     * Queue an image for loading
+     * @private
+     * @param {string} imagePath - Path to image, used when there is no data-srcset
      * @param {HTMLImageElement} imgElement - Image element
-     * @param {number} attemptNum - Current attempt number
      * @return {Promise} - Promise resolving to success status
      */
-  const loadImage = function(imagePath, imgElement, attemptNum = 0) {
+  const loadImage = function(imagePath, imgElement) {
+    const existing = jobs.get(imgElement);
+    if (existing) return existing.promise;
+        
     // Save original alt text
     const originalAlt = imgElement.dataset.originalAlt || imgElement.alt;
     if (!imgElement.dataset.originalAlt) {
@@ -145,60 +347,23 @@ const ImageHandler = (function() {
       imgElement.src = imgElement.dataset.preview;
     }
         
-    return new Promise(resolve => {
-      // Check if image exists
-      imageExists(imagePath)
-        .then(exists => {
-          if (exists) {
-            // Create new image object to preload
-            const tempImg = new Image();
-                        
-            tempImg.onload = function() {
-              // Remove loading class when loaded
-              imgElement.classList.remove(config.loadingClass);
-              imgElement.classList.add(config.loadedClass);
-                            
-              // Set the final image
-              imgElement.src = imagePath;
-                            
-              // Mark as loaded with data attribute for potential later use
-              imgElement.dataset.loaded = 'true';
-                            
-              // Dispatch custom event
-              imgElement.dispatchEvent(new CustomEvent('imageLoaded'));
-                            
-              resolve({ success: true, element: imgElement });
-            };
-                        
-            tempImg.onerror = function() {
-              // Handle unexpected load error
-              console.error(`Unexpected error loading image: ${imagePath}`);
-              applyErrorState(imgElement, originalAlt);
-              resolve({ success: false, element: imgElement, error: 'Load error' });
-            };
-                        
-            tempImg.src = encodeImagePath(imagePath);
-          } else if (attemptNum < config.retryLimit) {
-            // Retry loading after delay
-            console.log(`Retrying image load (${attemptNum + 1}/${config.retryLimit}): ${imagePath}`);
-            setTimeout(() => {
-              loadImage(imagePath, imgElement, attemptNum + 1)
-                .then(resolve);
-            }, config.retryDelay);
-          } else {
-            // All retries failed, use placeholder
-            console.warn(`Failed to load image after ${attemptNum} attempts: ${imagePath}`);
-            applyErrorState(imgElement, originalAlt);
-            resolve({ success: false, element: imgElement, error: 'All retries failed' });
-          }
-        })
-        .catch(error => {
-          // Handle unexpected errors
-          console.error(`Error checking image: ${imagePath}`, error);
-          applyErrorState(imgElement, originalAlt);
-          resolve({ success: false, element: imgElement, error: error.message });
-        });
+    const job = {
+      img: imgElement,
+      path: chooseSource(imgElement) || imagePath,
+      originalAlt,
+      attempt: 0,
+      state: 'queued',
+      timer: null,
+      abort: null,
+      cancelled: false
+    };
+    job.promise = new Promise(resolve => {
+      job.resolve = resolve;
     });
+    jobs.set(imgElement, job);
+        
+    schedulePump();
+    return job.promise;
   };
     
   /**
@@ -210,12 +375,16 @@ const ImageHandler = (function() {
     if (!observer) {
       observer = new IntersectionObserver((entries, obs) => {
         entries.forEach(entry => {
+          const img = entry.target;
           if (entry.isIntersecting) {
-            const img = entry.target;
             if (img.dataset.src && !img.dataset.loaded) {
-              publicApi.loadImage(img);
-              obs.unobserve(img); // Stop observing once loading started
+              publicApi.loadImage(img); // Observed until loaded, so scrolling away can cancel it
+            } else {
+              obs.unobserve(img);
             }
+          } else if (jobs.has(img)) {
+            // Scrolled away before it loaded; it queues again if it comes back
+            cancelJob(jobs.get(img), true);
           }
         });
       }, {
@@ -443,6 +612,36 @@ const ImageHandler = (function() {
       return this;
     },
         
+    /**
+         * Stop loading an image and forget it, e.g. when its tile is removed or recycled
+         * @param {HTMLImageElement} img - Image element
+         * @return {Object} - ImageHandler instance for chaining
+         */
+    cancel: function(img) {
+      if (!img) return this;
+            
+      if (jobs.has(img)) {
+        cancelJob(jobs.get(img));
+      } else if (observer) {
+        observer.unobserve(img);
+      }
+      processedImages.delete(img);
+      pumpQueue();
+      return this;
+    },
+        
+    /**
+         * Count the images waiting, loading and backing off before a retry
+         * @return {Object} - { queued, loading, waiting }
+         */
+    getQueueState: function() {
+      const counts = { queued: 0, loading: 0, waiting: 0 };
+      jobs.forEach(job => {
+        counts[job.state]++;
+      });
+      return counts;
+    },
+        
     /**
          * Configure the image handler
          * @param {Object} options - Configuration options
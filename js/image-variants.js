@@ -0,0 +1,178 @@
+/**
+ * Image Variants Module
+ * Reads the thumbnail manifest written by build-image-variants.js, which maps
+ * each image file name (the catalog's Filename) to sized variants: thumb,
+ * medium and full, plus a BlurHash placeholder. Turns an artwork's image
+ * path into a srcset so tiles and the detail view download only the size
+ * they show, and into a blurred preview to show while it loads. Without a
+ * manifest every image keeps its single full-size path and no preview.
+ * @version 1.1.0
+ */
+
+/* global BlurHash */
+
+const ImageVariants = (function() {
+  'use strict';
+
+  // Private variables
+  let images = null;
+  let loading = null;
+
+  // Configuration
+  const config = {
+    manifestUrl: './data/image-variants.json',
+    variantOrder: ['thumb', 'medium', 'full'],
+    previewWidth: 32 // Decoded placeholder width; height follows the image's aspect ratio
+  };
+
+  /**
+   * Encode the filename part of a path for use in src and srcset
+   * Commas and spaces must be escaped or srcset splits the URL.
+   * @private
+   * @param {string} path - Raw path
+   * @return {string} - Encoded path
+   */
+  const encodePath = function(path) {
+    try {
+      const parts = path.split('/');
+      const filename = encodeURIComponent(decodeURIComponent(parts.pop() || ''));
+      return parts.join('/') + '/' + filename;
+    } catch {
+      return path;
+    }
+  };
+
+  /**
+   * Find the manifest entry for an image path
+   * @private
+   * @param {string} imagePath - Image path from the artwork record
+   * @return {Object|null} - Manifest entry
+   */
+  const findEntry = function(imagePath) {
+    if (!images || !imagePath) return null;
+
+    let filename = String(imagePath).split('/').pop();
+    try {
+      filename = decodeURIComponent(filename);
+    } catch {
+      // Keep the raw name
+    }
+    return images[filename] || null;
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Fetch the manifest once; a missing manifest is not an error
+     * @param {string} [url] - Manifest URL (defaults to config.manifestUrl)
+     * @return {Promise<boolean>} - Whether a manifest was loaded
+     */
+    load: function(url) {
+      if (loading) return loading;
+
+      if (typeof fetch !== 'function') {
+        loading = Promise.resolve(false);
+        return loading;
+      }
+
+      loading = fetch(url || config.manifestUrl)
+        .then(response => (response.ok ? response.json() : null))
+        .then(manifest => {
+          images = manifest && manifest.images && typeof manifest.images === 'object' ? manifest.images : null;
+          if (images) {
+            console.log(`Image variants loaded for ${Object.keys(images).length} images`);
+          }
+          return images !== null;
+        })
+        .catch(error => {
+          console.warn('Image variant manifest unavailable:', error.message);
+          return false;
+        });
+      return loading;
+    },
+
+    /**
+     * Sized sources for an image, smallest first
+     * @param {string} imagePath - Image path from the artwork record
+     * @return {Array} - [{ name, url, width, height }], empty without a manifest entry
+     */
+    getSources: function(imagePath) {
+      const entry = findEntry(imagePath);
+      if (!entry) return [];
+
+      return config.variantOrder
+        .filter(name => entry[name] && entry[name].path && entry[name].width > 0)
+        .map(name => ({
+          name,
+          url: encodePath(entry[name].path),
+          width: entry[name].width,
+          height: entry[name].height
+        }))
+        .sort((a, b) => a.width - b.width);
+    },
+
+    /**
+     * Build a srcset attribute value for an image
+     * @param {string} imagePath - Image path from the artwork record
+     * @return {string} - "url 480w, url 1200w, ..." or '' without variants
+     */
+    srcset: function(imagePath) {
+      return this.getSources(imagePath)
+        .map(source => `${source.url} ${source.width}w`)
+        .join(', ');
+    },
+
+    /**
+     * Blurred placeholder for an image, decoded from its BlurHash
+     * @param {string} imagePath - Image path from the artwork record
+     * @return {string} - Data URL at the image's aspect ratio, or '' when there is none
+     */
+    placeholder: function(imagePath) {
+      const entry = findEntry(imagePath);
+      if (!entry || !entry.blurhash || typeof BlurHash === 'undefined') return '';
+
+      const full = entry.full || {};
+      const aspect = full.width > 0 && full.height > 0 ? full.height / full.width : 1;
+      const width = config.previewWidth;
+      const height = Math.max(1, Math.min(width * 4, Math.round(width * aspect)));
+      return BlurHash.toDataURL(entry.blurhash, width, height);
+    },
+
+    /**
+     * Whether a manifest has been loaded
+     * @return {boolean} - True once variants are known
+     */
+    isLoaded: function() {
+      return images !== null;
+    },
+
+    /**
+     * Configure the module
+     * @param {Object} options - Configuration options
+     * @return {Object} - ImageVariants instance for chaining
+     */
+    configure: function(options) {
+      Object.assign(config, options);
+      return this;
+    },
+
+    /**
+     * Get current configuration
+     * @return {Object} - Copy of current configuration
+     */
+    getConfig: function() {
+      return { ...config };
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.ImageVariants = ImageVariants;
+} else {
+  window.ImageVariants = ImageVariants;
+}
+
+console.log('ImageVariants module loaded');
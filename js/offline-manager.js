@@ -0,0 +1,259 @@
+/**
+ * Offline Manager Module
+ * Registers the service worker and provides the "Make available offline"
+ * action, which asks the worker to download every image in the current
+ * result set, in every size the page may request, so the gallery keeps
+ * working without a network.
+ * @version 1.1.0
+ */
+
+/* global CONSTANTS */
+
+const OfflineManager = (function() {
+  'use strict';
+
+  // Configuration
+  const config = {
+    serviceWorkerUrl: 'service-worker.js',
+    scope: './',
+    buttonId: 'offline-button',
+    statusId: 'offline-status',
+    dataUrls: ['./data/filtered.csv', './data/image-variants.json'] // Catalog files to refresh with each download
+  };
+
+  // Private variables
+  let registration = null;
+  let button = null;
+  let status = null;
+  let getArtworks = null;
+  let imageUrlsFor = null;
+  let isDownloading = false;
+
+  /**
+   * Check whether offline mode is supported and enabled
+   * @private
+   * @return {boolean} - Whether the service worker should be used
+   */
+  const isEnabled = function() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return false;
+    if (typeof CONSTANTS !== 'undefined' && CONSTANTS.FEATURES) {
+      return CONSTANTS.FEATURES.ENABLE_OFFLINE_MODE !== false;
+    }
+    return true;
+  };
+
+  /**
+   * Send a message to the active service worker and stream replies
+   * @private
+   * @param {Object} message - Message for the worker
+   * @param {Function} [onMessage] - Called with every reply
+   * @return {Promise} - Resolves with the reply whose type is 'complete' or 'stats'
+   */
+  const postToWorker = function(message, onMessage) {
+    return navigator.serviceWorker.ready.then(function(ready) {
+      return new Promise(function(resolve, reject) {
+        if (!ready.active) {
+          reject(new Error('No active service worker'));
+          return;
+        }
+
+        const channel = new MessageChannel();
+        channel.port1.onmessage = function(event) {
+          const reply = event.data || {};
+          if (typeof onMessage === 'function') {
+            onMessage(reply);
+          }
+          if (reply.type === 'complete' || reply.type === 'stats') {
+            channel.port1.close();
+            resolve(reply);
+          }
+        };
+
+        ready.active.postMessage(message, [channel.port2]);
+      });
+    });
+  };
+
+  /**
+   * Update the status text next to the button
+   * @private
+   * @param {string} text - Status text
+   */
+  const setStatus = function(text) {
+    if (status) {
+      status.textContent = text;
+    }
+  };
+
+  /**
+   * Format a byte count for display
+   * @private
+   * @param {number} bytes - Byte count
+   * @return {string} - Human-readable size
+   */
+  const formatBytes = function(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  /**
+   * Handle clicks on the offline button
+   * @private
+   */
+  const handleButtonClick = function() {
+    const artworks = typeof getArtworks === 'function' ? getArtworks() : [];
+    publicApi.makeAvailableOffline(artworks).catch(function(error) {
+      console.error('Offline download failed:', error);
+    });
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Register the service worker and add the offline action
+     * @param {HTMLElement} [actionsContainer] - Element that receives the button
+     * @param {Object} [options] - Optional settings
+     * @param {Function} [options.getArtworks] - Returns the artworks to download
+     * @param {Array} [options.dataUrls] - Catalog files to cache alongside the images
+     * @param {Function} [options.imageUrlsFor] - Returns every image URL the page may request for an artwork (e.g. sized variants)
+     * @return {Object} - OfflineManager instance for chaining
+     */
+    init: function(actionsContainer, options = {}) {
+      if (!isEnabled()) {
+        console.log('Offline mode unavailable or disabled');
+        return this;
+      }
+
+      getArtworks = options.getArtworks || null;
+      imageUrlsFor = options.imageUrlsFor || null;
+      if (Array.isArray(options.dataUrls)) {
+        config.dataUrls = options.dataUrls;
+      }
+
+      if (!registration) {
+        navigator.serviceWorker.register(config.serviceWorkerUrl, { scope: config.scope })
+          .then(function(result) {
+            registration = result;
+            console.log('Service worker registered with scope:', result.scope);
+          })
+          .catch(function(error) {
+            console.error('Service worker registration failed:', error);
+          });
+      }
+
+      if (actionsContainer && !document.getElementById(config.buttonId)) {
+        button = document.createElement('button');
+        button.type = 'button';
+        button.id = config.buttonId;
+        button.className = 'header-action-button';
+        button.textContent = 'Make available offline';
+        button.addEventListener('click', handleButtonClick);
+
+        status = document.createElement('span');
+        status.id = config.statusId;
+        status.className = 'header-action-status';
+        status.setAttribute('role', 'status');
+
+        actionsContainer.appendChild(button);
+        actionsContainer.appendChild(status);
+      }
+
+      return this;
+    },
+
+    /**
+     * Download the catalog and the images for a set of artworks into the cache
+     * @param {Array} artworks - Artworks to make available offline
+     * @param {Function} [onProgress] - Called with (done, total)
+     * @return {Promise<Object>} - Summary with total, cached, failed and evicted counts
+     */
+    makeAvailableOffline: async function(artworks, onProgress) {
+      if (!isEnabled()) {
+        throw new Error('Offline mode is not supported in this browser');
+      }
+      if (isDownloading) {
+        throw new Error('An offline download is already in progress');
+      }
+
+      // Tiles and the detail view may pick a sized variant instead of the full image
+      const urls = (artworks || [])
+        .flatMap(artwork => (typeof imageUrlsFor === 'function' ? imageUrlsFor(artwork) : [artwork.imagePath]))
+        .filter(Boolean);
+
+      isDownloading = true;
+      if (button) button.disabled = true;
+      setStatus(`Preparing ${urls.length} images...`);
+
+      try {
+        await postToWorker({ type: 'CACHE_URLS', urls: config.dataUrls });
+
+        const summary = await postToWorker({ type: 'CACHE_IMAGES', urls }, function(reply) {
+          if (reply.type !== 'progress') return;
+          setStatus(`Saving images ${reply.done}/${reply.total}`);
+          if (typeof onProgress === 'function') {
+            onProgress(reply.done, reply.total);
+          }
+        });
+
+        setStatus(summary.failed > 0 ?
+          `${summary.cached} images available offline, ${summary.failed} failed` :
+          `${summary.cached} images available offline`);
+        return summary;
+      } catch (error) {
+        setStatus('Offline download failed');
+        throw error;
+      } finally {
+        isDownloading = false;
+        if (button) button.disabled = false;
+      }
+    },
+
+    /**
+     * Get image cache usage from the service worker
+     * @return {Promise<Object>} - { entries, bytes, limits, size }
+     */
+    getCacheStats: async function() {
+      if (!isEnabled()) return null;
+
+      const reply = await postToWorker({ type: 'GET_CACHE_STATS' });
+      return { ...reply.stats, size: formatBytes(reply.stats.bytes) };
+    },
+
+    /**
+     * Check whether a service worker controls this page
+     * @return {boolean} - Whether requests are served through the cache
+     */
+    isActive: function() {
+      return isEnabled() && !!navigator.serviceWorker.controller;
+    },
+
+    /**
+     * Remove the offline action from the page
+     * @return {Object} - OfflineManager instance for chaining
+     */
+    destroy: function() {
+      if (button && button.parentNode) {
+        button.parentNode.removeChild(button);
+      }
+      if (status && status.parentNode) {
+        status.parentNode.removeChild(status);
+      }
+      button = null;
+      status = null;
+      getArtworks = null;
+      imageUrlsFor = null;
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.OfflineManager = OfflineManager;
+} else {
+  window.OfflineManager = OfflineManager;
+}
+
+console.log('OfflineManager module loaded');
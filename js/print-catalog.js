@@ -0,0 +1,430 @@
+/**
+ * Print Catalog Module
+ * Lays out a selection of artworks as printable catalog pages (image, title,
+ * artist, technique, size, price and description) with an optional cover
+ * page. The pages only exist while printing; print CSS hides the app.
+ * Ctrl+P / Cmd+P goes through print(), which waits for the images. Printing
+ * from the browser menu gets the same layout but is best-effort: the dialog
+ * opens straight away, so images still loading may print blank. Entries use
+ * the medium image variant when the caller supplies one, to load quickly.
+ * @version 1.1.0
+ */
+
+const PrintCatalog = (function() {
+  'use strict';
+
+  // Private variables
+  let container = null;
+  let panel = null;
+  let toggleButton = null;
+  let selectionSource = null;
+  let isPrinting = false;
+  let imageSource = null;
+
+  // Configuration
+  const config = {
+    containerId: 'print-catalog',
+    panelId: 'print-options',
+    toggleId: 'print-toggle',
+    printingClass: 'printing-catalog',
+    defaultTitle: 'Curated Collection',
+    confirmAbove: 200,
+    imageTimeout: 10000,
+    placeholder: './images/placeholder.svg'
+  };
+
+  /**
+   * Encode the filename part of an image path for use in src
+   * @private
+   * @param {string} imagePath - Raw image path
+   * @return {string} - Encoded path
+   */
+  const encodeImagePath = function(imagePath) {
+    if (!imagePath) return config.placeholder;
+    try {
+      const parts = imagePath.split('/');
+      const filename = encodeURIComponent(decodeURIComponent(parts.pop() || ''));
+      return parts.join('/') + '/' + filename;
+    } catch {
+      return imagePath;
+    }
+  };
+
+  /**
+   * Create an element with optional class and text
+   * @private
+   * @param {string} tag - Tag name
+   * @param {string} [className] - Class name
+   * @param {string} [text] - Text content
+   * @return {HTMLElement} - New element
+   */
+  const createElement = function(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  };
+
+  /**
+   * Ask the controller what is on screen
+   * @private
+   * @return {Object} - { artworks, title, subtitle }
+   */
+  const getSelection = function() {
+    const selection = typeof selectionSource === 'function' ? selectionSource() : null;
+    return {
+      artworks: selection && Array.isArray(selection.artworks) ? selection.artworks : [],
+      title: selection && selection.title ? selection.title : '',
+      subtitle: selection && selection.subtitle ? selection.subtitle : ''
+    };
+  };
+
+  /**
+   * Build the cover page
+   * @private
+   * @param {string} title - Catalog title
+   * @param {string} subtitle - What the selection is
+   * @param {number} count - Number of artworks
+   * @return {HTMLElement} - Cover section
+   */
+  const createCover = function(title, subtitle, count) {
+    const cover = createElement('section', 'print-cover');
+    cover.appendChild(createElement('h1', 'print-cover-title', title));
+    if (subtitle) {
+      cover.appendChild(createElement('p', 'print-cover-subtitle', subtitle));
+    }
+    cover.appendChild(createElement('p', 'print-cover-count', `${count} artwork${count === 1 ? '' : 's'}`));
+    cover.appendChild(createElement('p', 'print-cover-date', new Date().toLocaleDateString(undefined, {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    })));
+    return cover;
+  };
+
+  /**
+   * Build one catalog entry
+   * @private
+   * @param {Object} artwork - Artwork record
+   * @param {number} index - Position in the catalog
+   * @return {HTMLElement} - Entry article
+   */
+  const createEntry = function(artwork, index) {
+    const title = artwork.title || 'Untitled';
+    const artist = artwork.artist || 'Unknown Artist';
+
+    const entry = createElement('article', 'print-entry');
+
+    const figure = createElement('figure', 'print-entry-figure');
+    const img = document.createElement('img');
+    img.className = 'print-entry-image';
+    img.alt = `${title} by ${artist}`;
+    img.loading = 'eager';
+    img.onerror = function() {
+      img.onerror = null;
+      img.src = config.placeholder;
+    };
+    const source = typeof imageSource === 'function' ? imageSource(artwork) : '';
+    img.src = encodeImagePath(source || artwork.imagePath);
+    figure.appendChild(img);
+    entry.appendChild(figure);
+
+    const text = createElement('div', 'print-entry-text');
+    text.appendChild(createElement('p', 'print-entry-number', `${index + 1}${artwork.id ? ` · No. ${artwork.id}` : ''}`));
+    text.appendChild(createElement('h2', 'print-entry-title', title));
+    text.appendChild(createElement('p', 'print-entry-artist', artist));
+
+    const meta = createElement('dl', 'print-entry-meta');
+    [
+      ['Technique', artwork.technique],
+      ['Size', artwork.size],
+      ['Framed size', artwork.framedSize],
+      ['Price', artwork.price]
+    ].forEach(([label, value]) => {
+      if (!value) return;
+      meta.appendChild(createElement('dt', '', label));
+      meta.appendChild(createElement('dd', '', value));
+    });
+    text.appendChild(meta);
+
+    [artwork.fgDescription, artwork.aiDescription].forEach(description => {
+      if (description) {
+        text.appendChild(createElement('p', 'print-entry-description', description));
+      }
+    });
+
+    entry.appendChild(text);
+    return entry;
+  };
+
+  /**
+   * Resolve once every image has loaded or failed, or the timeout passes
+   * @private
+   * @param {HTMLElement} root - Element holding the images
+   * @return {Promise} - Resolves when printing can start
+   */
+  const waitForImages = function(root) {
+    const pending = [...root.querySelectorAll('img')]
+      .filter(img => !img.complete)
+      .map(img => new Promise(resolve => {
+        img.addEventListener('load', resolve, { once: true });
+        img.addEventListener('error', resolve, { once: true });
+      }));
+
+    const timeout = new Promise(resolve => setTimeout(resolve, config.imageTimeout));
+    return Promise.race([Promise.all(pending), timeout]);
+  };
+
+  /**
+   * Read the options panel, falling back to defaults when it is absent
+   * @private
+   * @return {Object} - { cover, title }
+   */
+  const readOptions = function() {
+    if (!panel) return { cover: true, title: '' };
+    return {
+      cover: panel.querySelector('#print-cover').checked,
+      title: panel.querySelector('#print-title').value.trim()
+    };
+  };
+
+  /**
+   * Show how much will be printed
+   * @private
+   */
+  const updateSummary = function() {
+    if (!panel || panel.hidden) return;
+
+    const selection = getSelection();
+    const count = selection.artworks.length;
+    panel.querySelector('#print-title').placeholder = selection.title || config.defaultTitle;
+    panel.querySelector('.print-summary').textContent = count ?
+      `${count} artwork${count === 1 ? '' : 's'} from the current view.` :
+      'Nothing to print: the current view is empty.';
+    panel.querySelector('.print-start').disabled = count === 0;
+  };
+
+  /**
+   * Expand or collapse the options panel
+   * @private
+   * @param {boolean} expanded - Whether the panel should be visible
+   */
+  const setExpanded = function(expanded) {
+    panel.hidden = !expanded;
+    toggleButton.setAttribute('aria-expanded', String(expanded));
+    if (expanded) updateSummary();
+  };
+
+  /**
+   * Route Ctrl+P / Cmd+P through print() so the images load before the dialog opens
+   * @private
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  const handleKeydown = function(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || String(e.key).toLowerCase() !== 'p') return;
+    if (isPrinting || getSelection().artworks.length === 0) return;
+
+    e.preventDefault();
+    publicApi.print(readOptions());
+  };
+
+  /**
+   * Build pages when printing starts from the browser menu
+   * Nothing can delay the dialog here, so images may not have loaded yet.
+   * @private
+   */
+  const handleBeforePrint = function() {
+    if (!isPrinting) {
+      publicApi.build(getSelection(), readOptions());
+    }
+  };
+
+  /**
+   * Remove the pages once the print dialog closes
+   * @private
+   */
+  const handleAfterPrint = function() {
+    isPrinting = false;
+    publicApi.clear();
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Add the header toggle, the options panel and print listeners
+     * @param {HTMLElement} actionsContainer - Header element that receives the toggle
+     * @param {HTMLElement} before - Element the options panel is inserted before
+     * @param {Object} options - Settings
+     * @param {Function} options.getSelection - Returns { artworks, title, subtitle } for the current view
+     * @param {Function} [options.imageFor] - Returns the image URL to print for an artwork (e.g. a medium variant)
+     * @return {Object} - PrintCatalog instance for chaining
+     */
+    init: function(actionsContainer, before, options = {}) {
+      if (!actionsContainer || !before || !before.parentNode || typeof options.getSelection !== 'function') {
+        console.error('PrintCatalog init failed: missing container or selection source');
+        return this;
+      }
+
+      this.destroy();
+      selectionSource = options.getSelection;
+      imageSource = options.imageFor || null;
+
+      toggleButton = document.createElement('button');
+      toggleButton.type = 'button';
+      toggleButton.id = config.toggleId;
+      toggleButton.className = 'header-action-button';
+      toggleButton.textContent = 'Print';
+      toggleButton.setAttribute('aria-controls', config.panelId);
+      toggleButton.addEventListener('click', function() {
+        setExpanded(panel.hidden);
+      });
+
+      panel = document.createElement('section');
+      panel.id = config.panelId;
+      panel.className = 'print-options';
+      panel.setAttribute('aria-label', 'Print catalog');
+      panel.innerHTML = `
+        <h2>Print catalog</h2>
+        <p class="print-summary"></p>
+        <div class="print-option">
+          <label for="print-title">Title</label>
+          <input type="text" id="print-title" class="print-title-input" maxlength="120" autocomplete="off">
+        </div>
+        <div class="print-option">
+          <input type="checkbox" id="print-cover" checked>
+          <label for="print-cover">Include a cover page</label>
+        </div>
+        <div class="print-option">
+          <button type="button" class="filter-button print-start">Print or save as PDF</button>
+        </div>
+      `;
+      panel.querySelector('.print-start').addEventListener('click', function() {
+        publicApi.print(readOptions());
+      });
+
+      actionsContainer.appendChild(toggleButton);
+      before.parentNode.insertBefore(panel, before);
+      setExpanded(false);
+
+      document.addEventListener('keydown', handleKeydown);
+      window.addEventListener('beforeprint', handleBeforePrint);
+      window.addEventListener('afterprint', handleAfterPrint);
+      return this;
+    },
+
+    /**
+     * Lay out catalog pages for a selection, replacing any previous ones
+     * @param {Object} selection - { artworks, title, subtitle }
+     * @param {Object} [options] - Layout options
+     * @param {boolean} [options.cover=true] - Start with a cover page
+     * @param {string} [options.title] - Title overriding the selection's
+     * @return {HTMLElement} - The catalog container
+     */
+    build: function(selection, options = {}) {
+      this.clear();
+
+      const artworks = selection.artworks || [];
+      const title = options.title || selection.title || config.defaultTitle;
+
+      container = createElement('div', 'print-catalog');
+      container.id = config.containerId;
+      container.setAttribute('aria-hidden', 'true');
+
+      if (options.cover !== false) {
+        container.appendChild(createCover(title, selection.subtitle, artworks.length));
+      }
+
+      const list = createElement('div', 'print-entries');
+      artworks.forEach((artwork, index) => {
+        list.appendChild(createEntry(artwork, index));
+      });
+      container.appendChild(list);
+
+      document.body.appendChild(container);
+      document.body.classList.add(config.printingClass);
+      return container;
+    },
+
+    /**
+     * Build the pages for the current view and open the print dialog
+     * @param {Object} [options] - { cover, title } as for build
+     * @return {Promise<boolean>} - Whether the print dialog was opened
+     */
+    print: function(options = {}) {
+      const selection = getSelection();
+      const count = selection.artworks.length;
+      if (count === 0) return Promise.resolve(false);
+
+      if (count > config.confirmAbove &&
+        !window.confirm(`Print ${count} artworks? That is a long catalog; filtering first keeps it shorter.`)) {
+        return Promise.resolve(false);
+      }
+
+      isPrinting = true;
+      const pages = this.build(selection, options);
+      if (toggleButton) toggleButton.disabled = true;
+
+      return waitForImages(pages).then(() => {
+        if (toggleButton) toggleButton.disabled = false;
+        window.print();
+        return true;
+      });
+    },
+
+    /**
+     * Update the options panel after the view changes
+     * @return {Object} - PrintCatalog instance for chaining
+     */
+    refresh: function() {
+      updateSummary();
+      return this;
+    },
+
+    /**
+     * Remove the catalog pages
+     * @return {Object} - PrintCatalog instance for chaining
+     */
+    clear: function() {
+      if (container && container.parentNode) {
+        container.parentNode.removeChild(container);
+      }
+      container = null;
+      document.body.classList.remove(config.printingClass);
+      return this;
+    },
+
+    /**
+     * Remove the toggle, panel, pages and listeners
+     * @return {Object} - PrintCatalog instance for chaining
+     */
+    destroy: function() {
+      document.removeEventListener('keydown', handleKeydown);
+      window.removeEventListener('beforeprint', handleBeforePrint);
+      window.removeEventListener('afterprint', handleAfterPrint);
+      this.clear();
+      if (panel && panel.parentNode) {
+        panel.parentNode.removeChild(panel);
+      }
+      if (toggleButton && toggleButton.parentNode) {
+        toggleButton.parentNode.removeChild(toggleButton);
+      }
+      panel = null;
+      toggleButton = null;
+      selectionSource = null;
+      imageSource = null;
+      isPrinting = false;
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.PrintCatalog = PrintCatalog;
+} else {
+  window.PrintCatalog = PrintCatalog;
+}
+
+console.log('PrintCatalog module loaded');
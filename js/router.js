@@ -0,0 +1,224 @@
+/**
+ * Router Module
+ * Small hash-based client router. Routes look like "#/artist/<name>?q=..."
+ * and map to handlers registered by the Controller. Query parameters carry
+ * view state so back/forward and shared links restore the same view.
+ * @version 1.0.0
+ */
+
+const Router = (function() {
+  'use strict';
+
+  // Private variables
+  const routes = [];
+  let notFoundHandler = null;
+  let lastHash = null;
+  let isStarted = false;
+
+  /**
+   * Compile a route pattern such as "/artist/:name" into a matcher
+   * @private
+   * @param {string} pattern - Route pattern
+   * @return {Object} - Matcher with regex and parameter keys
+   */
+  const compile = function(pattern) {
+    const keys = [];
+    const source = pattern
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/:(\w+)/g, function(match, key) {
+        keys.push(key);
+        return '([^/]+)';
+      });
+    return { regex: new RegExp(`^${source}/?$`), keys };
+  };
+
+  /**
+   * Decode a URI component without throwing on malformed input
+   * @private
+   * @param {string} value - Encoded value
+   * @return {string} - Decoded value (or the input if malformed)
+   */
+  const safeDecode = function(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      return value;
+    }
+  };
+
+  /**
+   * Dispatch the current location hash to its route handler
+   * @private
+   */
+  const dispatch = function() {
+    const hash = window.location.hash || '#/';
+
+    // Plain in-page anchors such as #app-content are not routes
+    if (!hash.startsWith('#/')) return;
+
+    // popstate and hashchange can both fire for one navigation
+    if (hash === lastHash) return;
+    lastHash = hash;
+
+    const { path, query } = publicApi.parse(hash);
+
+    for (const route of routes) {
+      const match = route.regex.exec(path);
+      if (!match) continue;
+
+      const params = {};
+      route.keys.forEach((key, i) => {
+        params[key] = safeDecode(match[i + 1]);
+      });
+
+      try {
+        route.handler(params, query, path);
+      } catch (e) {
+        console.error(`Error in route handler for '${route.pattern}':`, e);
+      }
+      return;
+    }
+
+    if (typeof notFoundHandler === 'function') {
+      notFoundHandler(path, query);
+    } else {
+      console.warn('No route matches:', path);
+    }
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Register a route handler
+     * @param {string} pattern - Path pattern, e.g. "/artwork/:id"
+     * @param {Function} handler - Called with (params, query, path)
+     * @return {Object} - Router instance for chaining
+     */
+    register: function(pattern, handler) {
+      if (typeof handler !== 'function') {
+        throw new Error(`Route handler for '${pattern}' must be a function`);
+      }
+      routes.push({ pattern, handler, ...compile(pattern) });
+      return this;
+    },
+
+    /**
+     * Register the handler for unmatched paths
+     * @param {Function} handler - Called with (path, query)
+     * @return {Object} - Router instance for chaining
+     */
+    notFound: function(handler) {
+      notFoundHandler = handler;
+      return this;
+    },
+
+    /**
+     * Split a hash into path and query parameters
+     * @param {string} hash - Hash such as "#/search?q=boats"
+     * @return {Object} - { path, query }
+     */
+    parse: function(hash) {
+      const value = (hash || '').replace(/^#/, '');
+      const queryStart = value.indexOf('?');
+      const path = (queryStart === -1 ? value : value.substring(0, queryStart)) || '/';
+      const query = {};
+
+      if (queryStart !== -1) {
+        new URLSearchParams(value.substring(queryStart + 1)).forEach((paramValue, key) => {
+          query[key] = paramValue;
+        });
+      }
+
+      return { path, query };
+    },
+
+    /**
+     * Build a hash from a path and query parameters, dropping empty values
+     * @param {string} path - Route path (segments already encoded)
+     * @param {Object} [query] - Query parameters
+     * @return {string} - Hash including the leading "#"
+     */
+    buildHash: function(path, query = {}) {
+      const params = new URLSearchParams();
+      Object.keys(query).forEach(key => {
+        const value = query[key];
+        if (value !== null && value !== undefined && value !== '') {
+          params.set(key, value);
+        }
+      });
+
+      const search = params.toString();
+      return `#${path || '/'}${search ? `?${search}` : ''}`;
+    },
+
+    /**
+     * Change the URL without dispatching; use for state the caller already shows
+     * @param {string} path - Route path
+     * @param {Object} [query] - Query parameters
+     * @param {Object} [options] - Navigation options
+     * @param {boolean} [options.replace=false] - Replace instead of pushing history
+     * @return {Object} - Router instance for chaining
+     */
+    navigate: function(path, query = {}, options = {}) {
+      const hash = this.buildHash(path, query);
+      if (hash === window.location.hash) return this;
+
+      if (options.replace) {
+        history.replaceState(null, '', hash);
+      } else {
+        history.pushState(null, '', hash);
+      }
+      lastHash = hash;
+      return this;
+    },
+
+    /**
+     * Start listening and dispatch the current hash
+     * @return {Object} - Router instance for chaining
+     */
+    start: function() {
+      if (!isStarted) {
+        window.addEventListener('popstate', dispatch);
+        window.addEventListener('hashchange', dispatch);
+        isStarted = true;
+      }
+      lastHash = null;
+      dispatch();
+      return this;
+    },
+
+    /**
+     * Stop listening for URL changes
+     * @return {Object} - Router instance for chaining
+     */
+    stop: function() {
+      window.removeEventListener('popstate', dispatch);
+      window.removeEventListener('hashchange', dispatch);
+      isStarted = false;
+      return this;
+    },
+
+    /**
+     * Remove all registered routes
+     * @return {Object} - Router instance for chaining
+     */
+    reset: function() {
+      this.stop();
+      routes.length = 0;
+      notFoundHandler = null;
+      lastHash = null;
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.Router = Router;
+} else {
+  window.Router = Router;
+}
+
+console.log('Router module loaded');
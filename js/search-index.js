@@ -0,0 +1,216 @@
+/**
+ * Search Index Module
+ * In-memory inverted index over artwork text fields, built once after load.
+ * Supports multi-word queries (every word must match) and prefix matching,
+ * ranked by field weight.
+ * @version 1.0.0
+ */
+
+const SearchIndex = (function() {
+  'use strict';
+
+  // Configuration
+  const config = {
+    // Field weights - a hit in the title outranks a hit in a description
+    fields: {
+      title: 5,
+      artist: 4,
+      technique: 2,
+      aiDescription: 1,
+      fgDescription: 1
+    },
+    prefixWeight: 0.5, // Multiplier for prefix-only matches
+    phraseBonus: 2 // Multiplier applied when a field contains the whole query
+  };
+
+  // Private variables
+  let documents = []; // Artwork records by document number
+  let fieldText = []; // Normalized field strings by document number
+  let postings = new Map(); // token -> Map(document number -> weight)
+  let sortedTokens = []; // All tokens in lexical order, for prefix lookups
+  let isBuilt = false;
+
+  /**
+   * Lowercase and strip diacritics so "Café" matches "cafe"
+   * @private
+   * @param {*} text - Text to normalize
+   * @return {string} - Normalized text
+   */
+  const normalize = function(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  };
+
+  /**
+   * Split text into search tokens
+   * @private
+   * @param {*} text - Text to tokenize
+   * @return {Array} - Array of tokens
+   */
+  const tokenize = function(text) {
+    return normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+  };
+
+  /**
+   * Index of the first token >= prefix in sortedTokens
+   * @private
+   * @param {string} prefix - Token prefix
+   * @return {number} - Lower bound index
+   */
+  const lowerBound = function(prefix) {
+    let low = 0;
+    let high = sortedTokens.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (sortedTokens[mid] < prefix) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  };
+
+  /**
+   * Score every document matching a single query term
+   * @private
+   * @param {string} term - Normalized query term
+   * @return {Map} - Document number -> best score for this term
+   */
+  const scoreTerm = function(term) {
+    const scores = new Map();
+
+    for (let i = lowerBound(term); i < sortedTokens.length; i++) {
+      const token = sortedTokens[i];
+      if (!token.startsWith(term)) break;
+
+      const multiplier = token === term ? 1 : config.prefixWeight;
+      postings.get(token).forEach((weight, docNumber) => {
+        const score = weight * multiplier;
+        if (score > (scores.get(docNumber) || 0)) {
+          scores.set(docNumber, score);
+        }
+      });
+    }
+
+    return scores;
+  };
+
+  return {
+    /**
+     * Build the index from loaded artworks, replacing any previous index
+     * @param {Array} artworks - Artwork records from DataLoader
+     * @return {Object} - SearchIndex instance for chaining
+     */
+    build: function(artworks) {
+      this.clear();
+      if (!Array.isArray(artworks)) return this;
+
+      const fieldNames = Object.keys(config.fields);
+
+      artworks.forEach((artwork, docNumber) => {
+        documents.push(artwork);
+        fieldText.push(fieldNames.map(field => normalize(artwork[field])));
+
+        fieldNames.forEach(field => {
+          const weight = config.fields[field];
+          new Set(tokenize(artwork[field])).forEach(token => {
+            let posting = postings.get(token);
+            if (!posting) {
+              posting = new Map();
+              postings.set(token, posting);
+            }
+            posting.set(docNumber, (posting.get(docNumber) || 0) + weight);
+          });
+        });
+      });
+
+      sortedTokens = [...postings.keys()].sort();
+      isBuilt = true;
+
+      console.log(`SearchIndex built: ${documents.length} artworks, ${sortedTokens.length} tokens`);
+      return this;
+    },
+
+    /**
+     * Search the index
+     * @param {string} query - Free-text query; every word must match
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit] - Maximum number of results
+     * @return {Array} - Matching artworks, best match first
+     */
+    search: function(query, options = {}) {
+      const terms = [...new Set(tokenize(query))];
+      if (!isBuilt || terms.length === 0) return [];
+
+      // Score each term, then intersect starting from the rarest one
+      const termScores = terms.map(scoreTerm)
+        .sort((a, b) => a.size - b.size);
+
+      const totals = new Map();
+      termScores[0].forEach((score, docNumber) => {
+        let total = score;
+        for (let i = 1; i < termScores.length; i++) {
+          const termScore = termScores[i].get(docNumber);
+          if (termScore === undefined) return;
+          total += termScore;
+        }
+        totals.set(docNumber, total);
+      });
+
+      // Reward fields containing the query as a phrase
+      const phrase = terms.length > 1 ? normalize(query).trim().replace(/\s+/g, ' ') : '';
+      const weights = Object.values(config.fields);
+
+      const ranked = [...totals.entries()].map(([docNumber, score]) => {
+        if (phrase) {
+          fieldText[docNumber].forEach((text, fieldIndex) => {
+            if (text.includes(phrase)) {
+              score += weights[fieldIndex] * config.phraseBonus;
+            }
+          });
+        }
+        return { docNumber, score };
+      });
+
+      // Highest score first; ties keep catalog order
+      ranked.sort((a, b) => b.score - a.score || a.docNumber - b.docNumber);
+
+      const limited = options.limit ? ranked.slice(0, options.limit) : ranked;
+      return limited.map(result => documents[result.docNumber]);
+    },
+
+    /**
+     * Check whether the index has been built
+     * @return {boolean} - Whether build() has completed
+     */
+    isReady: function() {
+      return isBuilt;
+    },
+
+    /**
+     * Drop the index
+     * @return {Object} - SearchIndex instance for chaining
+     */
+    clear: function() {
+      documents = [];
+      fieldText = [];
+      postings = new Map();
+      sortedTokens = [];
+      isBuilt = false;
+      return this;
+    }
+  };
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.SearchIndex = SearchIndex;
+} else {
+  window.SearchIndex = SearchIndex;
+}
+
+console.log('SearchIndex module loaded');
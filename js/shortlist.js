@@ -0,0 +1,210 @@
+/**
+ * Shortlist Module
+ * Shareable shortlists: a list of artwork ids plus an optional title and
+ * note, carried entirely in the URL fragment so a link works offline and
+ * needs no server. Also shows the banner above a shortlist being viewed.
+ * @version 1.0.0
+ */
+
+const Shortlist = (function() {
+  'use strict';
+
+  // Private variables
+  let banner = null;
+
+  // Configuration
+  const config = {
+    bannerId: 'shortlist-banner',
+    maxIds: 500,
+    maxTitleLength: 120,
+    maxNoteLength: 500
+  };
+
+  /**
+   * Trim free text to a length, collapsing runs of spaces
+   * @private
+   * @param {*} value - Text from the visitor or the URL
+   * @param {number} maxLength - Longest allowed length
+   * @return {string} - Cleaned text
+   */
+  const cleanText = function(value, maxLength) {
+    return String(value || '').replace(/[ \t]+/g, ' ').trim().substring(0, maxLength);
+  };
+
+  /**
+   * Encode ids compactly
+   * Catalog numbers such as "00042" are sent as base36 with their padding
+   * width up front ("5.16"); anything else is sent as escaped text after a
+   * leading "t" ("t.A-12.B%2E3").
+   * @private
+   * @param {Array} ids - Artwork ids in display order
+   * @return {string} - Encoded ids
+   */
+  const encodeIds = function(ids) {
+    if (ids.length === 0) return '';
+
+    const width = ids[0].length;
+    const padded = ids.every(id => /^\d{1,15}$/.test(id) && id.length === width);
+    const unpadded = ids.every(id => /^(0|[1-9]\d{0,14})$/.test(id));
+
+    if (padded || unpadded) {
+      const numbers = ids.map(id => parseInt(id, 10).toString(36));
+      return [unpadded ? 0 : width, ...numbers].join('.');
+    }
+
+    return ['t', ...ids.map(id => encodeURIComponent(id).replace(/\./g, '%2E'))].join('.');
+  };
+
+  /**
+   * Reverse encodeIds
+   * @private
+   * @param {string} value - Encoded ids
+   * @return {Array} - Artwork ids, empty if the value is unreadable
+   */
+  const decodeIds = function(value) {
+    const [head, ...parts] = String(value || '').split('.');
+
+    if (head === 't') {
+      return parts.map(part => {
+        try {
+          return decodeURIComponent(part);
+        } catch {
+          return '';
+        }
+      });
+    }
+
+    if (!/^\d{1,2}$/.test(head)) return [];
+    const width = parseInt(head, 10);
+    return parts.map(part => {
+      if (!/^[0-9a-z]+$/.test(part)) return '';
+      return parseInt(part, 36).toString().padStart(width, '0');
+    });
+  };
+
+  /**
+   * Drop blank and repeated ids, keeping the first occurrence
+   * @private
+   * @param {Array} ids - Artwork ids
+   * @return {Array} - Clean id strings, at most config.maxIds
+   */
+  const cleanIds = function(ids) {
+    const unique = new Set();
+    (Array.isArray(ids) ? ids : []).forEach(id => {
+      const value = id === null || id === undefined ? '' : String(id).trim();
+      if (value) unique.add(value);
+    });
+    return [...unique].slice(0, config.maxIds);
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Turn a shortlist into URL query parameters
+     * @param {Object} shortlist - { ids, title, note }
+     * @return {Object} - { ids, title, note } ready for Router.buildHash
+     */
+    toQuery: function(shortlist) {
+      return {
+        ids: encodeIds(cleanIds(shortlist.ids)),
+        title: cleanText(shortlist.title, config.maxTitleLength),
+        note: cleanText(shortlist.note, config.maxNoteLength)
+      };
+    },
+
+    /**
+     * Read a shortlist from URL query parameters
+     * @param {Object} query - Query parameters from Router.parse
+     * @return {Object|null} - { ids, title, note }, or null when there are no ids
+     */
+    fromQuery: function(query) {
+      const ids = cleanIds(decodeIds(query && query.ids));
+      if (ids.length === 0) return null;
+
+      return {
+        ids,
+        title: cleanText(query.title, config.maxTitleLength),
+        note: cleanText(query.note, config.maxNoteLength)
+      };
+    },
+
+    /**
+     * Show the banner describing the shortlist on screen
+     * @param {HTMLElement} before - Element the banner is inserted before
+     * @param {Object} options - Banner settings
+     * @param {Object} options.shortlist - { ids, title, note }
+     * @param {number} options.found - How many of the ids are in the loaded catalog
+     * @param {Function} [options.onExit] - Called when the visitor returns to the gallery
+     * @param {Function} [options.onSave] - Called when the visitor keeps it as a collection
+     * @return {Object} - Shortlist instance for chaining
+     */
+    showBanner: function(before, options) {
+      if (!before || !before.parentNode || !options || !options.shortlist) return this;
+
+      this.hideBanner();
+
+      const { shortlist, found } = options;
+      const missing = shortlist.ids.length - found;
+
+      banner = document.createElement('section');
+      banner.id = config.bannerId;
+      banner.className = 'shortlist-banner';
+      banner.setAttribute('aria-labelledby', 'shortlist-title');
+      banner.innerHTML = `
+        <h2 id="shortlist-title"></h2>
+        <p class="shortlist-note"></p>
+        <p class="shortlist-count"></p>
+        <div class="shortlist-actions">
+          <button type="button" class="filter-button shortlist-save">Save as collection</button>
+          <button type="button" class="filter-button filter-reset shortlist-exit">Show all artworks</button>
+        </div>
+      `;
+
+      // Visitor-supplied text goes in through textContent only
+      banner.querySelector('#shortlist-title').textContent = shortlist.title || 'Shared shortlist';
+      const note = banner.querySelector('.shortlist-note');
+      note.textContent = shortlist.note;
+      note.hidden = !shortlist.note;
+      banner.querySelector('.shortlist-count').textContent =
+        `${found} artwork${found === 1 ? '' : 's'}` +
+        (missing > 0 ? `; ${missing} not found in this catalog.` : '.');
+
+      const save = banner.querySelector('.shortlist-save');
+      save.hidden = typeof options.onSave !== 'function';
+      save.addEventListener('click', function() {
+        options.onSave(shortlist);
+        save.disabled = true;
+        save.textContent = 'Saved';
+      });
+      banner.querySelector('.shortlist-exit').addEventListener('click', function() {
+        if (typeof options.onExit === 'function') options.onExit();
+      });
+
+      before.parentNode.insertBefore(banner, before);
+      return this;
+    },
+
+    /**
+     * Remove the shortlist banner
+     * @return {Object} - Shortlist instance for chaining
+     */
+    hideBanner: function() {
+      if (banner && banner.parentNode) {
+        banner.parentNode.removeChild(banner);
+      }
+      banner = null;
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.Shortlist = Shortlist;
+} else {
+  window.Shortlist = Shortlist;
+}
+
+console.log('Shortlist module loaded');
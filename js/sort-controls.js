@@ -0,0 +1,266 @@
+/**
+ * Sort Controls Module
+ * "Sort by" and "Then by" dropdowns above the gallery. The order is kept as
+ * a compact spec such as "artist,-score" (a leading "-" sorts descending)
+ * that fits in the URL, is remembered through AppStorage and converts to
+ * the keys DataModel.sortArtworks expects.
+ * @version 1.0.0
+ */
+
+/* global AppStorage */
+
+const SortControls = (function() {
+  'use strict';
+
+  // Private variables
+  let container = null;
+  let changeListener = null;
+  let currentSpec = '';
+
+  // Configuration
+  const config = {
+    containerId: 'sort-controls',
+    storageKey: 'curated_collection_sort',
+    maxKeys: 2,
+    fields: [
+      { key: 'score', field: 'totalScore', label: 'Score', type: 'number', descendingFirst: true },
+      { key: 'price', field: 'price', label: 'Price', type: 'number' },
+      { key: 'title', field: 'title', label: 'Title', type: 'text' },
+      { key: 'artist', field: 'artist', label: 'Artist', type: 'text' },
+      { key: 'sort', field: 'id', label: 'Catalog number', type: 'number' }
+    ]
+  };
+
+  /**
+   * Find a sortable field by its spec key
+   * @private
+   * @param {string} key - Spec key, e.g. "score"
+   * @return {Object|undefined} - Field definition
+   */
+  const findField = function(key) {
+    return config.fields.find(field => field.key === key);
+  };
+
+  /**
+   * Split a spec into known, de-duplicated parts
+   * @private
+   * @param {string} spec - Spec such as "artist,-score"
+   * @return {Array} - [{ key, ascending }]
+   */
+  const parseSpec = function(spec) {
+    const seen = new Set();
+    return String(spec || '')
+      .split(',')
+      .map(part => part.trim())
+      .map(part => ({ key: part.replace(/^-/, ''), ascending: part.charAt(0) !== '-' }))
+      .filter(part => {
+        if (!findField(part.key) || seen.has(part.key)) return false;
+        seen.add(part.key);
+        return true;
+      })
+      .slice(0, config.maxKeys);
+  };
+
+  /**
+   * Join parsed parts back into a spec
+   * @private
+   * @param {Array} parts - [{ key, ascending }]
+   * @return {string} - Spec string, empty for the default order
+   */
+  const formatSpec = function(parts) {
+    return parts.map(part => (part.ascending ? '' : '-') + part.key).join(',');
+  };
+
+  /**
+   * Build the options shared by both dropdowns
+   * @private
+   * @param {string} emptyLabel - Label for the "no key" option
+   * @return {string} - Option markup
+   */
+  const buildOptions = function(emptyLabel) {
+    const options = [`<option value="">${emptyLabel}</option>`];
+
+    config.fields.forEach(field => {
+      const up = field.type === 'number' ? 'low to high' : 'A to Z';
+      const down = field.type === 'number' ? 'high to low' : 'Z to A';
+      const pair = [
+        `<option value="${field.key}">${field.label}, ${up}</option>`,
+        `<option value="-${field.key}">${field.label}, ${down}</option>`
+      ];
+      options.push(...(field.descendingFirst ? pair.reverse() : pair));
+    });
+
+    return options.join('');
+  };
+
+  /**
+   * Show the current spec in the dropdowns
+   * @private
+   */
+  const syncControls = function() {
+    if (!container) return;
+
+    const parts = parseSpec(currentSpec);
+    const primary = container.querySelector('#sort-primary');
+    const secondary = container.querySelector('#sort-secondary');
+
+    primary.value = parts[0] ? formatSpec([parts[0]]) : '';
+    secondary.value = parts[1] ? formatSpec([parts[1]]) : '';
+    secondary.disabled = parts.length === 0;
+  };
+
+  /**
+   * Read the dropdowns after the user changes one
+   * @private
+   */
+  const handleChange = function() {
+    const primary = container.querySelector('#sort-primary').value;
+    const secondary = container.querySelector('#sort-secondary').value;
+
+    publicApi.setSort(primary ? [primary, secondary].filter(Boolean).join(',') : '');
+  };
+
+  // Public API
+  const publicApi = {
+    /**
+     * Build the controls and insert them above the gallery
+     * @param {HTMLElement} galleryContainer - The #gallery-container element
+     * @param {Object} [options] - Optional settings
+     * @param {Function} [options.onChange] - Called with the new spec after a user change
+     * @param {HTMLElement} [options.before] - Element to insert before (defaults to the gallery)
+     * @param {string} [options.sort] - Initial spec
+     * @return {Object} - SortControls instance for chaining
+     */
+    init: function(galleryContainer, options = {}) {
+      const reference = options.before || galleryContainer;
+      if (!reference || !reference.parentNode) {
+        console.error('SortControls init failed: missing gallery container');
+        return this;
+      }
+
+      this.destroy();
+
+      changeListener = options.onChange || null;
+      currentSpec = this.normalize(options.sort);
+
+      container = document.createElement('div');
+      container.id = config.containerId;
+      container.className = 'sort-controls';
+      container.innerHTML = `
+        <label for="sort-primary">Sort by</label>
+        <select id="sort-primary" class="sort-select">${buildOptions('Default order')}</select>
+        <label for="sort-secondary">then by</label>
+        <select id="sort-secondary" class="sort-select">${buildOptions('Nothing else')}</select>
+      `;
+      container.addEventListener('change', handleChange);
+
+      reference.parentNode.insertBefore(container, reference);
+      syncControls();
+
+      return this;
+    },
+
+    /**
+     * Get the current spec
+     * @return {string} - Spec such as "artist,-score", empty for the default order
+     */
+    getSort: function() {
+      return currentSpec;
+    },
+
+    /**
+     * Change the order and update the controls
+     * @param {string} spec - New spec
+     * @param {boolean} [silent=false] - Skip remembering it and notifying the listener
+     * @return {Object} - SortControls instance for chaining
+     */
+    setSort: function(spec, silent = false) {
+      const normalized = this.normalize(spec);
+      const changed = normalized !== currentSpec;
+      currentSpec = normalized;
+      syncControls();
+
+      if (!silent && changed) {
+        this.savePreference(normalized);
+        if (typeof changeListener === 'function') {
+          try {
+            changeListener(normalized);
+          } catch (e) {
+            console.error('Error in sort change listener:', e);
+          }
+        }
+      }
+      return this;
+    },
+
+    /**
+     * Drop unknown and repeated keys from a spec
+     * @param {string} spec - Spec from the URL, storage or controls
+     * @return {string} - Canonical spec
+     */
+    normalize: function(spec) {
+      return formatSpec(parseSpec(spec));
+    },
+
+    /**
+     * Convert a spec to DataModel.sortArtworks keys
+     * @param {string} [spec] - Spec (defaults to the current one)
+     * @return {Array} - [{ field, ascending }], empty for the default order
+     */
+    toSortKeys: function(spec) {
+      return parseSpec(spec === undefined ? currentSpec : spec).map(part => ({
+        field: findField(part.key).field,
+        ascending: part.ascending
+      }));
+    },
+
+    /**
+     * Load the order chosen in an earlier visit
+     * @return {Promise<string>} - Stored spec, or an empty string
+     */
+    loadPreference: function() {
+      if (typeof AppStorage === 'undefined') return Promise.resolve('');
+
+      return AppStorage.load(config.storageKey)
+        .then(result => this.normalize(result && result.data))
+        .catch(() => '');
+    },
+
+    /**
+     * Remember an order for the next visit
+     * @param {string} spec - Spec to store
+     * @return {Promise} - Resolves when stored
+     */
+    savePreference: function(spec) {
+      if (typeof AppStorage === 'undefined') return Promise.resolve();
+
+      return AppStorage.save(config.storageKey, this.normalize(spec)).catch(error => {
+        console.warn('Could not save sort order:', error);
+      });
+    },
+
+    /**
+     * Remove the controls from the DOM
+     * @return {Object} - SortControls instance for chaining
+     */
+    destroy: function() {
+      if (container && container.parentNode) {
+        container.parentNode.removeChild(container);
+      }
+      container = null;
+      changeListener = null;
+      return this;
+    }
+  };
+
+  return publicApi;
+})();
+
+// Add to ArtGallery namespace if available, otherwise expose globally
+if (window.ArtGallery) {
+  window.ArtGallery.SortControls = SortControls;
+} else {
+  window.SortControls = SortControls;
+}
+
+console.log('SortControls module loaded');
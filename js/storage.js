@@ -2,7 +2,9 @@
  * Storage Manager Module
  * Provides an interface for managing local storage with progressive enhancement.
  * Uses localStorage → IndexedDB → memory fallback strategy.
- * @version 1.1.0
+ * Binary data (cached images) goes to its own IndexedDB store, since it
+ * can't round-trip through localStorage.
+ * @version 1.3.0
  */
  
 // Renamed from StorageManager to AppStorage to avoid global conflict
@@ -12,8 +14,9 @@ const AppStorage = (function() {
   // Configuration
   const config = {
     dbName: 'MVCAppDatabase',
-    dbVersion: 1,
+    dbVersion: 2,
     storeName: 'appData',
+    blobStoreName: 'blobs',
     keyPath: 'id'
   };
     
@@ -41,35 +44,72 @@ const AppStorage = (function() {
   // In-memory fallback when no persistent storage is available
   let memoryStorage = {};
     
+  // Shared IndexedDB connection, opened on first use
+  let databasePromise = null;
+    
   /**
      * Helper function to open IndexedDB connection
+     * The connection is opened once and reused. It is closed when another tab
+     * needs to upgrade the database, and reopened on the next operation.
      * @private
      * @returns {Promise} - Promise resolving to database connection
      */
   const openDatabase = function() {
-    return new Promise((resolve, reject) => {
+    if (databasePromise) return databasePromise;
+        
+    databasePromise = new Promise((resolve, reject) => {
       if (!isIndexedDBAvailable) {
         reject(new Error('IndexedDB is not available'));
         return;
       }
             
+      let settled = false;
       const request = indexedDB.open(config.dbName, config.dbVersion);
             
       request.onupgradeneeded = function(event) {
         const db = event.target.result;
-        if (!db.objectStoreNames.contains(config.storeName)) {
-          db.createObjectStore(config.storeName, { keyPath: config.keyPath });
-        }
+        [config.storeName, config.blobStoreName].forEach(storeName => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, { keyPath: config.keyPath });
+          }
+        });
       };
             
       request.onsuccess = function(event) {
-        resolve(event.target.result);
+        const db = event.target.result;
+                
+        // Gave up while blocked; don't keep a connection nobody uses
+        if (settled) {
+          db.close();
+          return;
+        }
+        settled = true;
+                
+        // Let another tab upgrade the database instead of blocking it
+        db.onversionchange = function() {
+          db.close();
+          databasePromise = null;
+        };
+        db.onclose = function() {
+          databasePromise = null;
+        };
+        resolve(db);
+      };
+            
+      request.onblocked = function() {
+        // An older tab holds the database open; fall back until it closes
+        settled = true;
+        databasePromise = null;
+        reject(new Error('Database upgrade blocked by another open tab'));
       };
             
       request.onerror = function(event) {
+        settled = true;
+        databasePromise = null;
         reject(new Error(`Failed to open database: ${event.target.error}`));
       };
     });
+    return databasePromise;
   };
     
   /**
@@ -77,14 +117,15 @@ const AppStorage = (function() {
      * @private
      * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
      * @param {Function} callback - Callback to execute with store object
+     * @param {string} [storeName] - Object store to use (defaults to the app data store)
      * @returns {Promise} - Promise resolving to operation result
      */
-  const performDatabaseOperation = function(mode, callback) {
+  const performDatabaseOperation = function(mode, callback, storeName = config.storeName) {
     return openDatabase()
       .then(db => {
         return new Promise((resolve, reject) => {
-          const transaction = db.transaction([config.storeName], mode);
-          const store = transaction.objectStore(config.storeName);
+          const transaction = db.transaction([storeName], mode);
+          const store = transaction.objectStore(storeName);
                     
           // Execute the callback with the store object
           try {
@@ -93,15 +134,14 @@ const AppStorage = (function() {
             reject(e);
           }
                     
-          // Handle transaction completion
-          transaction.oncomplete = function() {
-            db.close();
-          };
-                    
           // Handle transaction errors
           transaction.onerror = function(event) {
             reject(event.target.error);
-            db.close();
+          };
+                    
+          // Quota errors abort the transaction without a request error
+          transaction.onabort = function() {
+            reject(transaction.error || new Error('Transaction aborted'));
           };
         });
       })
@@ -326,6 +366,140 @@ const AppStorage = (function() {
                 
         resolve({ success: true });
       });
+    },
+        
+    /**
+         * Whether blobs can be stored (IndexedDB only; there is no fallback)
+         * @return {boolean} - True when IndexedDB is available
+         */
+    canStoreBlobs: function() {
+      return isIndexedDBAvailable;
+    },
+        
+    /**
+         * Store a blob with metadata in IndexedDB
+         * @param {string} key - Blob key
+         * @param {Blob} blob - Data to store
+         * @param {Object} [meta] - Extra fields kept with the blob (e.g. lastUsed)
+         * @return {Promise} - Resolves when stored; rejects on quota or IndexedDB errors
+         */
+    saveBlob: function(key, blob, meta = {}) {
+      return performDatabaseOperation('readwrite', (store, opResolve, opReject) => {
+        const storeRequest = store.put({ ...meta, id: key, blob: blob, size: blob.size, type: blob.type });
+                
+        storeRequest.onsuccess = function() {
+          opResolve({ id: key, success: true });
+        };
+                
+        storeRequest.onerror = function(event) {
+          opReject(event.target.error);
+        };
+      }, config.blobStoreName);
+    },
+        
+    /**
+         * Load a stored blob record
+         * @param {string} key - Blob key
+         * @return {Promise} - Resolves with { id, blob, size, type, ... } or null
+         */
+    loadBlob: function(key) {
+      return performDatabaseOperation('readonly', (store, opResolve, opReject) => {
+        const storeRequest = store.get(key);
+                
+        storeRequest.onsuccess = function() {
+          opResolve(storeRequest.result || null);
+        };
+                
+        storeRequest.onerror = function(event) {
+          opReject(event.target.error);
+        };
+      }, config.blobStoreName);
+    },
+        
+    /**
+         * Update the metadata of a stored blob without touching the blob
+         * @param {string} key - Blob key
+         * @param {Object} changes - Fields to merge into the record
+         * @return {Promise} - Resolves with true, or false if the key is not stored
+         */
+    updateBlob: function(key, changes) {
+      return performDatabaseOperation('readwrite', (store, opResolve, opReject) => {
+        const getRequest = store.get(key);
+                
+        getRequest.onsuccess = function() {
+          if (!getRequest.result) {
+            opResolve(false);
+            return;
+          }
+          const putRequest = store.put({ ...getRequest.result, ...changes, id: key });
+          putRequest.onsuccess = function() {
+            opResolve(true);
+          };
+          putRequest.onerror = function(event) {
+            opReject(event.target.error);
+          };
+        };
+                
+        getRequest.onerror = function(event) {
+          opReject(event.target.error);
+        };
+      }, config.blobStoreName);
+    },
+        
+    /**
+         * List stored blobs without reading their data
+         * @return {Promise} - Resolves with [{ id, size, ...meta }]
+         */
+    listBlobs: function() {
+      return performDatabaseOperation('readonly', (store, opResolve, opReject) => {
+        const entries = [];
+        const cursorRequest = store.openCursor();
+                
+        cursorRequest.onsuccess = function() {
+          const cursor = cursorRequest.result;
+          if (!cursor) {
+            opResolve(entries);
+            return;
+          }
+          const { blob: _blob, ...entry } = cursor.value;
+          entries.push(entry);
+          cursor.continue();
+        };
+                
+        cursorRequest.onerror = function(event) {
+          opReject(event.target.error);
+        };
+      }, config.blobStoreName);
+    },
+        
+    /**
+         * Delete stored blobs
+         * @param {Array} keys - Blob keys to delete
+         * @return {Promise} - Resolves when deleted
+         */
+    removeBlobs: function(keys) {
+      return performDatabaseOperation('readwrite', (store, opResolve) => {
+        keys.forEach(key => store.delete(key));
+        store.transaction.addEventListener('complete', () => opResolve(true));
+      }, config.blobStoreName);
+    },
+        
+    /**
+         * Delete every stored blob
+         * @return {Promise} - Resolves when cleared
+         */
+    clearBlobs: function() {
+      return performDatabaseOperation('readwrite', (store, opResolve, opReject) => {
+        const storeRequest = store.clear();
+                
+        storeRequest.onsuccess = function() {
+          opResolve(true);
+        };
+                
+        storeRequest.onerror = function(event) {
+          opReject(event.target.error);
+        };
+      }, config.blobStoreName);
     }
   };
 })();
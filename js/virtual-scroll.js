@@ -1,57 +1,92 @@
 /**
- * VirtualScroll - Efficient image gallery rendering with infinite scrolling
+ * VirtualScroll - Efficient image gallery rendering with windowed virtualization
  * 
  * This module handles large datasets by:
- * - Loading images in batches as the user scrolls
- * - Using a flexbox layout with configurable element dimensions
+ * - Keeping only the visible rows plus a buffer of rows in the DOM
+ * - Preserving the full scroll height with top and bottom spacer elements
+ * - Computing row geometry from itemWidth/itemHeight and the container width
+ * - Recycling tile elements as they scroll out of the window
  * - Leveraging the ImageHandler module for optimized image loading
- * - Managing scroll events with throttling
+ * - Showing a blurred placeholder per tile that cross-fades to the image once loaded
+ * - Captioning tiles in one of four modes (hidden, hover, always, detailed),
+ *   with a per-tile caption toggle handled by the container's delegated listener
  * 
  * Performance optimizations include:
  * - Minimizing DOM operations with document fragments
  * - Using placeholder images during loading
- * - Preventing multiple simultaneous batch loads
+ * - Coalescing scroll and resize work into one animation frame
  */
 
 // Renamed to GalleryScroll to avoid conflict with built-in VirtualScroll
 const GalleryScroll = (function() {
   // Private variables
   let container = null;
+  let topSpacer = null;
+  let bottomSpacer = null;
   let allItems = [];
-  let loadedCount = 0;
   let isScrollListenerActive = false;
-  let isLoading = false; // Prevent multiple simultaneous loads
+  let frameRequest = null;
+  let boundContainer = null; // Container that has the delegated listeners
+    
+  // Rendered window state
+  let renderedStart = 0;
+  let renderedEnd = 0;
+  let renderedNodes = new Map(); // item index -> element
+  let recyclePool = [];
+  let columns = 1;
+  const openCaptions = new Set(); // Artwork ids whose caption was opened on the tile
+    
+  // Placeholder shown until the real image loads
+  const PLACEHOLDER_SRC = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAzIDIiPjxyZWN0IHdpZHRoPSIzIiBoZWlnaHQ9IjIiIGZpbGw9IiNlZWUiLz48L3N2Zz4=';
     
   // Configuration with configurable dimensions
   const config = {
-    initialItems: 40,
-    batchSize: 40,
-    scrollThreshold: 400,
-    maxItems: Infinity,
+    bufferRows: 3, // Rows rendered above and below the viewport
+    maxPoolSize: 60, // Detached tiles kept for reuse
     itemWidth: 220,  // Configurable width
     itemHeight: 240, // Configurable height
-    useImageHandler: true // Toggle to use ImageHandler module
+    gap: 8, // Space between tiles, horizontally and vertically
+    useImageHandler: true, // Toggle to use ImageHandler module
+    onItemSelect: null, // Called with (artwork, index) when a tile is activated
+    decorateItem: null, // Called with (element, artwork, index) after a tile is bound, to add controls
+    srcsetFor: null, // Optional function(artwork) returning a srcset of sized variants
+    placeholderFor: null, // Optional function(artwork) returning a blurred preview URL shown while loading
+    captionMode: 'hover' // 'hidden', 'hover', 'always' or 'detailed'
   };
     
+  // Caption modes in the order offered to visitors
+  const CAPTION_MODES = ['hidden', 'hover', 'always', 'detailed'];
+    
   /**
      * Add the required CSS styles to the document
      * @private
      */
   function injectStyles() {
-    if (document.getElementById('virtual-scroll-styles')) return;
+    let styleEl = document.getElementById('virtual-scroll-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'virtual-scroll-styles';
+      document.head.appendChild(styleEl);
+    }
         
-    const styleEl = document.createElement('style');
-    styleEl.id = 'virtual-scroll-styles';
+    // Rewritten on every call so dimension changes take effect
     styleEl.textContent = `
             .vs-container {
                 display: flex;
                 flex-wrap: wrap;
-                gap: 8px;
+                gap: ${config.gap}px;
                 padding: 0;
                 margin: 0;
             }
             
+            .vs-spacer {
+                flex: 0 0 100%;
+                margin: 0;
+                padding: 0;
+            }
+            
             .vs-artwork {
+                position: relative;
                 flex: 0 0 ${config.itemWidth}px;
                 height: ${config.itemHeight}px;
                 margin: 0;
@@ -76,9 +111,113 @@ const GalleryScroll = (function() {
                 max-height: 100%;
                 object-fit: contain;
             }
+            
+            .vs-image-container.vs-has-preview {
+                background-position: center;
+                background-size: contain;
+                background-repeat: no-repeat;
+            }
+            
+            .vs-has-preview .vs-artwork-image {
+                transition: opacity 0.3s ease;
+            }
+            
+            .vs-has-preview .vs-artwork-image.vs-image-pending {
+                opacity: 0;
+            }
+            
+            @media (prefers-reduced-motion: reduce) {
+                .vs-has-preview .vs-artwork-image {
+                    transition: none;
+                }
+            }
+            
+            .vs-caption {
+                position: absolute;
+                right: 0;
+                bottom: 0;
+                left: 0;
+                max-height: 100%;
+                overflow: hidden;
+                padding: 6px 8px;
+                background: rgba(255,255,255,0.92);
+                font-size: 0.8rem;
+                line-height: 1.3;
+                text-align: left;
+                opacity: 0;
+                transition: opacity 0.15s ease;
+                pointer-events: none;
+            }
+            
+            .vs-caption-title {
+                margin: 0;
+                font-weight: bold;
+                white-space: nowrap;
+                overflow: hidden;
+                text-overflow: ellipsis;
+            }
+            
+            .vs-caption-artist,
+            .vs-caption-details {
+                margin: 0;
+                color: #555;
+            }
+            
+            .vs-caption-details {
+                display: none;
+                margin-top: 2px;
+            }
+            
+            .vs-caption-toggle {
+                position: absolute;
+                top: 4px;
+                left: 4px;
+                width: 1.75rem;
+                height: 1.75rem;
+                border: none;
+                border-radius: 50%;
+                background: rgba(255,255,255,0.85);
+                font: italic bold 0.9rem Georgia, serif;
+                cursor: pointer;
+            }
+            
+            .vs-caption-toggle:hover,
+            .vs-caption-toggle:focus-visible {
+                background: #fff;
+                outline: 2px solid #3498db;
+            }
+            
+            .vs-captions-hidden .vs-caption-toggle {
+                opacity: 0.6;
+            }
+            
+            .vs-captions-hover .vs-artwork:hover .vs-caption,
+            .vs-captions-hover .vs-artwork:focus-within .vs-caption,
+            .vs-captions-always .vs-caption,
+            .vs-captions-detailed .vs-caption,
+            .vs-artwork.vs-caption-open .vs-caption {
+                opacity: 1;
+            }
+            
+            .vs-captions-detailed .vs-caption-details,
+            .vs-artwork.vs-caption-open .vs-caption-details {
+                display: block;
+            }
         `;
-        
-    document.head.appendChild(styleEl);
+  }
+    
+  /**
+     * Create a spacer element that stands in for off-screen rows
+     * @private
+     * @param {string} position - 'top' or 'bottom'
+     * @return {HTMLElement} - Spacer element
+     */
+  function createSpacer(position) {
+    const spacer = document.createElement('div');
+    spacer.className = `vs-spacer vs-spacer-${position}`;
+    spacer.setAttribute('aria-hidden', 'true');
+    spacer.style.display = 'none';
+    return spacer;
   }
     
   /**
@@ -102,85 +241,344 @@ const GalleryScroll = (function() {
     // Inject styles with updated config dimensions
     injectStyles();
         
-    // Store references
+    // Store references, dropping loads for tiles from a previous init
+    renderedNodes.forEach(cancelImage);
     container = containerEl;
     allItems = items;
-    loadedCount = 0;
+    renderedStart = 0;
+    renderedEnd = 0;
+    renderedNodes = new Map();
         
     // Reset container
     container.innerHTML = '';
         
-    // Apply container class
-    container.className = container.className + ' vs-container';
+    // Apply container classes (init may run again with a new item set)
+    container.classList.add('vs-container');
+    applyCaptionMode();
+        
+    // Spacers bracket the rendered window
+    topSpacer = createSpacer('top');
+    bottomSpacer = createSpacer('bottom');
+    container.appendChild(topSpacer);
+    container.appendChild(bottomSpacer);
+        
+    // One delegated listener pair per container, however many tiles
+    if (boundContainer !== container) {
+      if (boundContainer) {
+        boundContainer.removeEventListener('click', handleItemActivate);
+        boundContainer.removeEventListener('keydown', handleItemActivate);
+      }
+      container.addEventListener('click', handleItemActivate);
+      container.addEventListener('keydown', handleItemActivate);
+      boundContainer = container;
+    }
         
-    // Render initial batch of items
-    loadMoreItems();
+    // Render the rows in view
+    updateWindow();
         
-    // Set up scroll event listener
+    // Set up scroll and resize listeners
     if (!isScrollListenerActive) {
-      window.addEventListener('scroll', checkScrollPosition);
+      window.addEventListener('scroll', checkScrollPosition, { passive: true });
+      window.addEventListener('resize', checkScrollPosition);
       isScrollListenerActive = true;
-      console.log('Scroll listener activated for infinite loading');
+      console.log('Scroll listener activated for windowed rendering');
     }
         
     return true;
   }
     
   /**
-     * Load more items when scrolling
+     * Delegated click / Enter / Space handler for tiles
      * @private
+     * @param {Event} e - Click or keydown event
      */
-  function loadMoreItems() {
-    // Don't try to load if we're already loading
-    if (isLoading) return;
+  function handleItemActivate(e) {
+    if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+        
+    const element = e.target.closest('.vs-artwork');
+    if (!element || !container.contains(element)) return;
         
-    // Don't load more if we've loaded all items
-    if (loadedCount >= allItems.length) {
-      console.log('All items loaded:', loadedCount, 'of', allItems.length);
+    // Enter and Space on the caption toggle arrive here as its click
+    if (e.type === 'click' && e.target.closest('.vs-caption-toggle')) {
+      toggleCaption(element);
       return;
     }
         
-    // Set loading flag
-    isLoading = true;
+    if (typeof config.onItemSelect !== 'function') return;
         
-    const endIndex = Math.min(loadedCount + config.batchSize, allItems.length);
-    console.log(`Loading more items: ${loadedCount} to ${endIndex-1} (${endIndex-loadedCount} items)`);
+    // Keydowns from controls inside the tile are theirs to handle, and so are their clicks
+    if (e.type === 'keydown' && e.target !== element) return;
+    if (e.target !== element && e.target.closest('button, a, input, select')) return;
         
-    const fragment = document.createDocumentFragment();
+    const index = parseInt(element.getAttribute('data-index'), 10);
+    const artwork = allItems[index];
+    if (!artwork) return;
         
-    for (let i = loadedCount; i < endIndex; i++) {
-      const artwork = allItems[i];
-      const element = renderItem(artwork, i);
-      fragment.appendChild(element);
+    e.preventDefault();
+    config.onItemSelect(artwork, index);
+  }
+    
+  /**
+     * Open or close one tile's full caption
+     * @private
+     * @param {HTMLElement} element - Tile element
+     */
+  function toggleCaption(element) {
+    const id = element.getAttribute('data-id');
+    if (openCaptions.has(id)) {
+      openCaptions.delete(id);
+    } else {
+      openCaptions.add(id);
     }
+    syncCaptionToggle(element);
+  }
+    
+  /**
+     * Reflect a tile's caption state in its class and toggle button
+     * @private
+     * @param {HTMLElement} element - Tile element
+     */
+  function syncCaptionToggle(element) {
+    const open = openCaptions.has(element.getAttribute('data-id'));
+    element.classList.toggle('vs-caption-open', open);
+    const toggle = element.querySelector('.vs-caption-toggle');
+    if (toggle) {
+      toggle.setAttribute('aria-expanded', String(open));
+    }
+  }
+    
+  /**
+     * Put the current caption mode class on the container
+     * @private
+     */
+  function applyCaptionMode() {
+    if (!container) return;
+    CAPTION_MODES.forEach(mode => {
+      container.classList.toggle(`vs-captions-${mode}`, mode === config.captionMode);
+    });
+  }
+    
+  /**
+     * Compute the number of columns that fit in the container
+     * @private
+     * @return {number} - Column count (at least 1)
+     */
+  function computeColumns() {
+    const style = window.getComputedStyle(container);
+    const width = container.clientWidth -
+      (parseFloat(style.paddingLeft) || 0) -
+      (parseFloat(style.paddingRight) || 0);
         
-    container.appendChild(fragment);
-    loadedCount = endIndex;
+    return Math.max(1, Math.floor((width + config.gap) / (config.itemWidth + config.gap)));
+  }
+    
+  /**
+     * Set a spacer's height to cover a number of rows
+     * @private
+     * @param {HTMLElement} spacer - Spacer element
+     * @param {number} rows - Number of rows it replaces
+     */
+  function sizeSpacer(spacer, rows) {
+    if (rows <= 0) {
+      spacer.style.display = 'none';
+      return;
+    }
+        
+    // The spacer sits on its own flex line, so the container gap after it
+    // already accounts for one row gap
+    spacer.style.display = '';
+    spacer.style.height = `${rows * (config.itemHeight + config.gap) - config.gap}px`;
+  }
+    
+  /**
+     * Render the rows intersecting the viewport plus the buffer
+     * @private
+     */
+  function updateWindow() {
+    frameRequest = null;
+    if (!container || !allItems.length) return;
         
-    console.log(`Now showing ${loadedCount} of ${allItems.length} items`);
+    columns = computeColumns();
+    const rowStride = config.itemHeight + config.gap;
+    const totalRows = Math.ceil(allItems.length / columns);
         
-    // Clear loading flag
-    isLoading = false;
+    // Viewport position relative to the top of the container
+    const containerTop = container.getBoundingClientRect().top;
+    const viewTop = Math.max(0, -containerTop);
+    const viewBottom = Math.max(0, window.innerHeight - containerTop);
         
-    // Immediately check if we need to load more (in case the page is still not filled)
-    if (document.body.offsetHeight <= window.innerHeight && loadedCount < allItems.length) {
-      console.log('Page not filled, loading more items immediately');
-      setTimeout(loadMoreItems, 100);
+    const firstRow = Math.max(0, Math.floor(viewTop / rowStride) - config.bufferRows);
+    const lastRow = Math.min(totalRows - 1, Math.floor(viewBottom / rowStride) + config.bufferRows);
+        
+    const start = firstRow * columns;
+    const end = Math.min(allItems.length, (lastRow + 1) * columns);
+        
+    if (start === renderedStart && end === renderedEnd && renderedNodes.size > 0) {
+      return;
+    }
+        
+    // Release tiles that left the window
+    renderedNodes.forEach((element, index) => {
+      if (index < start || index >= end) {
+        releaseItem(element);
+        renderedNodes.delete(index);
+      }
+    });
+        
+    // Add tiles that entered the window, in index order
+    const fragment = document.createDocumentFragment();
+    for (let i = start; i < end; i++) {
+      let element = renderedNodes.get(i);
+      if (!element) {
+        element = recyclePool.pop() || createItem();
+        bindItem(element, allItems[i], i);
+        renderedNodes.set(i, element);
+      }
+      fragment.appendChild(element);
     }
+        
+    container.insertBefore(fragment, bottomSpacer);
+        
+    sizeSpacer(topSpacer, firstRow);
+    sizeSpacer(bottomSpacer, totalRows - 1 - lastRow);
+        
+    renderedStart = start;
+    renderedEnd = end;
   }
     
   /**
-     * Create a single artwork element
+     * Detach a tile and keep it for reuse
      * @private
-     * @param {Object} artwork - Artwork data
-     * @param {number} index - Item index
-     * @return {HTMLElement} - Rendered element
+     * @param {HTMLElement} element - Tile element
      */
-  function renderItem(artwork, index) {
+  function releaseItem(element) {
+    cancelImage(element);
+    if (element.parentNode) {
+      element.parentNode.removeChild(element);
+    }
+    if (recyclePool.length < config.maxPoolSize) {
+      recyclePool.push(element);
+    }
+  }
+    
+  /**
+     * Create an empty tile element
+     * @private
+     * @return {HTMLElement} - Tile element with image container
+     */
+  function createItem() {
     const element = document.createElement('div');
     element.className = 'vs-artwork';
+        
+    const imgContainer = document.createElement('div');
+    imgContainer.className = 'vs-image-container';
+    element.appendChild(imgContainer);
+        
+    const caption = document.createElement('div');
+    caption.className = 'vs-caption';
+    caption.setAttribute('aria-hidden', 'true'); // The tile's aria-label already names the work
+    caption.innerHTML = `
+      <p class="vs-caption-title"></p>
+      <p class="vs-caption-artist"></p>
+      <p class="vs-caption-details"></p>
+    `;
+    element.appendChild(caption);
+        
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'vs-caption-toggle';
+    toggle.textContent = 'i';
+    element.appendChild(toggle);
+        
+    return element;
+  }
+    
+  /**
+     * Fill a new or recycled tile with an artwork
+     * @private
+     * @param {HTMLElement} element - Tile element
+     * @param {Object} artwork - Artwork data
+     * @param {number} index - Item index
+     */
+  function bindItem(element, artwork, index) {
     element.setAttribute('data-id', artwork.id || `art-${index}`);
+    element.setAttribute('data-index', index);
+    element.setAttribute('tabindex', '0');
+    element.setAttribute('role', 'button');
+    element.setAttribute('aria-label', `${artwork.title || 'Untitled'} by ${artwork.artist || 'Unknown Artist'}`);
         
+    // Replace the image so no load state carries over from a previous artwork
+    cancelImage(element);
+    const imgContainer = element.querySelector('.vs-image-container');
+    imgContainer.innerHTML = '';
+    const img = renderImage(artwork, index);
+    renderPreview(imgContainer, img, artwork);
+    imgContainer.appendChild(img);
+        
+    renderCaption(element, artwork);
+        
+    if (typeof config.decorateItem === 'function') {
+      try {
+        config.decorateItem(element, artwork, index);
+      } catch (e) {
+        console.error('Error decorating tile:', e);
+      }
+    }
+  }
+    
+  /**
+     * Fill a tile's caption and its toggle
+     * @private
+     * @param {HTMLElement} element - Tile element
+     * @param {Object} artwork - Artwork data
+     */
+  function renderCaption(element, artwork) {
+    const title = artwork.title || 'Untitled';
+    element.querySelector('.vs-caption-title').textContent = title;
+    element.querySelector('.vs-caption-artist').textContent = artwork.artist || 'Unknown Artist';
+    element.querySelector('.vs-caption-details').textContent = [artwork.technique, artwork.size, artwork.price]
+      .filter(Boolean)
+      .join(' · ');
+        
+    const toggle = element.querySelector('.vs-caption-toggle');
+    toggle.setAttribute('aria-label', `Caption for ${title}`);
+    syncCaptionToggle(element);
+  }
+    
+  /**
+     * Show a blurred preview behind a tile's image until the image has loaded
+     * @private
+     * @param {HTMLElement} imgContainer - The tile's image container
+     * @param {HTMLImageElement} img - The tile's image, not yet loaded
+     * @param {Object} artwork - Artwork data
+     */
+  function renderPreview(imgContainer, img, artwork) {
+    const preview = typeof config.placeholderFor === 'function' ? config.placeholderFor(artwork) : '';
+        
+    // Recycled containers may still carry the previous artwork's preview
+    imgContainer.classList.toggle('vs-has-preview', Boolean(preview));
+    imgContainer.style.backgroundImage = preview ? `url("${preview}")` : '';
+    if (!preview) return;
+        
+    // The image stays transparent over the preview, then fades in
+    img.classList.add('vs-image-pending');
+    const reveal = function() {
+      img.classList.remove('vs-image-pending');
+      img.removeEventListener('imageLoaded', reveal);
+      img.removeEventListener('imageLoadError', reveal);
+    };
+    img.addEventListener('imageLoaded', reveal);
+    img.addEventListener('imageLoadError', reveal);
+  }
+    
+  /**
+     * Create the image element for an artwork
+     * @private
+     * @param {Object} artwork - Artwork data
+     * @param {number} index - Item index
+     * @return {HTMLImageElement} - Image element
+     */
+  function renderImage(artwork, index) {
     // Process image path
     let imagePath = '';
     if (artwork.imagePath) {
@@ -194,37 +592,38 @@ const GalleryScroll = (function() {
       }
     }
         
-    // Image container
-    const imgContainer = document.createElement('div');
-    imgContainer.className = 'vs-image-container';
-        
     // Image element
     const img = document.createElement('img');
     img.className = 'vs-artwork-image';
     img.setAttribute('alt', artwork.title || 'Artwork');
+    img.setAttribute('data-src', imagePath);
         
-    if (config.useImageHandler && window.ArtGallery && window.ArtGallery.ImageHandler) {
-      // Use ImageHandler for optimized loading
-      img.setAttribute('data-src', imagePath);
-            
-      // Set a tiny placeholder SVG
-      img.src = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAzIDIiPjxyZWN0IHdpZHRoPSIzIiBoZWlnaHQ9IjIiIGZpbGw9IiNlZWUiLz48L3N2Zz4=';
-            
-      // Use staggered loading to prevent network congestion
-      setTimeout(() => {
-        if (window.ArtGallery.ImageHandler.lazyLoadImage) {
-          window.ArtGallery.ImageHandler.lazyLoadImage(img);
-        }
-      }, 100 + (index % 10) * 100);
+    // Sized variants; ImageHandler picks one for the tile width, or the browser does
+    const srcset = typeof config.srcsetFor === 'function' ? config.srcsetFor(artwork) : '';
+    if (srcset) {
+      img.setAttribute('sizes', `${config.itemWidth}px`);
+      img.setAttribute('data-srcset', srcset);
+    }
+        
+    // Set a tiny placeholder SVG
+    img.src = PLACEHOLDER_SRC;
+        
+    const imageHandler = getImageHandler();
+    if (imageHandler) {
+      // ImageHandler's queue loads it once in view, nearest the viewport first
+      imageHandler.lazyLoadImage(img);
     } else {
       // Fallback to simple lazy loading if ImageHandler not available
-      img.setAttribute('data-src', imagePath);
-      img.src = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAzIDIiPjxyZWN0IHdpZHRoPSIzIiBoZWlnaHQ9IjIiIGZpbGw9IiNlZWUiLz48L3N2Zz4=';
-            
-      // Implement simple lazy loading
       const loadImage = function() {
+        // Skip tiles that were scrolled away before the timer fired
         const dataSrc = img.getAttribute('data-src');
-        if (dataSrc) {
+        if (dataSrc && img.isConnected) {
+          // Raise the same events as ImageHandler so the preview fades out either way
+          img.addEventListener('load', () => img.dispatchEvent(new CustomEvent('imageLoaded')), { once: true });
+          img.addEventListener('error', () => img.dispatchEvent(new CustomEvent('imageLoadError')), { once: true });
+          if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+          }
           img.src = dataSrc;
         }
       };
@@ -233,32 +632,39 @@ const GalleryScroll = (function() {
       setTimeout(loadImage, 100 + (index % 10) * 100);
     }
         
-    // Build DOM structure
-    imgContainer.appendChild(img);
-    element.appendChild(imgContainer);
-        
-    return element;
+    return img;
   }
     
   /**
-     * Check if we need to load more items based on scroll position
+     * ImageHandler, when enabled and loaded
      * @private
+     * @return {Object|null} - ImageHandler module
      */
-  function checkScrollPosition() {
-    if (loadedCount >= allItems.length) {
-      // We've loaded all items, remove the listener
-      window.removeEventListener('scroll', checkScrollPosition);
-      isScrollListenerActive = false;
-      return;
+  function getImageHandler() {
+    if (!config.useImageHandler) return null;
+    return (window.ArtGallery && window.ArtGallery.ImageHandler) || window.ImageHandler || null;
+  }
+    
+  /**
+     * Stop any pending load for a tile's image before it is removed or reused
+     * @private
+     * @param {HTMLElement} element - Tile element
+     */
+  function cancelImage(element) {
+    const imageHandler = getImageHandler();
+    const img = element.querySelector('.vs-artwork-image');
+    if (imageHandler && img && typeof imageHandler.cancel === 'function') {
+      imageHandler.cancel(img);
     }
-        
-    const scrollPosition = window.innerHeight + window.scrollY;
-    const contentHeight = document.body.offsetHeight;
-        
-    // Load more when we're near the bottom
-    if (contentHeight - scrollPosition < config.scrollThreshold) {
-      console.log('Near bottom of page, loading more items');
-      loadMoreItems();
+  }
+    
+  /**
+     * Schedule a window update for the next animation frame
+     * @private
+     */
+  function checkScrollPosition() {
+    if (frameRequest === null) {
+      frameRequest = window.requestAnimationFrame(updateWindow);
     }
   }
     
@@ -271,14 +677,55 @@ const GalleryScroll = (function() {
   function configure(newConfig) {
     Object.assign(config, newConfig);
         
-    // If dimensions changed, update the CSS
-    if (newConfig.itemWidth || newConfig.itemHeight) {
+    if (newConfig.captionMode !== undefined) {
+      applyCaptionMode();
+    }
+        
+    // If dimensions changed, update the CSS and the row geometry
+    if (newConfig.itemWidth || newConfig.itemHeight || newConfig.gap !== undefined) {
       injectStyles();
+      renderedEnd = -1; // Force a re-render on the next update
+      checkScrollPosition();
     }
         
     return GalleryScroll; // For chaining
   }
     
+  /**
+     * Stop infinite loading and drop item references
+     * @public
+     */
+  function destroy() {
+    if (boundContainer) {
+      boundContainer.removeEventListener('click', handleItemActivate);
+      boundContainer.removeEventListener('keydown', handleItemActivate);
+      boundContainer = null;
+    }
+    window.removeEventListener('scroll', checkScrollPosition);
+    window.removeEventListener('resize', checkScrollPosition);
+    isScrollListenerActive = false;
+    if (frameRequest !== null) {
+      window.cancelAnimationFrame(frameRequest);
+      frameRequest = null;
+    }
+    renderedNodes.forEach(cancelImage);
+    allItems = [];
+    renderedNodes = new Map();
+    recyclePool = [];
+    renderedStart = 0;
+    renderedEnd = 0;
+  }
+    
+  /**
+     * Change how captions show on every tile
+     * @public
+     * @param {string} mode - 'hidden', 'hover', 'always' or 'detailed'
+     * @return {Object} - The VirtualScroll module for chaining
+     */
+  function setCaptionMode(mode) {
+    return configure({ captionMode: CAPTION_MODES.includes(mode) ? mode : 'hover' });
+  }
+    
   /**
      * Get current configuration
      * @public
@@ -291,11 +738,13 @@ const GalleryScroll = (function() {
   // Public API
   return {
     init: init,
-    loadMore: loadMoreItems,
+    loadMore: updateWindow,
     checkScroll: checkScrollPosition,
-    forceLoad: loadMoreItems,
+    forceLoad: updateWindow,
     configure: configure,
-    getConfig: getConfig
+    getConfig: getConfig,
+    setCaptionMode: setCaptionMode,
+    destroy: destroy
   };
 })();
 
@@ -0,0 +1,430 @@
+/**
+ * Service Worker
+ * Precaches the app shell and catalog, and keeps artwork images from
+ * images_scraped/ in a size-bounded LRU cache so the gallery works at
+ * venues without a reliable network.
+ *
+ * Lives at the site root so its scope covers index.html and images_scraped/.
+ * @version 1.1.0
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `cc-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = 'cc-images';
+const META_CACHE = 'cc-meta';
+const LRU_INDEX_KEY = './__image-lru-index__';
+
+// App shell and catalog, cached on install
+const ASSETS_TO_CACHE = [
+  './',
+  './index.html',
+  './manifest.json',
+  './css/styles.css',
+  './css/loading-states.css',
+  './js/libs/papaparse.min.js',
+  './js/constants.js',
+  './js/failsafe.js',
+  './js/storage.js',
+  './js/artwork-schema.js',
+  './js/catalog-registry.js',
+  './js/format-adapters.js',
+  './js/data-loader.js',
+  './js/dataModel.js',
+  './js/filter-panel.js',
+  './js/sort-controls.js',
+  './js/caption-controls.js',
+  './js/collections.js',
+  './js/collections-panel.js',
+  './js/shortlist.js',
+  './js/print-catalog.js',
+  './js/catalog-export.js',
+  './js/search-index.js',
+  './js/artwork-modal.js',
+  './js/frame-preview.js',
+  './js/router.js',
+  './js/offline-manager.js',
+  './js/blurhash.js',
+  './js/image-variants.js',
+  './js/image-cache.js',
+  './js/image-handler.js',
+  './js/controller.js',
+  './js/component.js',
+  './js/virtual-scroll.js',
+  './data/filtered.csv',
+  './data/image-variants.json',
+  './images/placeholder.svg',
+  './icons/icon-192x192.svg',
+  './icons/icon-512x512.svg'
+];
+
+// Image cache bounds; least recently used images are evicted first
+const IMAGE_CACHE_LIMITS = {
+  maxEntries: 3000,
+  maxBytes: 300 * 1024 * 1024 // 300 MB
+};
+
+// Parallel downloads when making a selection available offline
+const BULK_CONCURRENCY = 4;
+
+// Delay before writing the LRU index after a cache hit, so a scroll's hits share one write
+const INDEX_SAVE_DELAY = 2000; // ms
+
+// Promise of the url -> { size, lastUsed } Map persisted in META_CACHE
+let lruIndexLoading = null;
+
+// Pending debounced index write
+let saveTimer = null;
+let pendingSave = null;
+
+/**
+ * Normalize an images_scraped URL so differently-encoded requests share a key
+ * @param {string} url - Absolute image URL
+ * @return {string} - Normalized URL
+ */
+function normalizeImageUrl(url) {
+  const parsed = new URL(url);
+  const parts = parsed.pathname.split('/');
+  try {
+    parts.push(encodeURIComponent(decodeURIComponent(parts.pop() || '')));
+  } catch {
+    // Malformed escape sequence; keep the URL as requested
+    return parsed.origin + parsed.pathname;
+  }
+  return parsed.origin + parts.join('/');
+}
+
+/**
+ * Check whether a URL points into images_scraped/
+ * @param {URL} url - Parsed request URL
+ * @return {boolean} - Whether it is an artwork image
+ */
+function isArtworkImage(url) {
+  return url.origin === self.location.origin && url.pathname.includes('/images_scraped/');
+}
+
+/**
+ * Load the LRU index from the metadata cache
+ * @return {Promise<Map>} - The index
+ */
+function loadLruIndex() {
+  // Concurrent first calls share one load, so no entries go into a Map that gets replaced
+  if (!lruIndexLoading) {
+    lruIndexLoading = (async () => {
+      const cache = await caches.open(META_CACHE);
+      const response = await cache.match(LRU_INDEX_KEY);
+      const stored = response ? await response.json() : {};
+      return new Map(Object.entries(stored));
+    })().catch(error => {
+      lruIndexLoading = null;
+      throw error;
+    });
+  }
+  return lruIndexLoading;
+}
+
+/**
+ * Persist the LRU index, including any write still waiting in scheduleLruIndexSave
+ * @return {Promise} - Resolves when written
+ */
+async function saveLruIndex() {
+  const batch = pendingSave;
+  pendingSave = null;
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  try {
+    const index = await loadLruIndex();
+    const cache = await caches.open(META_CACHE);
+    await cache.put(LRU_INDEX_KEY, new Response(JSON.stringify(Object.fromEntries(index)), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  } finally {
+    if (batch) batch.settle();
+  }
+}
+
+/**
+ * Persist the LRU index after a quiet period, batching the writes from many cache hits
+ * @return {Promise} - Resolves when the batched write has finished
+ */
+function scheduleLruIndexSave() {
+  if (!pendingSave) {
+    let settle;
+    pendingSave = new Promise(resolve => {
+      settle = resolve;
+    });
+    pendingSave.settle = settle;
+  }
+
+  // At most one write per delay, however many hits arrive meanwhile
+  if (!saveTimer) {
+    saveTimer = setTimeout(() => {
+      saveLruIndex().catch(() => null);
+    }, INDEX_SAVE_DELAY);
+  }
+  return pendingSave;
+}
+
+/**
+ * Evict least recently used images until the cache is within its limits
+ * @return {Promise<number>} - Number of evicted images
+ */
+async function enforceImageLimits() {
+  const index = await loadLruIndex();
+  let totalBytes = 0;
+  index.forEach(entry => {
+    totalBytes += entry.size || 0;
+  });
+
+  if (index.size <= IMAGE_CACHE_LIMITS.maxEntries && totalBytes <= IMAGE_CACHE_LIMITS.maxBytes) {
+    return 0;
+  }
+
+  const cache = await caches.open(IMAGE_CACHE);
+  const oldestFirst = [...index.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+  let evicted = 0;
+
+  for (const [url, entry] of oldestFirst) {
+    if (index.size <= IMAGE_CACHE_LIMITS.maxEntries && totalBytes <= IMAGE_CACHE_LIMITS.maxBytes) break;
+
+    await cache.delete(url);
+    index.delete(url);
+    totalBytes -= entry.size || 0;
+    evicted++;
+  }
+
+  return evicted;
+}
+
+/**
+ * Fetch an image from the network and store it in the LRU cache
+ * @param {string} key - Normalized image URL
+ * @return {Promise<Response>} - Network response
+ */
+async function fetchAndCacheImage(key) {
+  const response = await fetch(key);
+  if (!response.ok) return response;
+
+  const blob = await response.clone().blob();
+  const cache = await caches.open(IMAGE_CACHE);
+  await cache.put(key, response.clone());
+
+  const index = await loadLruIndex();
+  index.set(key, { size: blob.size, lastUsed: Date.now() });
+
+  return response;
+}
+
+/**
+ * Cache-first strategy for artwork images with LRU bookkeeping
+ * @param {FetchEvent} event - The fetch event
+ * @return {Promise<Response>} - Cached or network response
+ */
+async function handleImageRequest(event) {
+  const key = normalizeImageUrl(event.request.url);
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(key);
+
+  if (cached) {
+    const index = await loadLruIndex();
+    const entry = index.get(key) || { size: 0 };
+    index.set(key, { ...entry, lastUsed: Date.now() });
+    event.waitUntil(scheduleLruIndexSave());
+    return cached;
+  }
+
+  const response = await fetchAndCacheImage(key);
+  event.waitUntil(enforceImageLimits().then(saveLruIndex));
+  return response;
+}
+
+/**
+ * Network-first strategy for catalog data, so updated CSVs reach online visitors
+ * @param {Request} request - The request
+ * @return {Promise<Response>} - Network or cached response
+ */
+async function handleDataRequest(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Stale-while-revalidate strategy for the app shell
+ * @param {FetchEvent} event - The fetch event
+ * @return {Promise<Response>} - Cached or network response
+ */
+async function handleShellRequest(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const request = event.request;
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => null));
+    return cached;
+  }
+
+  try {
+    return await network;
+  } catch (error) {
+    // Offline navigation to a URL we never cached: fall back to the shell
+    if (request.mode === 'navigate') {
+      const shell = await cache.match('./index.html');
+      if (shell) return shell;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Download a list of images into the cache, reporting progress on a port
+ * @param {Array} urls - Image URLs
+ * @param {MessagePort} port - Port for progress messages
+ * @return {Promise} - Resolves when every URL has been attempted
+ */
+async function cacheImages(urls, port) {
+  const keys = [...new Set(urls.map(url => normalizeImageUrl(new URL(url, self.location.href).href)))];
+  const cache = await caches.open(IMAGE_CACHE);
+  const index = await loadLruIndex();
+  const total = keys.length;
+  let done = 0;
+  let cached = 0;
+  let failed = 0;
+  let next = 0;
+
+  const worker = async function() {
+    while (next < keys.length) {
+      const key = keys[next++];
+      try {
+        if (await cache.match(key)) {
+          const entry = index.get(key) || { size: 0 };
+          index.set(key, { ...entry, lastUsed: Date.now() });
+          cached++;
+        } else {
+          const response = await fetchAndCacheImage(key);
+          if (response.ok) {
+            cached++;
+          } else {
+            failed++;
+          }
+        }
+      } catch {
+        failed++;
+      }
+
+      done++;
+      if (port) {
+        port.postMessage({ type: 'progress', done, total });
+      }
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(BULK_CONCURRENCY, total); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  const evicted = await enforceImageLimits();
+  await saveLruIndex();
+
+  if (port) {
+    port.postMessage({ type: 'complete', total, cached, failed, evicted });
+  }
+}
+
+/**
+ * Summarize the image cache
+ * @return {Promise<Object>} - Entry count, bytes and limits
+ */
+async function getCacheStats() {
+  const index = await loadLruIndex();
+  let bytes = 0;
+  index.forEach(entry => {
+    bytes += entry.size || 0;
+  });
+  return { entries: index.size, bytes, limits: IMAGE_CACHE_LIMITS };
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+
+    // Cache assets one by one so a single missing file doesn't abort install
+    await Promise.all(ASSETS_TO_CACHE.map(asset =>
+      cache.add(asset).catch(error => {
+        console.warn('[ServiceWorker] Failed to precache', asset, error);
+      })
+    ));
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('cc-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (isArtworkImage(url)) {
+    event.respondWith(handleImageRequest(event));
+  } else if (url.pathname.includes('/data/')) {
+    event.respondWith(handleDataRequest(request));
+  } else {
+    event.respondWith(handleShellRequest(event));
+  }
+});
+
+self.addEventListener('message', event => {
+  const message = event.data || {};
+  const port = event.ports && event.ports[0];
+
+  switch (message.type) {
+    case 'CACHE_IMAGES':
+      event.waitUntil(cacheImages(message.urls || [], port));
+      break;
+    case 'CACHE_URLS':
+      // Extra data files (e.g. the current catalog) for the offline set
+      event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => Promise.all((message.urls || []).map(url => cache.add(url).catch(() => null))))
+        .then(() => port && port.postMessage({ type: 'complete' })));
+      break;
+    case 'GET_CACHE_STATS':
+      event.waitUntil(getCacheStats().then(stats => port && port.postMessage({ type: 'stats', stats })));
+      break;
+    default:
+      break;
+  }
+});